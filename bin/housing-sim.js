@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+/**
+ * housing-sim - headless batch runner for the housing market simulation.
+ * Builds a Config from a JSON file and/or flags, runs N ticks with logging silenced,
+ * and writes the analytics time series plus final market statistics as JSON or CSV.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Config = require('../js/utils/Config.js');
+const BatchRunner = require('../js/core/BatchRunner.js');
+const ParameterSweep = require('../js/core/ParameterSweep.js');
+const Scenario = require('../js/utils/Scenario.js');
+
+const USAGE = `Usage: housing-sim [options]
+
+Options:
+  --ticks <n>           Number of ticks (years) to simulate (default 50)
+  --scenario <file>     Scenario file: initial settings, timeline, shocks and run length
+  --config <file>       JSON file with setting overrides
+  --sweep <file>        JSON sweep spec: run a parameter grid with seeded replicates
+  --set <key>=<value>   Override a single setting (repeatable)
+  --<key> <value>       Shorthand for --set <key>=<value>, e.g. --turnover_in 5
+  --seed <n>            Shorthand for --set random_seed=<n>
+  --format <json|csv>   Output format (default json, or inferred from --output)
+  --output <file>       Write results to a file instead of stdout
+  --transactions <file> Also write every sale (the transaction ledger) to a CSV file
+  --verbose             Keep the simulation's console logging
+  --help                Show this message
+
+JSON output contains the config, random seed, full time series, the shocks applied
+and final summary. CSV output contains the time series only; when writing to a file
+the final summary and shocks are written next to it as <file>.summary.json.
+
+A scenario file looks like {"version": 1, "name": "Crash", "ticks": 40,
+"config": {"income_enabled": true}, "timeline": [{"year": 2035, "set": {"turnover_in": 10}}],
+"shocks": [{"type": "wealth", "year": 2035, "change": -0.3},
+{"type": "migration", "probability": 0.1, "from": 2030, "count": 10}]}.
+--config files and flags override the scenario's settings, and --ticks its run length.
+
+A sweep spec looks like {"parameters": {"upgrade_threshold": [1.2, 1.5, 2],
+"turnover_in": {"min": 2, "max": 10, "step": 4}}, "replicates": 5, "ticks": 50,
+"baseSeed": 1}. Settings from --config and flags become the sweep's base settings.
+Sweep JSON output holds per-point means and percentile bands for every metric over
+time; sweep CSV output holds one row per point with final-value statistics.
+
+Settings: ${Object.keys(Config.DEFAULT_CONFIG).join(', ')}`;
+
+/**
+ * Parses a flag value: numbers, booleans and null are converted, anything else stays a string.
+ * @param {string} raw - The raw command-line value
+ * @returns {*} Parsed value
+ */
+function parseValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+/**
+ * Parses command-line arguments into run options and setting overrides.
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { ticks: null, format: null, output: null, transactionsFile: null, verbose: false, help: false, scenarioFile: null, configFile: null, sweepFile: null, settings: {} };
+
+    const takeValue = (flag, i) => {
+        if (i + 1 >= argv.length) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        return argv[i + 1];
+    };
+
+    const setSetting = (key, value) => {
+        if (!Object.prototype.hasOwnProperty.call(Config.DEFAULT_CONFIG, key)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        options.settings[key] = parseValue(value);
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--ticks': {
+                const raw = takeValue(arg, i++);
+                options.ticks = Number(raw);
+                if (!Number.isInteger(options.ticks) || options.ticks <= 0) {
+                    throw new Error(`--ticks must be a positive integer, got "${raw}"`);
+                }
+                break;
+            }
+            case '--scenario':
+                options.scenarioFile = takeValue(arg, i++);
+                break;
+            case '--config':
+                options.configFile = takeValue(arg, i++);
+                break;
+            case '--sweep':
+                options.sweepFile = takeValue(arg, i++);
+                break;
+            case '--format':
+                options.format = takeValue(arg, i++);
+                break;
+            case '--output':
+            case '-o':
+                options.output = takeValue(arg, i++);
+                break;
+            case '--transactions':
+                options.transactionsFile = takeValue(arg, i++);
+                break;
+            case '--seed':
+                setSetting('random_seed', takeValue(arg, i++));
+                break;
+            case '--set': {
+                const pair = takeValue(arg, i++);
+                const separator = pair.indexOf('=');
+                if (separator === -1) {
+                    throw new Error(`Expected key=value after --set, got "${pair}"`);
+                }
+                setSetting(pair.slice(0, separator), pair.slice(separator + 1));
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) {
+                    setSetting(arg.slice(2), takeValue(arg, i++));
+                } else {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+        }
+    }
+
+    if (!options.format) {
+        options.format = options.output && path.extname(options.output).toLowerCase() === '.csv' ? 'csv' : 'json';
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (expected json or csv)`);
+    }
+
+    return options;
+}
+
+/**
+ * Loads the scenario file, if one was given.
+ * @param {Object} options - Parsed options
+ * @returns {Scenario|null} The scenario
+ */
+function loadScenario(options) {
+    return options.scenarioFile ? Scenario.parse(fs.readFileSync(options.scenarioFile, 'utf8')) : null;
+}
+
+/**
+ * Builds the setting overrides: scenario first, then config file, then command-line flags.
+ * @param {Object} options - Parsed options
+ * @param {Scenario|null} scenario - Loaded scenario
+ * @returns {Object} Setting overrides
+ */
+function buildSettings(options, scenario = null) {
+    let fileSettings = {};
+    if (options.configFile) {
+        fileSettings = JSON.parse(fs.readFileSync(options.configFile, 'utf8'));
+    }
+    return { ...(scenario ? scenario.getSettings() : {}), ...fileSettings, ...options.settings };
+}
+
+/**
+ * Formats a run result as JSON.
+ * @param {Object} result - Result from BatchRunner.run()
+ * @returns {string} JSON string
+ */
+function formatJSON(result) {
+    return JSON.stringify({
+        randomSeed: result.randomSeed,
+        ticks: result.ticks,
+        config: result.config,
+        series: result.series,
+        shocks: result.shocks,
+        summary: result.summary
+    }, null, 2) + '\n';
+}
+
+/**
+ * Runs a parameter sweep described by a spec file and writes the aggregated results.
+ * @param {Object} options - Parsed options
+ */
+function runSweep(options) {
+    const spec = JSON.parse(fs.readFileSync(options.sweepFile, 'utf8'));
+    const scenario = loadScenario(options);
+    const sweep = new ParameterSweep({
+        ...spec,
+        base: { ...(spec.base || {}), ...buildSettings(options, scenario) },
+        ticks: options.ticks ?? spec.ticks ?? scenario?.ticks ?? undefined
+    });
+
+    const results = sweep.run((completed, total) => {
+        if (options.output) {
+            process.stderr.write(`\rRun ${completed}/${total}`);
+        }
+    });
+
+    const output = options.format === 'csv'
+        ? ParameterSweep.toCSV(results)
+        : JSON.stringify({ spec: spec, ticks: sweep.ticks, replicates: sweep.replicates, points: results }, null, 2) + '\n';
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(`\nWrote ${results.length} sweep point${results.length !== 1 ? 's' : ''} to ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+
+    if (options.sweepFile) {
+        runSweep(options);
+        return;
+    }
+
+    const scenario = loadScenario(options);
+    const runner = new BatchRunner(buildSettings(options, scenario), {
+        ticks: options.ticks ?? scenario?.ticks ?? undefined,
+        silent: !options.verbose
+    });
+    const result = runner.run();
+
+    const output = options.format === 'csv'
+        ? result.market.getAnalyticsHistory().exportCSV()
+        : formatJSON(result);
+
+    if (options.transactionsFile) {
+        const ledger = result.market.getTransactionLedger();
+        fs.writeFileSync(options.transactionsFile, ledger.exportCSV());
+        console.error(`Wrote ${ledger.getCount()} sale${ledger.getCount() !== 1 ? 's' : ''} to ${options.transactionsFile}`);
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        if (options.format === 'csv') {
+            fs.writeFileSync(`${options.output}.summary.json`, JSON.stringify({
+                randomSeed: result.randomSeed,
+                ticks: result.ticks,
+                config: result.config,
+                shocks: result.shocks,
+                summary: result.summary
+            }, null, 2) + '\n');
+        }
+        console.error(`Wrote ${result.ticks} ticks (seed ${result.randomSeed}) to ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`housing-sim: ${error.message}`);
+        console.error(USAGE.split('\n')[0]);
+        console.error('Run with --help for usage.');
+        process.exit(1);
+    }
+}
+
+module.exports = { parseArgs, buildSettings, runSweep, main };
@@ -10,7 +10,9 @@ class AnalyticsHistory {
     constructor(maxDataPoints = 1000) {
         this.maxDataPoints = maxDataPoints;
         this.data = [];
+        this.events = []; // Shocks applied during the run: {tick, year, type, label}
         this.startTime = Date.now();
+        this.randomSeed = null; // Seed of the market run being recorded (set by Market)
     }
 
     /**
@@ -34,6 +36,8 @@ class AnalyticsHistory {
             occupiedHouses: marketStats.occupiedHouses,
             availableHouses: marketStats.availableHouses,
             occupancyRate: marketStats.occupancyRate,
+            preferredTypeRate: marketStats.preferredTypeRate,
+            overcrowdedHouseholds: marketStats.overcrowdedHouseholds,
             
             // Wealth metrics
             averageWealth: marketStats.averageWealth,
@@ -41,6 +45,11 @@ class AnalyticsHistory {
             wealthRange: marketStats.wealthRange,
             giniCoefficient: marketStats.giniCoefficient,
             wealthConcentration: marketStats.wealthConcentration,
+            averageLiquidWealth: marketStats.averageLiquidWealth,
+            totalHomeEquity: marketStats.totalHomeEquity,
+            wealthSegregation: marketStats.wealthSegregation,
+            inheritedWealth: marketStats.inheritedWealth,
+            estateTaxCollected: marketStats.estateTaxCollected,
             
             // Market metrics
             averageHouseValue: marketStats.averageHouseValue,
@@ -49,21 +58,107 @@ class AnalyticsHistory {
             affordabilityRatio: marketStats.affordabilityRatio,
             marketVelocity: marketStats.marketVelocity,
             
+            // Financing metrics
+            mortgagedPeople: marketStats.mortgagedPeople,
+            totalMortgageDebt: marketStats.totalMortgageDebt,
+            foreclosures: marketStats.foreclosures,
+            
+            // Income metrics
+            averageIncome: marketStats.averageIncome,
+            totalSavings: marketStats.totalSavings,
+            averageYearsToOwnership: marketStats.averageYearsToOwnership,
+            averageYearsWaiting: marketStats.averageYearsWaiting,
+            
+            // Investor metrics
+            investorHoldings: marketStats.investorHoldings,
+            investorPurchaseShare: marketStats.investorPurchaseShare,
+            investorResales: marketStats.investorResales,
+            entrantHousingRate: marketStats.entrantHousingRate,
+            
+            // Shock metrics
+            shocks: marketStats.shocks ? marketStats.shocks.length : 0,
+            mortgageInterestRate: marketStats.mortgageInterestRate,
+            
+            // Policy metrics
+            propertyTaxCollected: marketStats.propertyTaxCollected,
+            vacancyTaxCollected: marketStats.vacancyTaxCollected,
+            transferTaxCollected: marketStats.transferTaxCollected,
+            taxRevenue: marketStats.taxRevenue,
+            subsidiesPaid: marketStats.subsidiesPaid,
+            revenueRedistributed: marketStats.revenueRedistributed,
+            governmentBalance: marketStats.governmentBalance,
+            
+            // Expectation metrics
+            priceLevel: marketStats.priceLevel,
+            priceGrowth: marketStats.priceGrowth,
+            averageExpectedGrowth: marketStats.averageExpectedGrowth,
+            priceToFundamental: marketStats.priceToFundamental,
+            
+            // Price index metrics
+            medianSalePrice: marketStats.medianSalePrice,
+            medianPriceIndex: marketStats.medianPriceIndex,
+            hedonicPriceIndex: marketStats.hedonicPriceIndex,
+            repeatSalesIndex: marketStats.repeatSalesIndex,
+            repeatSalesPairs: marketStats.repeatSalesPairs,
+            
+            // Ageing metrics
+            averageHouseAge: marketStats.averageHouseAge,
+            depreciationLoss: marketStats.depreciationLoss,
+            maintenanceSpending: marketStats.maintenanceSpending,
+            renovations: marketStats.renovations,
+            
+            // Construction metrics
+            housingStarts: marketStats.housingStarts,
+            housesCompleted: marketStats.housesCompleted,
+            housesDemolished: marketStats.housesDemolished,
+            housesUnderConstruction: marketStats.housesUnderConstruction,
+            
+            // Rental metrics
+            ownerShare: marketStats.ownerShare,
+            renterShare: marketStats.renterShare,
+            rentalHouses: marketStats.rentalHouses,
+            averageRent: marketStats.averageRent,
+            averageRentToIncome: marketStats.averageRentToIncome,
+            rentYield: marketStats.rentYield,
+            evictions: marketStats.evictions,
+            
+            // Household metrics
+            averageAge: marketStats.averageAge,
+            averageHouseholdSize: marketStats.averageHouseholdSize,
+            deaths: marketStats.lifeEvents ? marketStats.lifeEvents.deaths : 0,
+            births: marketStats.lifeEvents ? marketStats.lifeEvents.births : 0,
+            marriages: marketStats.lifeEvents ? marketStats.lifeEvents.marriages : 0,
+            divorces: marketStats.lifeEvents ? marketStats.lifeEvents.divorces : 0,
+            
             // Auction metrics (if available)
             auctionSuccessRate: marketStats.lastAuctionResults ? 
                 marketStats.lastAuctionResults.successfulSales / Math.max(1, marketStats.lastAuctionResults.totalAuctioned) : 0,
             averageAuctionPrice: marketStats.lastAuctionResults ? 
-                marketStats.lastAuctionResults.averagePrice : 0
+                marketStats.lastAuctionResults.averagePrice : 0,
+            reserveFailures: marketStats.reserveFailures,
+            staleListings: marketStats.staleListings
         };
         
         this.data.push(snapshot);
+        (marketStats.shocks || []).forEach(shock => {
+            this.events.push({ tick: snapshot.tick, year: snapshot.year, type: shock.type, label: shock.label });
+        });
         
         // Maintain maximum data points by removing oldest entries
         if (this.data.length > this.maxDataPoints) {
             this.data.shift();
+            this.events = this.events.filter(event => event.tick >= this.data[0].tick);
         }
     }
 
+    /**
+     * Gets chart markers for the shocks applied during the run.
+     * @returns {Array} Array of {x: tick, label} objects
+     */
+    getEventMarkers() {
+        return this.events.map(event => ({ x: event.tick, label: event.label }));
+    }
+
     /**
      * Gets time-series data for a specific metric.
      * @param {string} metric - The metric name to retrieve
@@ -153,13 +248,20 @@ class AnalyticsHistory {
                 { key: 'totalHouses', label: 'Total Houses' },
                 { key: 'occupiedHouses', label: 'Occupied Houses' },
                 { key: 'availableHouses', label: 'Available Houses' },
-                { key: 'occupancyRate', label: 'Occupancy Rate', format: 'percentage' }
+                { key: 'occupancyRate', label: 'Occupancy Rate', format: 'percentage' },
+                { key: 'preferredTypeRate', label: 'In Preferred House Type', format: 'percentage' },
+                { key: 'overcrowdedHouseholds', label: 'Overcrowded Households' }
             ],
             wealth: [
                 { key: 'averageWealth', label: 'Average Wealth', format: 'currency' },
                 { key: 'medianWealth', label: 'Median Wealth', format: 'currency' },
                 { key: 'giniCoefficient', label: 'Gini Coefficient', format: 'percentage' },
-                { key: 'wealthConcentration', label: 'Top 10% Wealth Share', format: 'percentage' }
+                { key: 'wealthConcentration', label: 'Top 10% Wealth Share', format: 'percentage' },
+                { key: 'averageLiquidWealth', label: 'Average Liquid Wealth', format: 'currency' },
+                { key: 'totalHomeEquity', label: 'Total Home Equity', format: 'currency' },
+                { key: 'wealthSegregation', label: 'Wealth Segregation', format: 'percentage' },
+                { key: 'inheritedWealth', label: 'Wealth Inherited', format: 'currency' },
+                { key: 'estateTaxCollected', label: 'Estate Tax Collected', format: 'currency' }
             ],
             market: [
                 { key: 'averageHouseValue', label: 'Average House Value', format: 'currency' },
@@ -167,9 +269,84 @@ class AnalyticsHistory {
                 { key: 'affordabilityRatio', label: 'Affordability Ratio', format: 'decimal' },
                 { key: 'marketVelocity', label: 'Market Velocity' }
             ],
+            financing: [
+                { key: 'mortgagedPeople', label: 'Mortgaged Households' },
+                { key: 'totalMortgageDebt', label: 'Total Mortgage Debt', format: 'currency' },
+                { key: 'foreclosures', label: 'Foreclosures' }
+            ],
+            income: [
+                { key: 'averageIncome', label: 'Average Income', format: 'currency' },
+                { key: 'totalSavings', label: 'Total Savings', format: 'currency' },
+                { key: 'averageYearsToOwnership', label: 'Years to Ownership', format: 'decimal' },
+                { key: 'averageYearsWaiting', label: 'Years Waiting (Unhoused Entrants)', format: 'decimal' }
+            ],
+            investors: [
+                { key: 'investorHoldings', label: 'Investor Holdings' },
+                { key: 'investorPurchaseShare', label: 'Investor Share of Purchases', format: 'percentage' },
+                { key: 'investorResales', label: 'Investor Resales' },
+                { key: 'entrantHousingRate', label: 'Entrant Housing Rate', format: 'percentage' }
+            ],
+            shocks: [
+                { key: 'shocks', label: 'Shocks Applied' },
+                { key: 'mortgageInterestRate', label: 'Mortgage Interest Rate', format: 'percentage' }
+            ],
+            policy: [
+                { key: 'taxRevenue', label: 'Tax Revenue', format: 'currency' },
+                { key: 'propertyTaxCollected', label: 'Property Tax Collected', format: 'currency' },
+                { key: 'vacancyTaxCollected', label: 'Vacancy Tax Collected', format: 'currency' },
+                { key: 'transferTaxCollected', label: 'Transfer Tax Collected', format: 'currency' },
+                { key: 'subsidiesPaid', label: 'First-Time Buyer Grants', format: 'currency' },
+                { key: 'revenueRedistributed', label: 'Revenue Redistributed', format: 'currency' },
+                { key: 'governmentBalance', label: 'Government Balance', format: 'currency' }
+            ],
+            expectations: [
+                { key: 'priceLevel', label: 'Price Level', format: 'currency' },
+                { key: 'priceGrowth', label: 'Price Growth', format: 'percentage' },
+                { key: 'averageExpectedGrowth', label: 'Expected Price Growth', format: 'percentage' },
+                { key: 'priceToFundamental', label: 'Price to Fundamental Value', format: 'decimal' }
+            ],
+            priceIndices: [
+                { key: 'medianSalePrice', label: 'Median Sale Price', format: 'currency' },
+                { key: 'medianPriceIndex', label: 'Median Price Index', format: 'decimal' },
+                { key: 'hedonicPriceIndex', label: 'Hedonic Price Index', format: 'decimal' },
+                { key: 'repeatSalesIndex', label: 'Repeat-Sales Index', format: 'decimal' },
+                { key: 'repeatSalesPairs', label: 'Repeat Sales' }
+            ],
+            ageing: [
+                { key: 'averageHouseAge', label: 'Average House Age', format: 'decimal' },
+                { key: 'depreciationLoss', label: 'Value Lost to Wear', format: 'currency' },
+                { key: 'maintenanceSpending', label: 'Maintenance Spending', format: 'currency' },
+                { key: 'renovations', label: 'Renovations' }
+            ],
+            construction: [
+                { key: 'totalHouses', label: 'Housing Stock' },
+                { key: 'housingStarts', label: 'Housing Starts' },
+                { key: 'housesCompleted', label: 'Houses Completed' },
+                { key: 'housesDemolished', label: 'Houses Demolished' },
+                { key: 'housesUnderConstruction', label: 'Under Construction' }
+            ],
+            rental: [
+                { key: 'ownerShare', label: 'Owner Share', format: 'percentage' },
+                { key: 'renterShare', label: 'Renter Share', format: 'percentage' },
+                { key: 'rentalHouses', label: 'Rental Houses' },
+                { key: 'averageRent', label: 'Average Rent', format: 'currency' },
+                { key: 'averageRentToIncome', label: 'Rent-to-Income Ratio', format: 'percentage' },
+                { key: 'rentYield', label: 'Rent Yield', format: 'percentage' },
+                { key: 'evictions', label: 'Evictions' }
+            ],
+            households: [
+                { key: 'averageAge', label: 'Average Age', format: 'decimal' },
+                { key: 'averageHouseholdSize', label: 'Average Household Size', format: 'decimal' },
+                { key: 'deaths', label: 'Deaths' },
+                { key: 'births', label: 'Births' },
+                { key: 'marriages', label: 'Marriages' },
+                { key: 'divorces', label: 'Divorces' }
+            ],
             auctions: [
                 { key: 'auctionSuccessRate', label: 'Auction Success Rate', format: 'percentage' },
-                { key: 'averageAuctionPrice', label: 'Average Auction Price', format: 'currency' }
+                { key: 'averageAuctionPrice', label: 'Average Auction Price', format: 'currency' },
+                { key: 'reserveFailures', label: 'Reserve Not Met' },
+                { key: 'staleListings', label: 'Stale Listings' }
             ]
         };
     }
@@ -182,14 +359,31 @@ class AnalyticsHistory {
         return JSON.stringify({
             metadata: {
                 recordingStartTime: this.startTime,
+                randomSeed: this.randomSeed,
                 exportTime: Date.now(),
                 dataPointCount: this.data.length,
                 maxDataPoints: this.maxDataPoints
             },
-            data: this.data
+            data: this.data,
+            events: this.events
         }, null, 2);
     }
 
+    /**
+     * Exports historical data as CSV, one row per recorded tick.
+     * @returns {string} CSV string with a header row (empty string if no data)
+     */
+    exportCSV() {
+        if (this.data.length === 0) return '';
+
+        const columns = ['year', 'tick', ...this.getAvailableMetrics()];
+        const rows = this.data.map(snapshot =>
+            columns.map(column => snapshot[column] !== undefined ? snapshot[column] : '').join(',')
+        );
+
+        return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+
     /**
      * Imports historical data from JSON.
      * @param {string} jsonData - JSON string containing historical data
@@ -199,7 +393,9 @@ class AnalyticsHistory {
             const imported = JSON.parse(jsonData);
             if (imported.data && Array.isArray(imported.data)) {
                 this.data = imported.data;
+                this.events = Array.isArray(imported.events) ? imported.events : [];
                 this.startTime = imported.metadata?.recordingStartTime || Date.now();
+                this.randomSeed = imported.metadata?.randomSeed ?? null;
                 
                 // Maintain maxDataPoints limit
                 if (this.data.length > this.maxDataPoints) {
@@ -216,6 +412,7 @@ class AnalyticsHistory {
      */
     clear() {
         this.data = [];
+        this.events = [];
         this.startTime = Date.now();
     }
 
@@ -1,21 +1,79 @@
 class Auction {
-    constructor(houses, eligibleBidders) {
+    /**
+     * Creates a new Auction instance.
+     * @param {House[]} houses - Houses to auction
+     * @param {Person[]} eligibleBidders - People (and institutional investors) who may bid
+     * @param {Object} options - Auction options
+     * @param {Object} options.financing - Mortgage terms from Market.getFinancingTerms() (null for cash purchases)
+     * @param {boolean} options.wealthAccounting - Buyers pay for houses and sellers receive the proceeds
+     * @param {string} options.biddingStrategy - Default strategy for bidders without their own (default full_wealth)
+     * @param {Object} options.biddingParams - Strategy parameters: valueMarkup, shading, desperationYears
+     * @param {number} options.currentYear - Current simulation year (for years-unhoused)
+     * @param {Object} options.random - Random source for randomized strategies and mechanisms
+     * @param {string} options.auctionType - Market-clearing mechanism (default vickrey)
+     * @param {Object} options.auctionParams - Mechanism parameters: singleBidderRatio, increment, dutchStartMultiple, postedPriceMarkup
+     * @param {Object} options.reserve - Seller reserve prices: {mode, ratio, decay} (mode 'none' accepts any bid)
+     * @param {string} options.clearing - 'sequential' (house by house, in list order) or 'simultaneous'
+     * @param {Object} options.rental - Investment terms from RentalMarket.getInvestmentTerms() (null: no investment bids
+     *   from landlords or investors)
+     * @param {Policy} options.policy - Government policy: buyers pay transfer tax and first-time buyers get their
+     *   grant (null: no taxes or grants)
+     * @param {number} options.expectationHorizon - Years of expected price growth bidders build into house values
+     *   (default 0: bidders go by today's values)
+     */
+    constructor(houses, eligibleBidders, options = {}) {
         this.houses = houses;
         this.eligibleBidders = eligibleBidders;
+        this.financing = options.financing || null;
+        this.wealthAccounting = !!options.wealthAccounting;
         this.results = [];
         
-        // Handle MathUtils for both browser and Node.js
+        // Handle dependencies for both browser and Node.js
         this.MathUtils = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        this.BiddingStrategy = typeof BiddingStrategy !== 'undefined' ? BiddingStrategy : require('./BiddingStrategy.js');
+        this.AuctionMechanism = typeof AuctionMechanism !== 'undefined' ? AuctionMechanism : require('./AuctionMechanism.js');
+        
+        this.biddingStrategy = options.biddingStrategy || this.BiddingStrategy.DEFAULT;
+        this.biddingParams = { valueMarkup: 0.1, shading: 0.2, desperationYears: 5, ...(options.biddingParams || {}) };
+        this.currentYear = options.currentYear ?? null;
+        this.random = options.random || this.MathUtils.defaultRandom;
+        this.auctionType = options.auctionType || this.AuctionMechanism.DEFAULT;
+        this.auctionParams = {
+            singleBidderRatio: 0.75,
+            increment: 0.01,
+            dutchStartMultiple: 1.5,
+            postedPriceMarkup: 0.05,
+            ...(options.auctionParams || {})
+        };
+        this.reserve = { mode: 'none', ratio: 1, decay: 0, ...(options.reserve || {}) };
+        this.clearing = options.clearing || 'sequential';
+        this.rental = options.rental || null;
+        this.policy = options.policy || null;
+        this.transferTaxRate = this.policy ? this.policy.getTransferTaxRate() : 0;
+        this.expectationHorizon = options.expectationHorizon || 0;
     }
 
-    conductVickreyAuction(valueIntrinsicness, upgradeThreshold) {
+    /**
+     * Auctions every house with the configured mechanism.
+     * Each person can win at most one house per auction. Sequential clearing auctions the
+     * houses in list order; simultaneous clearing matches the whole batch at once.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @param {number} upgradeThreshold - Multiplier a house must beat for owners to bid
+     * @param {string} auctionType - Mechanism to use (defaults to this auction's type)
+     * @returns {Object[]} One result per house
+     */
+    conductAuction(valueIntrinsicness, upgradeThreshold, auctionType = this.auctionType) {
+        if (this.clearing === 'simultaneous') {
+            return this.conductSimultaneousAuction(valueIntrinsicness, upgradeThreshold, auctionType);
+        }
+        
         console.log(`\n=== Auction for ${this.houses.length} houses ===`);
         
         // Track which people have already won houses in this auction
         const alreadyWon = new Set();
         
         for (const house of this.houses) {
-            const result = this.auctionSingleHouse(house, valueIntrinsicness, upgradeThreshold, alreadyWon);
+            const result = this.auctionSingleHouse(house, valueIntrinsicness, upgradeThreshold, alreadyWon, auctionType);
             this.results.push(result);
             
             // If someone won this house, they can't bid on others
@@ -27,7 +85,86 @@ class Auction {
         return this.results;
     }
 
-    auctionSingleHouse(house, valueIntrinsicness, upgradeThreshold, alreadyWon = new Set()) {
+    conductVickreyAuction(valueIntrinsicness, upgradeThreshold) {
+        return this.conductAuction(valueIntrinsicness, upgradeThreshold, 'vickrey');
+    }
+
+    /**
+     * Clears the whole batch at once with bidder-proposing deferred acceptance.
+     * Every bidder ranks the houses they would bid on, most valuable first, and proposes down
+     * their list; each house holds its best bid that meets the reserve and rejects the rest.
+     * The result is a stable matching that doesn't depend on the order houses are listed in.
+     * Each house goes to the bid it holds, priced by the mechanism over all bids it received.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @param {number} upgradeThreshold - Multiplier a house must beat for owners to bid
+     * @param {string} auctionType - Mechanism used to price each house
+     * @returns {Object[]} One result per house
+     */
+    conductSimultaneousAuction(valueIntrinsicness, upgradeThreshold, auctionType = this.auctionType) {
+        console.log(`\n=== Simultaneous auction for ${this.houses.length} houses ===`);
+        
+        const houseValues = new Map(this.houses.map(house => [house, house.calculateValue(valueIntrinsicness)]));
+        const reservePrices = new Map(this.houses.map(house => [
+            house,
+            house.getReservePrice(this.reserve.mode, this.reserve.ratio, this.reserve.decay, valueIntrinsicness)
+        ]));
+        const bidsByHouse = new Map(this.houses.map(house => [house, []]));
+        const heldBids = new Map();
+        
+        // Each bidder ranks the houses they would bid on, most valuable first
+        const preferences = new Map();
+        this.eligibleBidders.forEach(person => {
+            const ranked = this.houses
+                .filter(house => person.shouldBid(house, upgradeThreshold, this.financing, this.expectationHorizon) ||
+                    this.wantsRental(person, house, houseValues.get(house)))
+                .sort((a, b) => houseValues.get(b) - houseValues.get(a));
+            if (ranked.length > 0) {
+                preferences.set(person, ranked);
+            }
+        });
+        
+        // Unmatched bidders propose to their next choice until everyone is held or out of choices
+        const nextChoice = new Map([...preferences.keys()].map(person => [person, 0]));
+        const unmatched = [...preferences.keys()];
+        while (unmatched.length > 0) {
+            const person = unmatched.shift();
+            const choices = preferences.get(person);
+            const choiceIndex = nextChoice.get(person);
+            if (choiceIndex >= choices.length) continue;
+            nextChoice.set(person, choiceIndex + 1);
+            
+            const house = choices[choiceIndex];
+            const bid = this.makeBid(person, house, houseValues.get(house), upgradeThreshold);
+            bidsByHouse.get(house).push(bid);
+            
+            const held = heldBids.get(house);
+            if (bid.amount < reservePrices.get(house)) {
+                unmatched.push(person);
+            } else if (!held) {
+                heldBids.set(house, bid);
+            } else if (bid.amount > held.amount) {
+                heldBids.set(house, bid);
+                unmatched.push(held.person);
+            } else {
+                unmatched.push(person);
+            }
+        }
+        
+        const showDetails = this.houses.length <= 20;
+        for (const house of this.houses) {
+            if (showDetails) {
+                console.log(`\nClearing ${house.id} (Value: ${this.MathUtils.formatCurrency(houseValues.get(house))})`);
+            }
+            const held = heldBids.get(house);
+            this.results.push(this.settleBids(
+                house, houseValues.get(house), bidsByHouse.get(house), auctionType, valueIntrinsicness, showDetails, held ? held.person : null
+            ));
+        }
+        
+        return this.results;
+    }
+
+    auctionSingleHouse(house, valueIntrinsicness, upgradeThreshold, alreadyWon = new Set(), auctionType = this.auctionType) {
         const houseValue = house.calculateValue(valueIntrinsicness);
         
         // Reduce console output for large markets
@@ -36,12 +173,29 @@ class Auction {
             console.log(`\nAuctioning ${house.id} (Value: ${this.MathUtils.formatCurrency(houseValue)})`);
         }
         
-        // Determine who will bid on this house (excluding those who already won)
-        const bidders = this.eligibleBidders.filter(person => 
-            !alreadyWon.has(person) && person.shouldBid(house, upgradeThreshold)
-        );
-        
-        if (bidders.length === 0) {
+        // Get bids from everyone interested in this house (excluding those who already won)
+        const bids = this.eligibleBidders
+            .filter(person => !alreadyWon.has(person))
+            .map(person => this.makeBid(person, house, houseValue, upgradeThreshold))
+            .filter(bid => bid !== null);
+
+        return this.settleBids(house, houseValue, bids, auctionType, valueIntrinsicness, showDetails);
+    }
+
+    /**
+     * Settles one house from the bids it received: applies the seller's reserve, then picks
+     * the winner and price with the market-clearing mechanism.
+     * @param {House} house - The house being sold
+     * @param {number} houseValue - The house's value at this auction's value intrinsicness
+     * @param {Object[]} bids - Bids received, each {person, amount, strategy, purpose}
+     * @param {string} auctionType - Mechanism used to set the price
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @param {boolean} showDetails - Whether to log the outcome
+     * @param {Person} matchedWinner - Winner already chosen by simultaneous clearing (null to let the mechanism choose)
+     * @returns {Object} Auction result
+     */
+    settleBids(house, houseValue, bids, auctionType, valueIntrinsicness, showDetails, matchedWinner = null) {
+        if (bids.length === 0) {
             if (showDetails) {
                 console.log(`  No bidders for ${house.id}`);
             }
@@ -54,44 +208,122 @@ class Auction {
             };
         }
 
-        // Get bids from each bidder (everyone bids their full wealth)
-        const bids = bidders.map(person => ({
-            person: person,
-            amount: person.getBidAmount()
-        }));
-
         // Sort bids by amount (highest first)
         bids.sort((a, b) => b.amount - a.amount);
 
-        const winner = bids[0].person;
-        const winningBid = bids[0].amount;
-        
-        // Determine price to pay (second-price auction)
-        let priceToPayGeneric;
-        if (bids.length === 1) {
-            // Single bidder pays 75% of their bid
-            priceToPayGeneric = winningBid * 0.75;
-        } else {
-            // Winner pays second-highest bid
-            priceToPayGeneric = bids[1].amount;
+        // Only bids that meet the seller's reserve are accepted
+        const reservePrice = house.getReservePrice(this.reserve.mode, this.reserve.ratio, this.reserve.decay, valueIntrinsicness);
+        const acceptableBids = bids.filter(bid => bid.amount >= reservePrice);
+        
+        if (acceptableBids.length === 0) {
+            if (showDetails) {
+                console.log(`  Reserve ${this.MathUtils.formatCurrency(reservePrice)} not met (best bid ${this.MathUtils.formatCurrency(bids[0].amount)})`);
+            }
+            return {
+                house: house,
+                winner: null,
+                winningBid: 0,
+                secondPrice: 0,
+                bidderCount: bids.length,
+                reservePrice: reservePrice,
+                reserveNotMet: true,
+                auctionType: auctionType,
+                allBids: bids
+            };
         }
 
+        // Pick the winner and price with the market-clearing mechanism (never below the reserve)
+        const outcome = this.AuctionMechanism.clear(auctionType, acceptableBids, {
+            house: house,
+            houseValue: houseValue,
+            random: this.random,
+            params: this.auctionParams
+        });
+        const winner = matchedWinner || outcome.winner;
+        const winningBidObject = bids.find(bid => bid.person === winner);
+        const winningBid = winningBidObject.amount;
+        const price = Math.min(winningBid, Math.max(outcome.price, reservePrice));
+
         if (showDetails) {
             console.log(`  Winner: ${winner.id} (Wealth: ${this.MathUtils.formatCurrency(winner.wealth)})`);
-            console.log(`  Price paid: ${this.MathUtils.formatCurrency(priceToPayGeneric)}`);
-            console.log(`  Bidders: ${bidders.length}`);
+            console.log(`  Price paid: ${this.MathUtils.formatCurrency(price)}`);
+            console.log(`  Bidders: ${bids.length}`);
         }
 
         return {
             house: house,
             winner: winner,
             winningBid: winningBid,
-            secondPrice: priceToPayGeneric,
-            bidderCount: bidders.length,
+            secondPrice: price, // Price paid (named for the original second-price rule)
+            purpose: winningBidObject.purpose,
+            bidderCount: bids.length,
+            reservePrice: reservePrice,
+            auctionType: auctionType,
             allBids: bids
         };
     }
 
+    /**
+     * Makes a person's bid for a house, if they want it: as a home when they would move in
+     * (priced by their bidding strategy), otherwise as a rental when they are a landlord or
+     * investor looking to invest (priced by their own valuation rule).
+     * @param {Person} person - The potential bidder
+     * @param {House} house - The house being auctioned
+     * @param {number} houseValue - The house's value at this auction's value intrinsicness
+     * @param {number} upgradeThreshold - Multiplier a house must beat for owners to bid
+     * @returns {Object|null} Bid {person, amount, strategy, purpose}, or null if they don't bid
+     */
+    makeBid(person, house, houseValue, upgradeThreshold) {
+        if (person.shouldBid(house, upgradeThreshold, this.financing, this.expectationHorizon)) {
+            return {
+                person: person,
+                amount: this.getBid(person, house, houseValue),
+                strategy: person.biddingStrategy || this.biddingStrategy,
+                purpose: 'home'
+            };
+        }
+        if (this.wantsRental(person, house, houseValue)) {
+            return {
+                person: person,
+                amount: person.getInvestmentBid(houseValue, this.rental) / (1 + this.transferTaxRate),
+                strategy: 'investor',
+                purpose: 'rental'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Checks if a bidder would bid on a house as an investment (to let or hold).
+     * @param {Person} person - The potential bidder
+     * @param {House} house - The house being auctioned
+     * @param {number} houseValue - The house's value at this auction's value intrinsicness
+     * @returns {boolean} True if rental bids are on and the person wants to invest
+     */
+    wantsRental(person, house, houseValue) {
+        return this.rental !== null && person.shouldInvest(house, houseValue, this.rental);
+    }
+
+    /**
+     * Gets a bidder's bid for a house from their bidding strategy. Strategies see the value the
+     * bidder expects the house to have over the expectation horizon. Buyers keep back enough
+     * of their purchasing power to pay transfer tax on the price.
+     * @param {Person} person - The bidder
+     * @param {House} house - The house being auctioned
+     * @param {number} houseValue - The house's value at this auction's value intrinsicness
+     * @returns {number} Bid amount (never more than the bidder's purchasing power)
+     */
+    getBid(person, house, houseValue) {
+        return this.BiddingStrategy.getBid(person.biddingStrategy || this.biddingStrategy, person, {
+            house: house,
+            houseValue: houseValue * person.getExpectationFactor(this.expectationHorizon),
+            purchasingPower: person.getBidAmount(house, this.financing) / (1 + this.transferTaxRate),
+            yearsUnhoused: this.currentYear !== null ? person.getYearsUnhoused(this.currentYear) : 0,
+            random: this.random,
+            params: this.biddingParams
+        });
+    }
+
     executeTransactions() {
         console.log('\n=== Executing Transactions ===');
         
@@ -100,14 +332,36 @@ class Auction {
         
         for (const result of this.results) {
             if (result.winner) {
-                // Check if winner already owns a house (will be sold)
-                if (result.winner.house) {
+                const rental = result.purpose === 'rental';
+                
+                // Check if winner already owns a house (will be sold, unless they are buying to let)
+                if (result.winner.house && !rental) {
                     housesFromUpgrades.push(result.winner.house);
                 }
                 
+                // Remember who listed the house before ownership changes
+                result.seller = result.house.seller || null;
+                const sellerDebt = result.house.sellerDebt || 0;
+                
+                // First-time buyers receive their grant before paying the deposit
+                if (this.policy && !rental) {
+                    result.subsidy = this.policy.paySubsidy(result.winner);
+                }
+                
                 // Winner takes ownership
-                result.winner.buyHouse(result.house, result.secondPrice);
-                console.log(`  ${result.winner.id} bought ${result.house.id} for ${this.MathUtils.formatCurrency(result.secondPrice)}`);
+                if (rental) {
+                    result.winner.buyRental(result.house, result.secondPrice);
+                } else {
+                    result.winner.buyHouse(result.house, result.secondPrice, this.financing);
+                }
+                console.log(`  ${result.winner.id} bought ${result.house.id}${rental ? ' to let' : ''} for ${this.MathUtils.formatCurrency(result.secondPrice)}`);
+                
+                if (this.wealthAccounting) {
+                    this.settlePayment(result, sellerDebt);
+                }
+                if (this.policy) {
+                    result.transferTax = this.policy.levyTransferTax(result.winner, result.secondPrice);
+                }
             }
         }
         
@@ -117,6 +371,24 @@ class Auction {
         return this.results;
     }
 
+    /**
+     * Moves the money for a completed sale: the buyer pays the price (financed home buyers have
+     * already paid their down payment, the loan covers the rest; rentals are cash) and the seller, if any,
+     * receives the proceeds net of their outstanding mortgage.
+     * @param {Object} result - Auction result with winner, seller and secondPrice
+     * @param {number} sellerDebt - Mortgage balance the seller still owes on the house
+     */
+    settlePayment(result, sellerDebt) {
+        if (!this.financing || result.purpose === 'rental') {
+            result.winner.wealth -= result.secondPrice;
+        }
+        
+        if (result.seller) {
+            const netProceeds = result.seller.receiveSaleProceeds(result.secondPrice, sellerDebt);
+            console.log(`  ${result.seller.id} receives ${this.MathUtils.formatCurrency(netProceeds)} for ${result.house.id}`);
+        }
+    }
+
     getSuccessfulSales() {
         return this.results.filter(result => result.winner !== null);
     }
@@ -125,6 +397,14 @@ class Auction {
         return this.results.filter(result => result.winner === null);
     }
 
+    /**
+     * Gets auctions that drew bids but none met the seller's reserve price.
+     * @returns {Object[]} Failed results with reserveNotMet set
+     */
+    getReserveFailures() {
+        return this.results.filter(result => result.reserveNotMet);
+    }
+
     /**
      * Gets houses that became available when people upgraded (sold their old house).
      * @returns {House[]} Array of houses that became available from upgrades
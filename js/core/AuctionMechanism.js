@@ -0,0 +1,123 @@
+/**
+ * Registry of market-clearing mechanisms used by Auction.
+ * Each mechanism is a function (bids, context) => {winner, price} that picks the winner
+ * and the price they pay from the sealed bids (highest first). A bid is the most that
+ * bidder would pay, so clock auctions are simulated by where each bidder drops out.
+ */
+class AuctionMechanism {
+    static DEFAULT = 'vickrey';
+
+    static MECHANISMS = {
+        vickrey: {
+            description: 'Sealed-bid second price; a lone bidder pays a fixed share of their bid',
+            clear: (bids, context) => ({
+                winner: bids[0].person,
+                price: bids.length === 1 ? bids[0].amount * context.params.singleBidderRatio : bids[1].amount
+            })
+        },
+        first_price: {
+            description: 'Sealed-bid first price: the highest bidder pays their own bid',
+            clear: (bids) => ({ winner: bids[0].person, price: bids[0].amount })
+        },
+        english: {
+            description: 'Ascending clock from the house value until one bidder remains',
+            clear: (bids, context) => {
+                const topBid = bids[0].amount;
+                const step = context.houseValue * context.params.increment;
+                const opening = Math.min(context.houseValue, topBid);
+                if (bids.length === 1 || bids[1].amount < opening || step <= 0) {
+                    return { winner: bids[0].person, price: Math.max(opening, bids.length > 1 ? bids[1].amount : 0) };
+                }
+
+                // The clock stops at the first step above the runner-up's limit
+                const steps = Math.floor((bids[1].amount - opening) / step) + 1;
+                return { winner: bids[0].person, price: Math.min(topBid, opening + steps * step) };
+            }
+        },
+        dutch: {
+            description: 'Descending clock from a multiple of the house value until someone accepts',
+            clear: (bids, context) => {
+                const topBid = bids[0].amount;
+                const start = context.houseValue * context.params.dutchStartMultiple;
+                const step = context.houseValue * context.params.increment;
+                if (topBid >= start || step <= 0) {
+                    return { winner: bids[0].person, price: Math.min(start, topBid) };
+                }
+
+                // The clock stops at the first step at or below the highest bidder's limit
+                const steps = Math.ceil((start - topBid) / step);
+                return { winner: bids[0].person, price: Math.max(0, start - steps * step) };
+            }
+        },
+        posted_price: {
+            description: 'Seller posts an asking price; if nobody meets it, they negotiate with the top bidder',
+            clear: (bids, context) => {
+                const askingPrice = context.houseValue * (1 + context.params.postedPriceMarkup);
+                const willing = bids.filter(bid => bid.amount >= askingPrice);
+                if (willing.length > 0) {
+                    // First come, first served among buyers willing to pay the ask
+                    const chosen = willing[Math.floor(context.random.next() * willing.length)];
+                    return { winner: chosen.person, price: askingPrice };
+                }
+
+                // Split the difference between the seller's valuation and the buyer's limit
+                const topBid = bids[0].amount;
+                return { winner: bids[0].person, price: (Math.min(context.houseValue, topBid) + topBid) / 2 };
+            }
+        }
+    };
+
+    /**
+     * Adds (or replaces) an auction mechanism.
+     * @param {string} name - Mechanism name used by the auction_type setting
+     * @param {string} description - Short description for documentation and UI
+     * @param {Function} clear - Function (bids, context) returning {winner, price}
+     */
+    static register(name, description, clear) {
+        if (typeof clear !== 'function') {
+            throw new Error(`Auction mechanism ${name} must provide a clear function`);
+        }
+        this.MECHANISMS[name] = { description: description, clear: clear };
+    }
+
+    /**
+     * Gets the names of all registered mechanisms.
+     * @returns {string[]} Mechanism names
+     */
+    static getNames() {
+        return Object.keys(this.MECHANISMS);
+    }
+
+    /**
+     * Looks up a mechanism by name.
+     * @param {string} name - Mechanism name
+     * @returns {Object} Mechanism definition {description, clear}
+     */
+    static get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.MECHANISMS, name)) {
+            throw new Error(`Unknown auction type: ${name}`);
+        }
+        return this.MECHANISMS[name];
+    }
+
+    /**
+     * Clears one house's auction with the named mechanism.
+     * @param {string} name - Mechanism name
+     * @param {Object[]} bids - Bids sorted highest first, each {person, amount}
+     * @param {Object} context - Clearing context
+     * @param {House} context.house - House being auctioned
+     * @param {number} context.houseValue - House value at the auction's value intrinsicness
+     * @param {Object} context.random - Random source with next()
+     * @param {Object} context.params - Mechanism parameters: singleBidderRatio, increment, dutchStartMultiple, postedPriceMarkup
+     * @returns {Object} {winner, price}, with the price never above the winner's bid
+     */
+    static clear(name, bids, context) {
+        const outcome = this.get(name).clear(bids, context);
+        const winningBid = bids.find(bid => bid.person === outcome.winner).amount;
+        return { winner: outcome.winner, price: Math.max(0, Math.min(winningBid, outcome.price)) };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuctionMechanism;
+}
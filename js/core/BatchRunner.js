@@ -0,0 +1,93 @@
+/**
+ * Runs a Market headlessly for a fixed number of ticks and collects the results.
+ * Used by the command-line runner and by parameter experiments that need many runs.
+ */
+class BatchRunner {
+    /**
+     * Creates a new BatchRunner instance.
+     * @param {Object} settings - Config overrides for the run (merged over Config defaults)
+     * @param {Object} options - Run options
+     * @param {number} options.ticks - Number of ticks to simulate (default 50)
+     * @param {boolean} options.silent - Suppress the market's console logging (default true)
+     */
+    constructor(settings = {}, options = {}) {
+        this.settings = settings;
+        this.ticks = options.ticks !== undefined ? options.ticks : 50;
+        this.silent = options.silent !== undefined ? options.silent : true;
+
+        // Handle dependencies for both browser and Node.js
+        this.Config = typeof Config !== 'undefined' ? Config : require('../utils/Config.js');
+        this.Market = typeof Market !== 'undefined' ? Market : require('./Market.js');
+        this.House = typeof House !== 'undefined' ? House : require('./House.js');
+        this.Person = typeof Person !== 'undefined' ? Person : require('./Person.js');
+
+        if (!Number.isInteger(this.ticks) || this.ticks < 0) {
+            throw new Error('ticks must be a non-negative integer');
+        }
+    }
+
+    /**
+     * Runs the simulation and returns its time series and final statistics.
+     * @returns {Object} Run result with randomSeed, config, ticks, series, shocks, summary and market
+     */
+    run() {
+        const config = new this.Config(this.settings);
+
+        // Fresh ID counters so runs with the same seed produce identical IDs
+        this.House.idCounter = 0;
+        this.Person.idCounter = 0;
+
+        const market = BatchRunner.withConsoleSilenced(this.silent, () => {
+            const market = new this.Market(config);
+            for (let i = 0; i < this.ticks; i++) {
+                market.tick();
+            }
+            return market;
+        });
+
+        return {
+            randomSeed: market.randomSeed,
+            config: config.getBaseSettings(),
+            ticks: this.ticks,
+            series: market.getAnalyticsHistory().data,
+            shocks: market.getAnalyticsHistory().events,
+            summary: market.getMarketStats(),
+            market: market
+        };
+    }
+
+    /**
+     * Creates a runner for a scenario, using its run length unless options.ticks is given.
+     * @param {Scenario} scenario - The scenario to run
+     * @param {Object} options - Run options, as for the constructor
+     * @returns {BatchRunner} The runner
+     */
+    static fromScenario(scenario, options = {}) {
+        return new BatchRunner(scenario.getSettings(), { ticks: scenario.ticks ?? undefined, ...options });
+    }
+
+    /**
+     * Runs a function with console.log (and console.clear) replaced by no-ops.
+     * @param {boolean} silent - Whether to silence logging at all
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's return value
+     */
+    static withConsoleSilenced(silent, fn) {
+        if (!silent) return fn();
+
+        const originalLog = console.log;
+        const originalClear = console.clear;
+        console.log = () => {};
+        console.clear = () => {};
+        try {
+            return fn();
+        } finally {
+            console.log = originalLog;
+            console.clear = originalClear;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchRunner;
+}
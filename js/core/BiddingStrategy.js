@@ -0,0 +1,97 @@
+/**
+ * Registry of bidding policies that turn a bidder's purchasing power into an auction bid.
+ * Each strategy is a function (person, context) => bid, where context describes the house
+ * being auctioned and what the bidder knows about their own situation. Bids are capped
+ * at the bidder's purchasing power, so a strategy can only ever shade a bid down.
+ */
+class BiddingStrategy {
+    static DEFAULT = 'full_wealth';
+
+    static STRATEGIES = {
+        full_wealth: {
+            description: 'Bid full purchasing power (the original behaviour)',
+            bid: (person, context) => context.purchasingPower
+        },
+        value_anchored: {
+            description: "Bid the house's value plus a fixed markup",
+            bid: (person, context) => context.houseValue * (1 + context.params.valueMarkup)
+        },
+        desperation: {
+            description: 'Bid from house value up to full purchasing power as years unhoused grow',
+            bid: (person, context) => {
+                const years = context.params.desperationYears;
+                const urgency = years > 0 ? Math.min(1, context.yearsUnhoused / years) : 1;
+                return context.houseValue + (context.purchasingPower - context.houseValue) * urgency;
+            }
+        },
+        random_shading: {
+            description: 'Shade full purchasing power down by a random fraction',
+            bid: (person, context) => context.purchasingPower * (1 - context.random.next() * context.params.shading)
+        }
+    };
+
+    /**
+     * Adds (or replaces) a bidding strategy.
+     * @param {string} name - Strategy name used in Config and on Person.biddingStrategy
+     * @param {string} description - Short description for documentation and UI
+     * @param {Function} bid - Function (person, context) returning a bid amount
+     */
+    static register(name, description, bid) {
+        if (typeof bid !== 'function') {
+            throw new Error(`Bidding strategy ${name} must provide a bid function`);
+        }
+        this.STRATEGIES[name] = { description: description, bid: bid };
+    }
+
+    /**
+     * Gets the names of all registered strategies.
+     * @returns {string[]} Strategy names
+     */
+    static getNames() {
+        return Object.keys(this.STRATEGIES);
+    }
+
+    /**
+     * Looks up a strategy by name.
+     * @param {string} name - Strategy name
+     * @returns {Object} Strategy definition {description, bid}
+     */
+    static get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.STRATEGIES, name)) {
+            throw new Error(`Unknown bidding strategy: ${name}`);
+        }
+        return this.STRATEGIES[name];
+    }
+
+    /**
+     * Computes a bid with the named strategy, clamped to [0, purchasing power].
+     * @param {string} name - Strategy name
+     * @param {Person} person - The bidder
+     * @param {Object} context - Bid context
+     * @param {House} context.house - House being auctioned
+     * @param {number} context.houseValue - House value at the auction's value intrinsicness
+     * @param {number} context.purchasingPower - Most the bidder could pay
+     * @param {number} context.yearsUnhoused - Years the bidder has spent without a house (0 if housed)
+     * @param {Object} context.random - Random source with next()
+     * @param {Object} context.params - Strategy parameters: valueMarkup, shading, desperationYears
+     * @returns {number} Bid amount
+     */
+    static getBid(name, person, context) {
+        const bid = this.get(name).bid(person, context);
+        return Math.max(0, Math.min(context.purchasingPower, bid));
+    }
+
+    /**
+     * Checks a population mix, returning a list of problems (empty if valid).
+     * @param {Object} mix - Map of strategy name to relative weight
+     * @returns {string[]} Validation errors
+     */
+    static validateMix(mix) {
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        return MathUtilsRef.validateWeightMix(mix, 'bidding_strategy_mix', Object.keys(this.STRATEGIES), 'strategy');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiddingStrategy;
+}
@@ -0,0 +1,97 @@
+/**
+ * The construction sector: developers start new houses when the average house value is above
+ * construction cost, in proportion to the margin (the supply elasticity), and the houses are
+ * finished after a lag. Demolition clears unowned houses whose intrinsic value has decayed to
+ * the depreciation floor. New houses go on free grid lots, including lots left by demolition.
+ */
+class Construction {
+    /**
+     * Creates a new Construction instance.
+     * @param {Config} config - Configuration object containing construction parameters
+     */
+    constructor(config) {
+        this.config = config;
+        this.pipeline = []; // Projects under way: {started, completes, count}
+    }
+
+    /**
+     * Gets how many houses developers start this year. Starts are the supply elasticity times
+     * the margin of value over cost, as a share of the housing stock, up to the yearly cap.
+     * @param {number} averageValue - Average house value in the market
+     * @param {number} stockSize - Number of houses in the market
+     * @returns {number} Houses to start
+     */
+    getStarts(averageValue, stockSize) {
+        const cost = this.config.get('construction_cost');
+        if (averageValue <= cost) return 0;
+
+        const starts = Math.round(this.config.get('supply_elasticity') * (averageValue / cost - 1) * stockSize);
+        return Math.min(starts, this.config.get('construction_max_starts'));
+    }
+
+    /**
+     * Starts this year's projects.
+     * @param {number} year - The current simulation year
+     * @param {number} averageValue - Average house value in the market
+     * @param {number} stockSize - Number of houses in the market
+     * @returns {number} Houses started
+     */
+    startProjects(year, averageValue, stockSize) {
+        const starts = this.getStarts(averageValue, stockSize);
+        if (starts > 0) {
+            this.pipeline.push({ started: year, completes: year + this.config.get('construction_lag'), count: starts });
+        }
+        return starts;
+    }
+
+    /**
+     * Takes the projects due by a year out of the pipeline.
+     * @param {number} year - The current simulation year
+     * @returns {number} Houses completed
+     */
+    completeProjects(year) {
+        const due = this.pipeline.filter(project => project.completes <= year);
+        this.pipeline = this.pipeline.filter(project => project.completes > year);
+        return due.reduce((sum, project) => sum + project.count, 0);
+    }
+
+    /**
+     * Gets the number of houses started but not yet finished.
+     * @returns {number} Houses under construction
+     */
+    getUnderConstruction() {
+        return this.pipeline.reduce((sum, project) => sum + project.count, 0);
+    }
+
+    /**
+     * Picks the houses to demolish: unowned houses whose intrinsic value is at the floor
+     * vacant depreciation stops at.
+     * @param {House[]} houses - All houses in the market
+     * @returns {House[]} Houses to demolish
+     */
+    selectDemolitions(houses) {
+        const HouseRef = typeof House !== 'undefined' ? House : require('./House.js');
+        return houses.filter(house => house.isAvailable() && house.intrinsicValue <= HouseRef.MIN_INTRINSIC_VALUE);
+    }
+
+    /**
+     * Finds the first free grid lots, in row order: gaps left by demolition, then new lots
+     * after the last house.
+     * @param {House[]} houses - All houses in the market
+     * @param {number} count - Lots needed
+     * @param {number} columns - Grid width
+     * @returns {number[]} Grid indices for Geography.placeHouse()
+     */
+    static findFreeLots(houses, count, columns) {
+        const taken = new Set(houses.map(house => house.y * columns + house.x));
+        const lots = [];
+        for (let index = 0; lots.length < count; index++) {
+            if (!taken.has(index)) lots.push(index);
+        }
+        return lots;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Construction;
+}
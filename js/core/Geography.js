@@ -0,0 +1,167 @@
+/**
+ * Spatial layout of the market: places houses on a grid, splits the grid into
+ * neighborhoods with amenity multipliers, and computes neighbor spillovers.
+ * Houses are placed row by row in creation order, matching the renderer's grid.
+ */
+class Geography {
+    static COLUMNS = 10;
+
+    /**
+     * Creates a new Geography instance.
+     * @param {Config} config - Configuration object containing neighborhood parameters
+     */
+    constructor(config) {
+        this.config = config;
+        this.columns = Geography.COLUMNS;
+        this.neighborhoods = this.createNeighborhoods(
+            config.get('num_neighborhoods'),
+            config.get('neighborhood_amenity_spread'),
+            config.get('neighborhood_amenities')
+        );
+    }
+
+    /**
+     * Builds the neighborhood list. Amenities come from the explicit list when given,
+     * otherwise they are spread evenly from (1 - spread) to (1 + spread).
+     * @param {number} count - Number of neighborhoods
+     * @param {number} spread - Amenity spread around 1
+     * @param {number[]|null} amenities - Explicit amenity multiplier per neighborhood
+     * @returns {Object[]} Neighborhoods: {id, name, amenity}
+     */
+    createNeighborhoods(count, spread, amenities = null) {
+        return Array.from({ length: count }, (_, i) => ({
+            id: i,
+            name: `Neighborhood ${i + 1}`,
+            amenity: amenities ? amenities[i] : (count > 1 ? 1 - spread + (2 * spread * i) / (count - 1) : 1)
+        }));
+    }
+
+    /**
+     * Places a house at the grid cell for its creation index and assigns its neighborhood.
+     * Neighborhoods are vertical bands of columns.
+     * @param {House} house - The house to place
+     * @param {number} index - The house's position in creation order
+     */
+    placeHouse(house, index) {
+        house.x = index % this.columns;
+        house.y = Math.floor(index / this.columns);
+
+        const neighborhood = this.neighborhoods[Math.floor(house.x * this.neighborhoods.length / this.columns)];
+        house.neighborhood = neighborhood.id;
+        house.amenity = neighborhood.amenity;
+    }
+
+    /**
+     * Gets the houses within a radius of a house (Chebyshev distance, excluding the house itself).
+     * @param {House} house - The center house
+     * @param {Map} grid - Map of "x,y" to house, from buildGrid()
+     * @param {number} radius - Neighborhood radius in grid cells
+     * @returns {House[]} Neighboring houses
+     */
+    getNeighbors(house, grid, radius = 1) {
+        const neighbors = [];
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                const neighbor = grid.get(`${house.x + dx},${house.y + dy}`);
+                if (neighbor) neighbors.push(neighbor);
+            }
+        }
+        return neighbors;
+    }
+
+    /**
+     * Indexes houses by grid cell.
+     * @param {House[]} houses - Placed houses
+     * @returns {Map} Map of "x,y" to house
+     */
+    buildGrid(houses) {
+        return new Map(houses.map(house => [`${house.x},${house.y}`, house]));
+    }
+
+    /**
+     * Updates every house's spillover multiplier from its neighbors: occupancy above the
+     * market rate and prices above the market average raise it, vacancy and cheap
+     * neighbors lower it. Multipliers are clamped to [0.5, 2].
+     * @param {House[]} houses - All houses in the market
+     * @param {number} occupancyWeight - Effect of neighbor occupancy relative to the market
+     * @param {number} priceWeight - Effect of neighbor prices relative to the market
+     * @param {number} radius - Neighborhood radius in grid cells
+     */
+    applySpillovers(houses, occupancyWeight, priceWeight, radius = 1) {
+        if (houses.length === 0) return;
+
+        const grid = this.buildGrid(houses);
+        const marketOccupancy = houses.filter(h => h.isOccupied()).length / houses.length;
+        const marketPrice = houses.reduce((sum, h) => sum + h.lastSellingPrice, 0) / houses.length;
+
+        // Compute everything before updating so the order of houses doesn't matter
+        const spillovers = houses.map(house => {
+            const neighbors = this.getNeighbors(house, grid, radius);
+            if (neighbors.length === 0 || marketPrice <= 0) return 1;
+
+            const occupancy = neighbors.filter(h => h.isOccupied()).length / neighbors.length;
+            const price = neighbors.reduce((sum, h) => sum + h.lastSellingPrice, 0) / neighbors.length;
+            const spillover = 1 + occupancyWeight * (occupancy - marketOccupancy) + priceWeight * (price / marketPrice - 1);
+            return Math.min(2, Math.max(0.5, spillover));
+        });
+
+        houses.forEach((house, i) => {
+            house.spillover = spillovers[i];
+        });
+    }
+
+    /**
+     * Summarizes each neighborhood: housing stock, occupancy, values and the wealth of the
+     * households living there (owners, or tenants of rentals).
+     * @param {House[]} houses - All houses in the market
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {Object[]} Per-neighborhood statistics
+     */
+    getNeighborhoodStats(houses, valueIntrinsicness = 0.7) {
+        return this.neighborhoods.map(neighborhood => {
+            const zoneHouses = houses.filter(h => h.neighborhood === neighborhood.id);
+            const owners = zoneHouses.filter(h => h.isOccupied()).map(h => h.getOccupant());
+            return {
+                id: neighborhood.id,
+                name: neighborhood.name,
+                amenity: neighborhood.amenity,
+                houses: zoneHouses.length,
+                occupied: owners.length,
+                occupancyRate: zoneHouses.length > 0 ? owners.length / zoneHouses.length : 0,
+                averageValue: zoneHouses.length > 0
+                    ? zoneHouses.reduce((sum, h) => sum + h.calculateValue(valueIntrinsicness), 0) / zoneHouses.length
+                    : 0,
+                averageOwnerWealth: owners.length > 0 ? owners.reduce((sum, p) => sum + p.wealth, 0) / owners.length : 0
+            };
+        });
+    }
+
+    /**
+     * Measures spatial segregation by wealth: the share of the variance in residents' wealth
+     * that lies between neighborhoods rather than within them (0 = fully mixed, 1 = fully sorted).
+     * @param {House[]} houses - All houses in the market
+     * @returns {number} Between-neighborhood share of owner wealth variance
+     */
+    getWealthSegregation(houses) {
+        const occupied = houses.filter(h => h.isOccupied());
+        if (occupied.length < 2 || this.neighborhoods.length < 2) return 0;
+
+        const mean = occupied.reduce((sum, h) => sum + h.getOccupant().wealth, 0) / occupied.length;
+        const totalVariance = occupied.reduce((sum, h) => sum + Math.pow(h.getOccupant().wealth - mean, 2), 0);
+        if (totalVariance === 0) return 0;
+
+        const betweenVariance = this.neighborhoods.reduce((sum, neighborhood) => {
+            const zone = occupied.filter(h => h.neighborhood === neighborhood.id);
+            if (zone.length === 0) return sum;
+            const zoneMean = zone.reduce((total, h) => total + h.getOccupant().wealth, 0) / zone.length;
+            return sum + zone.length * Math.pow(zoneMean - mean, 2);
+        }, 0);
+
+        return betweenVariance / totalVariance;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geography;
+}
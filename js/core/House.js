@@ -4,6 +4,7 @@
  */
 class House {
     static idCounter = 0;
+    static MIN_INTRINSIC_VALUE = 1000; // Floor vacant depreciation stops at
 
     /**
      * Creates a new House instance.
@@ -16,6 +17,31 @@ class House {
         this.lastSellingPrice = initialPrice;
         this.owner = null;
         this.yearsSinceOwnership = 0;
+        this.seller = null; // Previous owner awaiting the sale proceeds
+        this.sellerDebt = 0; // Mortgage balance to repay out of the proceeds
+        this.yearsUnsold = 0; // Years this listing has gone through auctions without selling
+        this.x = null; // Grid position, assigned by Geography
+        this.y = null;
+        this.neighborhood = null; // Neighborhood id, assigned by Geography
+        this.amenity = 1; // Neighborhood amenity multiplier on intrinsic value
+        this.spillover = 1; // Multiplier from neighbors' occupancy and prices
+        this.type = null; // House type name (null = untyped)
+        this.quality = null; // Quality tier within the type: 'basic', 'standard' or 'premium'
+        this.size = null; // Floor area in square meters
+        this.capacity = null; // Largest household that fits (null = any)
+        this.rental = false; // Owned by a landlord and let to tenants rather than lived in
+        this.tenant = null; // Household renting the house
+        this.rent = 0; // Annual rent the tenant pays
+        this.age = 0; // Years since the house was built
+        this.yearsSinceRenovation = 0; // Years since it was built or last renovated
+    }
+
+    /**
+     * Gets the combined location effect on intrinsic value.
+     * @returns {number} Amenity multiplier times spillover multiplier
+     */
+    getLocationMultiplier() {
+        return this.amenity * this.spillover;
     }
 
     /**
@@ -24,11 +50,47 @@ class House {
      * @returns {number} The calculated house value
      */
     calculateValue(valueIntrinsicness = 0.7) {
-        // Hybrid value: weighted average of intrinsic value and market price
-        return valueIntrinsicness * this.intrinsicValue + 
+        // Hybrid value: weighted average of location-adjusted intrinsic value and market price
+        return valueIntrinsicness * this.intrinsicValue * this.getLocationMultiplier() + 
                (1 - valueIntrinsicness) * this.lastSellingPrice;
     }
 
+    /**
+     * Calculates the lowest price the seller will accept.
+     * Modes: 'none' (any bid wins), 'last_price', 'intrinsic', 'value' (calculateValue), or
+     * 'seller' (what the seller paid, and at least their outstanding mortgage).
+     * The reserve decays for every year the listing goes unsold.
+     * @param {string} mode - How the reserve is derived
+     * @param {number} ratio - Multiplier applied to the base price (default 1)
+     * @param {number} decay - Yearly reserve reduction while unsold (e.g., 0.1 for 10%)
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in 'value' mode
+     * @returns {number} Reserve price (0 if there is none)
+     */
+    getReservePrice(mode, ratio = 1, decay = 0, valueIntrinsicness = 0.7) {
+        let basePrice;
+        switch (mode) {
+            case 'last_price':
+                basePrice = this.lastSellingPrice;
+                break;
+            case 'intrinsic':
+                basePrice = this.intrinsicValue;
+                break;
+            case 'value':
+                basePrice = this.calculateValue(valueIntrinsicness);
+                break;
+            case 'seller':
+                // Sellers anchor on what they paid and avoid selling underwater; unowned stock lists at value
+                basePrice = this.seller
+                    ? Math.max(this.lastSellingPrice, this.sellerDebt)
+                    : this.calculateValue(valueIntrinsicness);
+                break;
+            default:
+                return 0;
+        }
+        
+        return basePrice * ratio * Math.pow(1 - decay, this.yearsUnsold);
+    }
+
     /**
      * Checks if the house is available for purchase.
      * @returns {boolean} True if the house has no owner
@@ -37,6 +99,22 @@ class House {
         return this.owner === null;
     }
 
+    /**
+     * Gets the household living in the house: the tenant of a rental, otherwise the owner.
+     * @returns {Person|null} The occupant (null if vacant)
+     */
+    getOccupant() {
+        return this.rental ? this.tenant : this.owner;
+    }
+
+    /**
+     * Checks if anyone lives in the house.
+     * @returns {boolean} True if the house has an occupant
+     */
+    isOccupied() {
+        return this.getOccupant() !== null;
+    }
+
     /**
      * Sets the house's owner and resets ownership years.
      * @param {Person} person - The new owner
@@ -46,6 +124,53 @@ class House {
         this.yearsSinceOwnership = 0;
     }
 
+    /**
+     * Records a purchase to let out: the buyer owns the house without living in it, and it
+     * has no tenant yet.
+     * @param {Person|Investor} owner - The buyer (a landlord or an investor)
+     * @param {number} price - The purchase price
+     */
+    setRentalOwner(owner, price) {
+        this.setOwner(owner);
+        this.rental = true;
+        this.tenant = null;
+        this.rent = 0;
+        this.lastSellingPrice = price;
+        this.seller = null;
+        this.sellerDebt = 0;
+        this.yearsUnsold = 0;
+    }
+
+    /**
+     * Puts the house on the market, ending any tenancy. The seller receives the proceeds,
+     * less the debt on the house, when it sells.
+     * @param {Person|Investor} seller - The owner selling the house
+     * @param {number} debt - Mortgage balance to repay out of the proceeds
+     * @returns {House} This house
+     */
+    listForSale(seller, debt = 0) {
+        if (this.tenant) {
+            this.tenant.leaveRental();
+        }
+        this.owner = null;
+        this.rental = false;
+        this.yearsSinceOwnership = 0; // Reset to mark as "just-available"
+        this.seller = seller;
+        this.sellerDebt = debt;
+        this.yearsUnsold = 0;
+        return this;
+    }
+
+    /**
+     * Gets the total value of a set of houses.
+     * @param {House[]} houses - The houses
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in the valuation
+     * @returns {number} Sum of the houses' values
+     */
+    static getTotalValue(houses, valueIntrinsicness = 0.7) {
+        return houses.reduce((sum, house) => sum + house.calculateValue(valueIntrinsicness), 0);
+    }
+
     /**
      * Increments the years since ownership change (used for color state transitions).
      */
@@ -54,6 +179,42 @@ class House {
         this.yearsSinceOwnership++;
     }
 
+    /**
+     * Ages the house by a year.
+     */
+    incrementAge() {
+        this.age++;
+        this.yearsSinceRenovation++;
+    }
+
+    /**
+     * Applies a year of physical wear, which every house suffers whether occupied or not.
+     * @param {number} depreciationRate - Yearly share of intrinsic value lost (e.g., 0.01 for 1%)
+     * @returns {number} Intrinsic value lost
+     */
+    applyPhysicalDepreciation(depreciationRate) {
+        const oldValue = this.intrinsicValue;
+        this.intrinsicValue = Math.max(this.intrinsicValue * (1 - depreciationRate), House.MIN_INTRINSIC_VALUE);
+        return Math.max(0, oldValue - this.intrinsicValue);
+    }
+
+    /**
+     * Makes good wear with maintenance spending, restoring intrinsic value one for one.
+     * @param {number} amount - Amount spent on maintenance
+     */
+    repair(amount) {
+        this.intrinsicValue += amount;
+    }
+
+    /**
+     * Renovates the house, raising its intrinsic value and restarting the renovation clock.
+     * @param {number} gain - Share by which intrinsic value rises (e.g., 0.25 for 25%)
+     */
+    renovate(gain) {
+        this.intrinsicValue *= 1 + gain;
+        this.yearsSinceRenovation = 0;
+    }
+
     /**
      * Applies depreciation to vacant houses.
      * @param {number} depreciationRate - Yearly depreciation rate (e.g., 0.05 for 5%)
@@ -63,15 +224,19 @@ class House {
         if (this.isAvailable() && depreciationRate > 0) {
             this.intrinsicValue *= (1 - depreciationRate);
             // Ensure intrinsic value doesn't go below a minimum threshold
-            this.intrinsicValue = Math.max(this.intrinsicValue, 1000); // Minimum $1,000
+            this.intrinsicValue = Math.max(this.intrinsicValue, House.MIN_INTRINSIC_VALUE);
         }
     }
 
     /**
      * Determines the visual state for rendering colors.
-     * @returns {string} Color state: 'available', 'just-available', 'occupied', or 'just-occupied'
+     * @returns {string} Color state: 'available', 'just-available', 'occupied', 'just-occupied',
+     *   'rented' or 'vacant-rental'
      */
     getColorState() {
+        if (this.rental) {
+            return this.tenant ? 'rented' : 'vacant-rental';
+        }
         if (this.isAvailable()) {
             return this.yearsSinceOwnership === 0 ? 'just-available' : 'available';
         } else {
@@ -84,15 +249,30 @@ class House {
      * @returns {Object} Object containing formatted house data
      */
     getDisplayInfo() {
+        const occupant = this.getOccupant();
         return {
             id: this.id,
             intrinsicValue: this.intrinsicValue,
             lastSellingPrice: this.lastSellingPrice,
+            neighborhood: this.neighborhood,
+            locationMultiplier: this.getLocationMultiplier(),
+            type: this.type,
+            quality: this.quality,
+            size: this.size,
+            capacity: this.capacity,
             currentValue: this.calculateValue(),
             isAvailable: this.isAvailable(),
             ownerId: this.owner ? this.owner.id : null,
             ownerWealth: this.owner ? this.owner.wealth : null,
+            ownerHousehold: occupant && occupant.age !== null
+                ? `${occupant.getLifeStage()}, ${occupant.householdSize} people, age ${occupant.age}`
+                : null,
+            rental: this.rental,
+            tenantId: this.tenant ? this.tenant.id : null,
+            rent: this.rent,
+            formattedRent: MathUtils.formatCurrency(this.rent),
             yearsSinceOwnership: this.yearsSinceOwnership,
+            age: this.age,
             colorState: this.getColorState(),
             formattedIntrinsicValue: MathUtils.formatCurrency(this.intrinsicValue),
             formattedLastPrice: MathUtils.formatCurrency(this.lastSellingPrice),
@@ -100,6 +280,65 @@ class House {
         };
     }
 
+    /**
+     * Returns the house's state as a plain object for snapshots.
+     * The owner, seller and tenant are stored by ID and re-linked by Market.deserialize().
+     * @returns {Object} Serializable house state
+     */
+    serialize() {
+        return {
+            id: this.id,
+            intrinsicValue: this.intrinsicValue,
+            lastSellingPrice: this.lastSellingPrice,
+            ownerId: this.owner ? this.owner.id : null,
+            sellerId: this.seller ? this.seller.id : null,
+            sellerDebt: this.sellerDebt,
+            yearsSinceOwnership: this.yearsSinceOwnership,
+            yearsUnsold: this.yearsUnsold,
+            x: this.x,
+            y: this.y,
+            neighborhood: this.neighborhood,
+            amenity: this.amenity,
+            spillover: this.spillover,
+            type: this.type,
+            quality: this.quality,
+            size: this.size,
+            capacity: this.capacity,
+            rental: this.rental,
+            tenantId: this.tenant ? this.tenant.id : null,
+            rent: this.rent,
+            age: this.age,
+            yearsSinceRenovation: this.yearsSinceRenovation
+        };
+    }
+
+    /**
+     * Recreates a house from serialized state (without its owner, seller and tenant links).
+     * @param {Object} data - State from serialize()
+     * @returns {House} The restored house
+     */
+    static deserialize(data) {
+        const house = new House(data.intrinsicValue, data.lastSellingPrice);
+        house.id = data.id;
+        house.yearsSinceOwnership = data.yearsSinceOwnership;
+        house.sellerDebt = data.sellerDebt || 0;
+        house.yearsUnsold = data.yearsUnsold || 0;
+        house.x = data.x ?? null;
+        house.y = data.y ?? null;
+        house.neighborhood = data.neighborhood ?? null;
+        house.amenity = data.amenity ?? 1;
+        house.spillover = data.spillover ?? 1;
+        house.type = data.type ?? null;
+        house.quality = data.quality ?? null;
+        house.size = data.size ?? null;
+        house.capacity = data.capacity ?? null;
+        house.rental = data.rental ?? false;
+        house.rent = data.rent ?? 0;
+        house.age = data.age ?? 0;
+        house.yearsSinceRenovation = data.yearsSinceRenovation ?? house.age;
+        return house;
+    }
+
     toString() {
         const ownerInfo = this.owner ? ` (owned by ${this.owner.id})` : ' (available)';
         const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
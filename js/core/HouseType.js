@@ -0,0 +1,119 @@
+/**
+ * Registry of house types. Each type has its own price distribution (as multiples of the
+ * market's house_price_mean and house_price_std), a floor area, and the largest household
+ * it fits. Households prefer the smallest type that fits them, which drives upgrade chains
+ * as households grow and filtering down as houses depreciate.
+ */
+class HouseType {
+    static TYPES = {
+        apartment: {
+            description: 'Small, cheap units for one or two people',
+            priceMultiplier: 0.6,
+            stdMultiplier: 0.5,
+            size: 70, // Square meters
+            capacity: 2
+        },
+        townhouse: {
+            description: 'Mid-sized family homes',
+            priceMultiplier: 1.0,
+            stdMultiplier: 0.7,
+            size: 120,
+            capacity: 4
+        },
+        detached: {
+            description: 'Large, expensive houses for big households',
+            priceMultiplier: 1.6,
+            stdMultiplier: 1.0,
+            size: 200,
+            capacity: 8
+        }
+    };
+
+    // Quality tiers by how far a house's price sits from its type's mean, in standard deviations
+    static QUALITY_TIERS = [
+        { name: 'basic', below: -0.5 },
+        { name: 'standard', below: 0.5 },
+        { name: 'premium', below: Infinity }
+    ];
+
+    /**
+     * Adds (or replaces) a house type.
+     * @param {string} name - Type name used in house_type_mix and on House.type
+     * @param {Object} definition - {description, priceMultiplier, stdMultiplier, size, capacity}
+     */
+    static register(name, definition) {
+        ['priceMultiplier', 'stdMultiplier', 'size', 'capacity'].forEach(key => {
+            if (typeof definition[key] !== 'number' || definition[key] <= 0) {
+                throw new Error(`House type ${name} must have a positive ${key}`);
+            }
+        });
+        this.TYPES[name] = { ...definition };
+    }
+
+    /**
+     * Gets the names of all registered types.
+     * @returns {string[]} Type names
+     */
+    static getNames() {
+        return Object.keys(this.TYPES);
+    }
+
+    /**
+     * Looks up a type by name.
+     * @param {string} name - Type name
+     * @returns {Object} Type definition
+     */
+    static get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.TYPES, name)) {
+            throw new Error(`Unknown house type: ${name}`);
+        }
+        return this.TYPES[name];
+    }
+
+    /**
+     * Gets the price distribution for a type.
+     * @param {string} name - Type name
+     * @param {number} priceMean - Market-wide house_price_mean
+     * @param {number} priceStd - Market-wide house_price_std
+     * @returns {Object} {mean, std}
+     */
+    static getPriceDistribution(name, priceMean, priceStd) {
+        const type = this.get(name);
+        return { mean: priceMean * type.priceMultiplier, std: priceStd * type.stdMultiplier };
+    }
+
+    /**
+     * Classifies a price into a quality tier for its type.
+     * @param {number} price - The house's intrinsic value
+     * @param {Object} distribution - {mean, std} from getPriceDistribution()
+     * @returns {string} Tier name: 'basic', 'standard' or 'premium'
+     */
+    static getQualityTier(price, distribution) {
+        const z = distribution.std > 0 ? (price - distribution.mean) / distribution.std : 0;
+        return this.QUALITY_TIERS.find(tier => z < tier.below).name;
+    }
+
+    /**
+     * Picks the type a household prefers: the smallest one that fits it.
+     * @param {number} householdSize - Number of people in the household
+     * @returns {string} Preferred type name (the largest type if none fits)
+     */
+    static getPreferredType(householdSize) {
+        const bySize = this.getNames().sort((a, b) => this.TYPES[a].capacity - this.TYPES[b].capacity);
+        return bySize.find(name => this.TYPES[name].capacity >= householdSize) || bySize[bySize.length - 1];
+    }
+
+    /**
+     * Checks a type mix, returning a list of problems (empty if valid).
+     * @param {Object} mix - Map of type name to relative weight
+     * @returns {string[]} Validation errors
+     */
+    static validateMix(mix) {
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        return MathUtilsRef.validateWeightMix(mix, 'house_type_mix', Object.keys(this.TYPES), 'house type');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HouseType;
+}
@@ -0,0 +1,142 @@
+/**
+ * An institutional investor: a non-occupant buyer that bids in the same auctions as
+ * households but never lives in what it buys. It values houses at a fixed ratio of their
+ * value, spends only the cash it has, holds up to a set number of houses and lists them
+ * again once they have gained enough (or been held too long). Held houses are let out
+ * when the rental market is on and stay empty otherwise.
+ */
+class Investor {
+    static idCounter = 0;
+
+    /**
+     * Creates a new Investor instance.
+     * @param {number} wealth - Cash available for purchases
+     * @param {Object} rules - {bidRatio, maxHoldings, holdYears, resaleGain, maxHoldYears}
+     */
+    constructor(wealth, rules = {}) {
+        this.id = `investor_${++Investor.idCounter}`;
+        this.wealth = wealth;
+        this.properties = []; // Houses held
+        this.rules = { bidRatio: 0.9, maxHoldings: 10, holdYears: 3, resaleGain: 0.1, maxHoldYears: 10, ...rules };
+    }
+
+    /**
+     * Investors never bid for a house to live in.
+     * @returns {boolean} Always false
+     */
+    shouldBid() {
+        return false;
+    }
+
+    /**
+     * Determines if the investor wants a house: it has room in its portfolio, the house
+     * isn't one it is selling, and its cash covers its valuation of the house.
+     * @param {House} house - The house to consider
+     * @param {number} houseValue - The house's current value
+     * @returns {boolean} True if the investor should bid
+     */
+    shouldInvest(house, houseValue) {
+        if (this.properties.length >= this.rules.maxHoldings || house.seller === this) {
+            return false;
+        }
+        return this.wealth >= houseValue * this.rules.bidRatio;
+    }
+
+    /**
+     * Gets the investor's bid: its valuation of the house, capped by its cash.
+     * @param {number} houseValue - The house's current value
+     * @returns {number} Bid amount
+     */
+    getInvestmentBid(houseValue) {
+        return Math.min(this.wealth, houseValue * this.rules.bidRatio);
+    }
+
+    /**
+     * Takes ownership of a purchased house. The house becomes non-occupant (rental) tenure.
+     * @param {House} house - The house bought
+     * @param {number} price - The purchase price
+     */
+    buyRental(house, price) {
+        this.properties.push(house);
+        house.setRentalOwner(this, price);
+    }
+
+    /**
+     * Picks the houses to put back on the market: those held at least holdYears whose value
+     * has risen by resaleGain over the purchase price, and any held maxHoldYears or more.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {House[]} Houses to sell
+     */
+    selectResales(valueIntrinsicness = 0.7) {
+        return this.properties.filter(house => {
+            if (house.yearsSinceOwnership < this.rules.holdYears) return false;
+            return house.yearsSinceOwnership >= this.rules.maxHoldYears ||
+                house.calculateValue(valueIntrinsicness) >= house.lastSellingPrice * (1 + this.rules.resaleGain);
+        });
+    }
+
+    /**
+     * Lists a held house for sale, ending any tenancy.
+     * @param {House} house - The house to sell
+     * @returns {House} The listed house
+     */
+    sellProperty(house) {
+        this.properties = this.properties.filter(property => property !== house);
+        return house.listForSale(this);
+    }
+
+    /**
+     * Receives the proceeds of a sale.
+     * @param {number} price - The sale price
+     * @param {number} debt - Debt outstanding on the house (investors buy with cash, so normally 0)
+     * @returns {number} Net proceeds
+     */
+    receiveSaleProceeds(price, debt = 0) {
+        const netProceeds = price - debt;
+        this.wealth += netProceeds;
+        return netProceeds;
+    }
+
+    /**
+     * Gets the value of the houses held.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {number} Total value of holdings
+     */
+    getPropertyValue(valueIntrinsicness = 0.7) {
+        const HouseRef = typeof House !== 'undefined' ? House : require('./House.js');
+        return HouseRef.getTotalValue(this.properties, valueIntrinsicness);
+    }
+
+    /**
+     * Returns the investor's state as a plain object for snapshots.
+     * Holdings are re-linked from the houses' side by Market.deserialize().
+     * @returns {Object} Serializable investor state
+     */
+    serialize() {
+        return {
+            id: this.id,
+            wealth: this.wealth,
+            rules: { ...this.rules }
+        };
+    }
+
+    /**
+     * Recreates an investor from serialized state (without its holdings).
+     * @param {Object} data - State from serialize()
+     * @returns {Investor} The restored investor
+     */
+    static deserialize(data) {
+        const investor = new Investor(data.wealth, data.rules);
+        investor.id = data.id;
+        return investor;
+    }
+
+    toString() {
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        return `${this.id}: ${MathUtilsRef.formatCurrency(this.wealth)} (${this.properties.length} houses)`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Investor;
+}
@@ -0,0 +1,117 @@
+/**
+ * Yearly household life events: ageing, retirement, deaths, children leaving home,
+ * births, divorces and marriages. LifeCycle only changes the households themselves;
+ * Market decides what each outcome means for houses (exits, sales and new entrants).
+ */
+class LifeCycle {
+    static INITIAL_AGE_RANGE = [25, 80]; // Ages of the starting population
+    static ENTRY_AGE_RANGE = [25, 35]; // Ages of households entering the market
+    static MARRIAGE_MAX_AGE = 50;
+    static BIRTH_MAX_AGE = 45;
+    static MAX_CHILDREN = 4;
+
+    /**
+     * Creates a new LifeCycle instance.
+     * @param {Config} config - Configuration object containing life-cycle rates
+     */
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Annual probability that an adult of the given age dies (Gompertz mortality).
+     * @param {number} age - Age in years
+     * @returns {number} Death probability (0-1)
+     */
+    getMortality(age) {
+        return Math.min(1, this.config.get('mortality_at_65') * Math.exp(this.config.get('mortality_growth') * (age - 65)));
+    }
+
+    /**
+     * Draws an age for a new household.
+     * @param {boolean} initialPopulation - True for the starting population, false for entrants
+     * @param {Object} random - Random source with next()
+     * @returns {number} Age in whole years
+     */
+    drawAge(initialPopulation, random) {
+        const [min, max] = initialPopulation ? LifeCycle.INITIAL_AGE_RANGE : LifeCycle.ENTRY_AGE_RANGE;
+        return min + Math.floor(random.next() * (max - min));
+    }
+
+    /**
+     * Runs one year of life events for every household.
+     * @param {Person[]} people - Households in the market (not modified as a list)
+     * @param {Object} random - Random source with next()
+     * @returns {Object} {ended, marriages, divorces, events}: households whose last adult died,
+     *   [household, spouse] pairs to merge, {person, wealth, income} shares for departing partners,
+     *   and counts of each event
+     */
+    processYear(people, random) {
+        const events = { deaths: 0, births: 0, marriages: 0, divorces: 0, retirements: 0, childrenLeft: 0 };
+        const ended = [];
+        const divorces = [];
+        const singles = [];
+
+        people.forEach(person => {
+            if (person.age === null) return;
+            person.age++;
+
+            if (!person.retired && person.age >= this.config.get('retirement_age')) {
+                person.retire(this.config.get('retirement_income_ratio'));
+                events.retirements++;
+            }
+
+            // Each adult faces mortality independently; a surviving partner keeps the household
+            const mortality = this.getMortality(person.age);
+            const adults = person.adults;
+            for (let i = 0; i < adults; i++) {
+                if (random.next() < mortality) {
+                    person.adults--;
+                    events.deaths++;
+                }
+            }
+            if (person.adults === 0) {
+                ended.push(person);
+                return;
+            }
+
+            const children = person.children;
+            for (let i = 0; i < children; i++) {
+                if (random.next() < this.config.get('child_leave_rate')) {
+                    person.children--;
+                    events.childrenLeft++;
+                }
+            }
+
+            if (person.adults === 2) {
+                if (random.next() < this.config.get('divorce_rate')) {
+                    divorces.push({ person: person, ...person.splitHousehold() });
+                    events.divorces++;
+                } else if (person.age < LifeCycle.BIRTH_MAX_AGE && person.children < LifeCycle.MAX_CHILDREN &&
+                           random.next() < this.config.get('birth_rate')) {
+                    person.children++;
+                    events.births++;
+                }
+            } else if (person.age < LifeCycle.MARRIAGE_MAX_AGE && random.next() < this.config.get('marriage_rate')) {
+                singles.push(person);
+            }
+
+            person.updateHouseholdSize();
+        });
+
+        // Singles looking to marry pair up with each other; an odd one out waits a year
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        const shuffled = MathUtilsRef.shuffleArray(singles, random);
+        const marriages = [];
+        for (let i = 0; i + 1 < shuffled.length; i += 2) {
+            marriages.push([shuffled[i], shuffled[i + 1]]);
+            events.marriages++;
+        }
+
+        return { ended: ended, marriages: marriages, divorces: divorces, events: events };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeCycle;
+}
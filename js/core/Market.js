@@ -3,13 +3,17 @@
  * Handles market initialization, turnover, and auction processes.
  */
 class Market {
+    static SNAPSHOT_VERSION = 1;
+
     /**
      * Creates a new Market instance.
      * @param {Config} config - Configuration object containing market parameters
+     * @param {Object} snapshot - Optional state from serialize() to restore instead of initializing
      */
-    constructor(config) {
+    constructor(config, snapshot = null) {
         this.config = config;
         this.people = [];
+        this.investors = []; // Institutional buyers (not households)
         this.houses = [];
         this.availableHouses = [];
         this.currentYear = config.get('starting_year');
@@ -17,15 +21,52 @@ class Market {
         
         // Handle dependencies for both browser and Node.js
         this.MathUtils = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        this.SeededRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('../utils/SeededRandom.js');
         this.House = typeof House !== 'undefined' ? House : require('./House.js');
         this.Person = typeof Person !== 'undefined' ? Person : require('./Person.js');
         this.Auction = typeof Auction !== 'undefined' ? Auction : require('./Auction.js');
+        this.BiddingStrategy = typeof BiddingStrategy !== 'undefined' ? BiddingStrategy : require('./BiddingStrategy.js');
         this.AnalyticsHistory = typeof AnalyticsHistory !== 'undefined' ? AnalyticsHistory : require('./AnalyticsHistory.js');
+        this.Geography = typeof Geography !== 'undefined' ? Geography : require('./Geography.js');
+        this.HouseType = typeof HouseType !== 'undefined' ? HouseType : require('./HouseType.js');
+        this.LifeCycle = typeof LifeCycle !== 'undefined' ? LifeCycle : require('./LifeCycle.js');
+        this.RentalMarket = typeof RentalMarket !== 'undefined' ? RentalMarket : require('./RentalMarket.js');
+        this.Investor = typeof Investor !== 'undefined' ? Investor : require('./Investor.js');
+        this.ShockScheduler = typeof ShockScheduler !== 'undefined' ? ShockScheduler : require('./ShockScheduler.js');
+        this.Policy = typeof Policy !== 'undefined' ? Policy : require('./Policy.js');
+        this.Construction = typeof Construction !== 'undefined' ? Construction : require('./Construction.js');
+        this.PriceExpectations = typeof PriceExpectations !== 'undefined' ? PriceExpectations : require('./PriceExpectations.js');
+        this.PriceIndex = typeof PriceIndex !== 'undefined' ? PriceIndex : require('./PriceIndex.js');
+        this.TransactionLedger = typeof TransactionLedger !== 'undefined' ? TransactionLedger : require('./TransactionLedger.js');
+        
+        // Grid layout and neighborhoods (derived from config, so snapshots only store house placement)
+        this.geography = new this.Geography(config);
+        this.lifeCycle = new this.LifeCycle(config);
+        this.rentalMarket = new this.RentalMarket(config);
+        this.shockScheduler = new this.ShockScheduler(config);
+        this.interestRate = null; // Mortgage rate set by a shock (null = mortgage_interest_rate)
+        this.policy = new this.Policy(config);
+        this.construction = new this.Construction(config);
+        this.priceIndex = new this.PriceIndex();
+        
+        // Seeded random source shared by every stochastic step of this market
+        this.random = new this.SeededRandom(config.get('random_seed'));
+        this.randomSeed = this.random.getSeed();
         
         // Initialize analytics history tracking
         this.analyticsHistory = new this.AnalyticsHistory();
+        this.analyticsHistory.randomSeed = this.randomSeed;
         
-        this.initialize();
+        // Every sale made at auction over the run
+        this.transactionLedger = new this.TransactionLedger();
+        
+        if (snapshot) {
+            this.restoreState(snapshot);
+        } else {
+            // A config reused from an earlier run starts again from its base settings
+            this.config.clearOverrides();
+            this.initialize();
+        }
     }
 
     /**
@@ -33,31 +74,42 @@ class Market {
      */
     initialize() {
         console.log('=== Initializing Market ===');
+        console.log(`Random seed: ${this.randomSeed}`);
         
         // Create houses
         for (let i = 0; i < this.config.get('num_houses'); i++) {
-            const intrinsicValue = this.MathUtils.generateGaussian(
-                this.config.get('house_price_mean'),
-                this.config.get('house_price_std')
-            );
-            const initialPrice = intrinsicValue; // Start with intrinsic = price
-            
-            const house = new this.House(intrinsicValue, initialPrice);
+            const house = this.createHouse(i);
             this.houses.push(house);
             this.availableHouses.push(house);
         }
+        
+        // The initial stock was built over the years before the run
+        const maxAge = this.config.get('initial_house_age_max');
+        if (maxAge > 0) {
+            this.houses.forEach(house => {
+                house.age = Math.floor(this.random.next() * (maxAge + 1));
+                house.yearsSinceRenovation = house.age;
+            });
+        }
 
         // Create people
         for (let i = 0; i < this.config.get('num_people'); i++) {
             const wealth = this.MathUtils.generatePowerLawWealth(
                 this.config.get('wealth_mean'),
-                this.config.get('wealth_std')
+                this.config.get('wealth_std'),
+                this.random
             );
             
-            const person = new this.Person(wealth, null, this.currentYear);
+            const person = this.createPerson(wealth, true);
             this.people.push(person);
         }
 
+        this.createInvestors();
+        
+        // Starting price level, for the first year's price growth
+        this.priceLevel = this.getPriceLevel();
+        this.lastPriceGrowth = 0;
+        
         console.log(`Created ${this.houses.length} houses and ${this.people.length} people`);
         
         // Initialize with 80% occupancy - match people to houses by wealth
@@ -87,8 +139,9 @@ class Market {
             const house = sortedHouses[i];
             const person = sortedPeople[i];
             
-            // Set up the ownership
+            // Set up the ownership (initial owners are endowed with their house: no payment, no mortgage)
             person.buyHouse(house, house.calculateValue());
+            person.yearFirstHoused = this.currentYear;
             
             // Remove from available houses
             this.availableHouses = this.availableHouses.filter(h => h !== house);
@@ -111,21 +164,58 @@ class Market {
         console.log(`YEAR ${this.currentYear} (Tick ${this.tickCount})`);
         console.log(`${'='.repeat(50)}`);
         
+        // Apply scenario setting changes and economic shocks due this year
+        this.processTimeline();
+        this.processShocks();
+        
         // Age all house ownerships
         this.houses.forEach(house => house.incrementOwnershipYears());
         
         // Apply vacant house depreciation
         this.applyVacantDepreciation();
         
+        // Age every house: wear, owners' maintenance and renovations
+        this.processHouseAgeing();
+        
+        // Update location values from neighbors
+        this.applySpillovers();
+        
+        // Earn income and save
+        this.processIncomeAndSavings();
+        
+        // Owners pay property and vacancy taxes
+        this.processPropertyTaxes();
+        
         // Process exits
         this.processExits();
         
         // Process entries
         this.processEntries();
         
+        // Investors list houses they are done holding
+        this.processInvestorResales();
+        
+        // Demolish derelict houses and build new ones (finished houses join this year's auctions)
+        this.processConstruction();
+        
         // Conduct auctions
         this.conductAuctions();
         
+        // Update the price indices from this year's sales
+        this.processPriceIndices();
+        
+        // Update price expectations from this year's prices
+        this.processExpectations();
+        
+        // Collect rents and let vacant rentals
+        this.processRentalMarket();
+        
+        // Collect mortgage payments (foreclosed houses go back on the market)
+        this.processMortgagePayments();
+        
+        // Pay out the year's tax revenue, if policy says to
+        this.processPolicyRevenue();
+        
         // Show market status
         this.showMarketStatus();
         
@@ -136,6 +226,100 @@ class Market {
         this.currentYear++;
     }
 
+    /**
+     * Applies the timeline's setting changes for the current year. Changes last for the rest
+     * of the run (they are overrides, so the saved settings are untouched).
+     */
+    processTimeline() {
+        const steps = this.config.get('timeline').filter(step => step.year === this.currentYear);
+        if (steps.length === 0) return;
+        
+        console.log(`\n--- Scenario Timeline ---`);
+        steps.forEach(step => {
+            this.config.override(step.set);
+            Object.entries(step.set).forEach(([key, value]) => {
+                console.log(`${key} set to ${JSON.stringify(value)}`);
+            });
+        });
+    }
+
+    /**
+     * Applies the shocks scheduled for (or drawn in) the current year and records them
+     * for the analytics history.
+     */
+    processShocks() {
+        this.lastShocks = [];
+        const due = this.shockScheduler.getDueShocks(this.currentYear, this.random);
+        if (due.length === 0) return;
+        
+        console.log(`\n--- Economic Shocks ---`);
+        due.forEach(shock => {
+            this.ShockScheduler.get(shock.type).apply(this, shock);
+            const label = this.ShockScheduler.describe(shock);
+            this.lastShocks.push({ type: shock.type, label: label });
+            console.log(label);
+        });
+    }
+
+    /**
+     * Ages every house a year. With physical depreciation on, every house loses value to wear
+     * and owners pay to make good maintenance_rate of it (as far as their wealth goes). With
+     * renovation on, owners renovate houses that have gone renovation_age years without,
+     * when they can pay for it.
+     */
+    processHouseAgeing() {
+        this.lastAgeing = null;
+        this.houses.forEach(house => house.incrementAge());
+        
+        const depreciationRate = this.config.get('physical_depreciation');
+        const renovationEnabled = this.config.get('renovation_enabled');
+        if (depreciationRate <= 0 && !renovationEnabled) return;
+        
+        const maintenanceRate = this.config.get('maintenance_rate');
+        const renovationAge = this.config.get('renovation_age');
+        const renovationCost = this.config.get('renovation_cost');
+        const renovationGain = this.config.get('renovation_gain');
+        const ageing = { depreciation: 0, maintenance: 0, renovations: 0, renovationSpending: 0 };
+        
+        this.houses.forEach(house => {
+            const wear = depreciationRate > 0 ? house.applyPhysicalDepreciation(depreciationRate) : 0;
+            ageing.depreciation += wear;
+            if (!house.owner) return;
+            
+            const maintenance = Math.min(wear * maintenanceRate, Math.max(0, house.owner.wealth));
+            if (maintenance > 0) {
+                house.owner.wealth -= maintenance;
+                house.repair(maintenance);
+                ageing.maintenance += maintenance;
+            }
+            
+            if (renovationEnabled && house.yearsSinceRenovation >= renovationAge) {
+                const cost = house.intrinsicValue * renovationCost;
+                if (house.owner.wealth >= cost) {
+                    house.owner.wealth -= cost;
+                    house.renovate(renovationGain);
+                    ageing.renovations++;
+                    ageing.renovationSpending += cost;
+                }
+            }
+        });
+        
+        this.lastAgeing = ageing;
+        console.log(`\n--- House Ageing ---`);
+        console.log(`Wear ${this.MathUtils.formatCurrency(ageing.depreciation)}, maintenance ${this.MathUtils.formatCurrency(ageing.maintenance)}, ${ageing.renovations} renovation${ageing.renovations !== 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Updates each house's spillover multiplier from its neighbors' occupancy and prices.
+     */
+    applySpillovers() {
+        const occupancyWeight = this.config.get('spillover_occupancy');
+        const priceWeight = this.config.get('spillover_price');
+        if (occupancyWeight <= 0 && priceWeight <= 0) return;
+        
+        this.geography.applySpillovers(this.houses, occupancyWeight, priceWeight, this.config.get('spillover_radius'));
+    }
+
     /**
      * Applies depreciation to vacant houses based on configuration.
      */
@@ -174,27 +358,378 @@ class Market {
         }
     }
 
-    processExits() {
-        const turnoverOut = this.config.get('turnover_out');
-        if (turnoverOut === 0) return;
+    /**
+     * Creates a new market participant entering this year with the given wealth.
+     * When a bidding strategy mix is configured, the person is assigned a strategy from it.
+     * @param {number} wealth - Initial wealth
+     * @param {boolean} initialPopulation - True for the starting population (ages drawn from the initial range), false for entrants
+     * @returns {Person} The new person
+     */
+    createPerson(wealth, initialPopulation = false) {
+        const person = new this.Person(wealth, null, this.currentYear, this.drawIncome());
+        
+        const strategyMix = this.config.get('bidding_strategy_mix');
+        if (strategyMix) {
+            person.biddingStrategy = this.MathUtils.weightedChoice(Object.keys(strategyMix), Object.values(strategyMix), this.random);
+        }
+        const expectationMix = this.config.get('expectation_rule_mix');
+        if (expectationMix) {
+            person.expectationRule = this.MathUtils.weightedChoice(Object.keys(expectationMix), Object.values(expectationMix), this.random);
+        }
+        
+        // With house types or life cycles, households come in different sizes
+        const houseTypes = this.config.get('house_types_enabled');
+        const lifeCycle = this.config.get('life_cycle_enabled');
+        if (houseTypes || lifeCycle) {
+            const sizeWeights = this.config.get('household_size_weights');
+            const sizes = sizeWeights.map((_, i) => i + 1);
+            person.householdSize = this.MathUtils.weightedChoice(sizes, sizeWeights, this.random);
+        }
+        if (lifeCycle) {
+            person.adults = Math.min(2, person.householdSize);
+            person.children = person.householdSize - person.adults;
+            person.age = this.lifeCycle.drawAge(initialPopulation, this.random);
+            if (person.age >= this.config.get('retirement_age')) {
+                person.retire(this.config.get('retirement_income_ratio'));
+            }
+        }
+        if (houseTypes) {
+            // Households want the type that fits them
+            person.preferredType = this.HouseType.getPreferredType(person.householdSize);
+        }
+        if (this.config.get('rental_enabled')) {
+            person.isLandlord = this.random.next() < this.config.get('landlord_share');
+        }
+        return person;
+    }
+
+    /**
+     * Creates the institutional investors, each with the configured budget and rules.
+     */
+    createInvestors() {
+        const rules = {
+            bidRatio: this.config.get('investor_bid_ratio'),
+            maxHoldings: this.config.get('investor_max_holdings'),
+            holdYears: this.config.get('investor_hold_years'),
+            resaleGain: this.config.get('investor_resale_gain'),
+            maxHoldYears: this.config.get('investor_max_hold_years')
+        };
+        this.investors = Array.from({ length: this.config.get('num_investors') }, () =>
+            new this.Investor(this.config.get('investor_budget'), rules)
+        );
+    }
+
+    /**
+     * Creates a house with a random intrinsic value and places it on the grid.
+     * With house types enabled, the type is drawn from house_type_mix and sets the
+     * price distribution, size, capacity and quality tier.
+     * @param {number} index - The house's position in creation order
+     * @returns {House} The new house
+     */
+    createHouse(index) {
+        let distribution = { mean: this.config.get('house_price_mean'), std: this.config.get('house_price_std') };
+        let typeName = null;
+        if (this.config.get('house_types_enabled')) {
+            const mix = this.config.get('house_type_mix');
+            typeName = this.MathUtils.weightedChoice(Object.keys(mix), Object.values(mix), this.random);
+            distribution = this.HouseType.getPriceDistribution(typeName, distribution.mean, distribution.std);
+        }
+        
+        const intrinsicValue = this.MathUtils.generateGaussian(distribution.mean, distribution.std, this.random);
+        const initialPrice = intrinsicValue; // Start with intrinsic = price
+        
+        const house = new this.House(intrinsicValue, initialPrice);
+        if (typeName) {
+            const type = this.HouseType.get(typeName);
+            house.type = typeName;
+            house.size = type.size;
+            house.capacity = type.capacity;
+            house.quality = this.HouseType.getQualityTier(intrinsicValue, distribution);
+        }
+        this.geography.placeHouse(house, index);
+        return house;
+    }
+
+    /**
+     * Draws an annual income for a new person from the configured log-normal distribution.
+     * @returns {number} Annual income
+     */
+    drawIncome() {
+        return this.MathUtils.generateLogNormal(
+            this.config.get('income_mean'),
+            this.config.get('income_std'),
+            this.random
+        );
+    }
+
+    /**
+     * Pays everyone a year of income. Each person saves part of what is left after their
+     * mortgage payment, earns a return on their wealth, and sees their income grow.
+     */
+    processIncomeAndSavings() {
+        this.lastSavings = 0;
+        if (!this.config.get('income_enabled')) return;
+        
+        const savingsRate = this.config.get('savings_rate');
+        const wealthReturn = this.config.get('wealth_return');
+        const incomeGrowth = this.config.get('income_growth');
+        
+        this.people.forEach(person => {
+            this.lastSavings += person.earnIncome(savingsRate, wealthReturn, incomeGrowth);
+        });
+        
+        console.log(`\n--- Income & Savings ---`);
+        console.log(`${this.people.length} people added ${this.MathUtils.formatCurrency(this.lastSavings)} to their wealth`);
+    }
+
+    /**
+     * Starts the government's year and collects property tax (and vacancy tax on empty houses)
+     * from every owner.
+     */
+    processPropertyTaxes() {
+        this.policy.startYear();
+        const collected = this.policy.collectPropertyTaxes(this.houses, this.config.get('value_intrinsicness'));
+        if (collected === 0 && this.policy.lastYear.unpaidTax === 0) return;
         
-        // Select random people to exit from ALL people, not just housed ones
-        const exitingPeople = this.MathUtils.selectRandomElements(this.people, turnoverOut);
+        console.log(`\n--- Property Taxes ---`);
+        console.log(`Collected ${this.MathUtils.formatCurrency(this.policy.lastYear.propertyTax)} in property tax and ${this.MathUtils.formatCurrency(this.policy.lastYear.vacancyTax)} in vacancy tax`);
+    }
+
+    /**
+     * Reports the year's tax revenue and grants, and redistributes the net revenue when
+     * tax_revenue_use asks for it.
+     */
+    processPolicyRevenue() {
+        const revenue = this.policy.getRevenue();
+        if (revenue === 0 && this.policy.lastYear.subsidies === 0) return;
         
-        const housesFromExits = [];
+        const redistributed = this.policy.redistribute(this.people);
+        console.log(`\n--- Government Revenue ---`);
+        console.log(`Taxes ${this.MathUtils.formatCurrency(revenue)}, first-time buyer grants ${this.MathUtils.formatCurrency(this.policy.lastYear.subsidies)}, redistributed ${this.MathUtils.formatCurrency(redistributed)}`);
+    }
+
+    /**
+     * Updates the repeat-sales, hedonic and median price indices with this year's sales.
+     */
+    processPriceIndices() {
+        const sales = (this.lastSales || []).map(result => ({ house: result.house, price: result.secondPrice }));
+        const index = this.priceIndex.update(this.currentYear, sales);
+        if (sales.length === 0) return;
         
+        console.log(`\n--- Price Indices ---`);
+        console.log(`Median sale ${this.MathUtils.formatCurrency(index.medianPrice)}; median ${index.median.toFixed(1)}, hedonic ${index.hedonic.toFixed(1)}, repeat sales ${index.repeatSales.toFixed(1)} (${index.repeatSalesPairs} resale${index.repeatSalesPairs !== 1 ? 's' : ''})`);
+    }
+
+    /**
+     * Gets the market price level: the average last selling price across the housing stock.
+     * @returns {number} Price level (0 with no houses)
+     */
+    getPriceLevel() {
+        return this.MathUtils.mean(this.houses.map(house => house.lastSellingPrice));
+    }
+
+    /**
+     * Gets the fundamental value level: the average location-adjusted intrinsic value.
+     * @returns {number} Fundamental level (0 with no houses)
+     */
+    getFundamentalLevel() {
+        return this.MathUtils.mean(this.houses.map(house => house.intrinsicValue * house.getLocationMultiplier()));
+    }
+
+    /**
+     * Measures the year's price growth and updates everyone's expected growth with their
+     * expectation rule (their own, or expectation_rule).
+     */
+    processExpectations() {
+        const priceLevel = this.getPriceLevel();
+        this.lastPriceGrowth = this.priceLevel > 0 ? priceLevel / this.priceLevel - 1 : 0;
+        this.priceLevel = priceLevel;
+        
+        const defaultRule = this.config.get('expectation_rule');
+        if (defaultRule === this.PriceExpectations.DEFAULT && !this.config.get('expectation_rule_mix')) return;
+        
+        const observation = {
+            growth: this.lastPriceGrowth,
+            fundamentalGap: priceLevel > 0 ? this.getFundamentalLevel() / priceLevel - 1 : 0
+        };
+        const params = {
+            adaptation: this.config.get('expectation_adaptation'),
+            extrapolation: this.config.get('expectation_extrapolation'),
+            reversion: this.config.get('expectation_reversion')
+        };
+        this.people.forEach(person => {
+            person.expectedGrowth = this.PriceExpectations.update(
+                person.expectationRule || defaultRule, person.expectedGrowth, observation, params
+            );
+        });
+        
+        console.log(`\n--- Price Expectations ---`);
+        console.log(`Prices ${(this.lastPriceGrowth * 100).toFixed(1)}% this year, expected ${(this.MathUtils.mean(this.people.map(p => p.expectedGrowth)) * 100).toFixed(1)}% a year`);
+    }
+
+    /**
+     * Lists the houses investors are ready to sell. They go straight into this year's auctions.
+     */
+    processInvestorResales() {
+        this.lastInvestorResales = 0;
+        if (this.investors.length === 0) return;
+        
+        const valueIntrinsicness = this.config.get('value_intrinsicness');
+        this.investors.forEach(investor => {
+            investor.selectResales(valueIntrinsicness).forEach(house => {
+                this.availableHouses.push(investor.sellProperty(house));
+                this.lastInvestorResales++;
+            });
+        });
+        
+        if (this.lastInvestorResales > 0) {
+            console.log(`\n--- Investor Resales ---`);
+            console.log(`Investors listed ${this.lastInvestorResales} house${this.lastInvestorResales > 1 ? 's' : ''}`);
+        }
+    }
+
+    /**
+     * Runs a year of the construction sector: demolishes derelict houses (when demolition is
+     * on), starts new houses in response to prices (when construction is on) and lists the
+     * houses finished this year for sale.
+     */
+    processConstruction() {
+        this.lastConstruction = null;
+        const demolitionEnabled = this.config.get('demolition_enabled');
+        const constructionEnabled = this.config.get('construction_enabled');
+        if (!demolitionEnabled && !constructionEnabled && this.construction.pipeline.length === 0) return;
+        
+        const demolished = demolitionEnabled ? this.demolishHouses(this.construction.selectDemolitions(this.houses)) : 0;
+        
+        let started = 0;
+        if (constructionEnabled && this.houses.length > 0) {
+            const valueIntrinsicness = this.config.get('value_intrinsicness');
+            const averageValue = this.houses.reduce((sum, house) => sum + house.calculateValue(valueIntrinsicness), 0) / this.houses.length;
+            started = this.construction.startProjects(this.currentYear, averageValue, this.houses.length);
+        }
+        
+        // Projects already under way are finished even if construction has since been turned off
+        const completed = this.construction.completeProjects(this.currentYear);
+        this.Construction.findFreeLots(this.houses, completed, this.geography.columns).forEach(lot => {
+            const house = this.createHouse(lot);
+            this.houses.push(house);
+            this.availableHouses.push(house);
+        });
+        
+        this.lastConstruction = { started: started, completed: completed, demolished: demolished };
+        if (started + completed + demolished > 0) {
+            console.log(`\n--- Construction ---`);
+            console.log(`${started} house${started !== 1 ? 's' : ''} started, ${completed} completed, ${demolished} demolished (${this.construction.getUnderConstruction()} under construction)`);
+        }
+    }
+
+    /**
+     * Removes houses from the market, and from the listings they were in.
+     * @param {House[]} houses - Houses to demolish (unowned)
+     * @returns {number} Houses demolished
+     */
+    demolishHouses(houses) {
+        if (houses.length === 0) return 0;
+        
+        const isDemolished = house => houses.includes(house);
+        this.houses = this.houses.filter(house => !isDemolished(house));
+        this.availableHouses = this.availableHouses.filter(house => !isDemolished(house));
+        this.housesFromExits = (this.housesFromExits || []).filter(house => !isDemolished(house));
+        return houses.length;
+    }
+
+    /**
+     * Runs a year of the rental market: tenants pay rent, rents reset to market,
+     * vacant rentals are let and the market rent yield adjusts.
+     */
+    processRentalMarket() {
+        this.lastRental = null;
+        if (!this.config.get('rental_enabled')) return;
+        
+        this.lastRental = this.rentalMarket.clear(this.houses, this.people, this.config.get('value_intrinsicness'));
+        console.log(`\n--- Rental Market ---`);
+        console.log(`Collected ${this.MathUtils.formatCurrency(this.lastRental.rentCollected)} in rent, ${this.lastRental.newTenancies} new tenanc${this.lastRental.newTenancies !== 1 ? 'ies' : 'y'}, ${this.lastRental.evictions} eviction${this.lastRental.evictions !== 1 ? 's' : ''}`);
+        console.log(`Rent yield now ${(this.rentalMarket.rentYield * 100).toFixed(2)}% (${this.lastRental.vacancies} vacant, ${this.lastRental.unmetDemand} unmet demand)`);
+    }
+
+    /**
+     * Gets the mortgage terms buyers use, or null when financing is disabled.
+     * @returns {Object|null} Financing terms: downPaymentRatio, interestRate, termYears, maxDebtToIncome
+     */
+    getFinancingTerms() {
+        if (!this.config.get('financing_enabled')) return null;
+        
+        return {
+            downPaymentRatio: this.config.get('down_payment_ratio'),
+            interestRate: this.interestRate ?? this.config.get('mortgage_interest_rate'),
+            termYears: this.config.get('mortgage_term_years'),
+            maxDebtToIncome: this.config.get('max_debt_to_income')
+        };
+    }
+
+    /**
+     * Collects each mortgage holder's annual payment (from income, then wealth).
+     * Owners who can't cover the payment default and their house is foreclosed.
+     */
+    processMortgagePayments() {
+        this.lastForeclosures = 0;
+        this.lastMortgagePayments = 0;
+        
+        const borrowers = this.people.filter(person => person.mortgage);
+        if (borrowers.length === 0) return;
+        
+        console.log(`\n--- Mortgage Payments (${borrowers.length} borrower${borrowers.length > 1 ? 's' : ''}) ---`);
+        
+        borrowers.forEach(person => {
+            const result = person.payMortgage();
+            if (result.defaulted) {
+                const house = person.sellHouse();
+                this.availableHouses.push(house);
+                this.lastForeclosures++;
+                console.log(`${person.id} defaults on ${this.MathUtils.formatCurrency(result.due)} payment, ${house.id} foreclosed`);
+            } else {
+                this.lastMortgagePayments += result.payment;
+            }
+        });
+        
+        console.log(`Collected ${this.MathUtils.formatCurrency(this.lastMortgagePayments)} in payments, ${this.lastForeclosures} foreclosure${this.lastForeclosures !== 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Removes people leaving the market and lists their houses. With life cycles on,
+     * households leave when their last adult dies or when they move in with a spouse;
+     * otherwise turnover_out random people leave.
+     */
+    processExits() {
+        let exitingPeople;
+        let deceased;
+        let housesFromExits = [];
+        this.lastInheritance = { count: 0, inheritedWealth: 0, estateTax: 0, heirsEntered: 0 };
+        if (this.config.get('life_cycle_enabled')) {
+            const lifeEvents = this.processLifeEvents();
+            exitingPeople = lifeEvents.exitingPeople;
+            deceased = new Set(lifeEvents.deceased);
+            housesFromExits = lifeEvents.listedHouses;
+        } else {
+            const turnoverOut = this.config.get('turnover_out');
+            if (turnoverOut === 0) return;
+            
+            // Select random people to exit from ALL people, not just housed ones
+            exitingPeople = this.MathUtils.selectRandomElements(this.people, turnoverOut, this.random);
+            deceased = new Set(exitingPeople);
+        }
+        
+        const inheritance = this.config.get('inheritance_mode') !== 'none';
         if (exitingPeople.length > 0) {
             console.log(`\n--- People Exiting Market ---`);
+            const exiting = new Set(exitingPeople);
             exitingPeople.forEach(person => {
-                if (person.house) {
-                    console.log(`${person.id} exits, selling ${person.house.id}`);
-                    const house = person.sellHouse();
-                    if (house) {
-                        housesFromExits.push(house);
-                    }
-                } else {
-                    console.log(`${person.id} exits (was unhoused)`);
+                if (inheritance && deceased.has(person)) {
+                    person.leaveRental();
+                    housesFromExits.push(...this.settleEstate(person, exiting));
+                    return;
                 }
+                housesFromExits.push(...this.listDepartingHouses(person));
             });
             
             // Remove exiting people from market
@@ -205,28 +740,181 @@ class Market {
         this.housesFromExits = housesFromExits;
     }
 
+    /**
+     * Winds up a household leaving the market without an estate: it moves out of any
+     * rental and sells its home along with any rentals it owns.
+     * @param {Person} person - The departing household
+     * @returns {House[]} Houses to list for sale
+     */
+    listDepartingHouses(person) {
+        person.leaveRental();
+        const listed = person.sellProperties();
+        if (person.house) {
+            console.log(`${person.id} exits, selling ${person.house.id}`);
+            const house = person.sellHouse();
+            if (house) {
+                listed.push(house);
+            }
+        } else {
+            console.log(`${person.id} exits (was unhoused)`);
+        }
+        return listed;
+    }
+
+    /**
+     * Runs a year of life events and applies them to the market: merged spouses leave and
+     * their house is sold for the couple, departing partners re-enter as unhoused households,
+     * and preferred house types follow household size.
+     * @returns {Object} {exitingPeople, listedHouses}
+     */
+    processLifeEvents() {
+        const outcome = this.lifeCycle.processYear(this.people, this.random);
+        const exitingPeople = [...outcome.ended];
+        const listedHouses = [];
+        
+        console.log(`\n--- Life Events ---`);
+        outcome.marriages.forEach(pair => {
+            // The couple moves into the more valuable of their homes
+            const [keeper, spouse] = (pair[1].house && (!pair[0].house ||
+                pair[1].house.calculateValue() > pair[0].house.calculateValue())) ? [pair[1], pair[0]] : pair;
+            keeper.mergeHousehold(spouse);
+            if (spouse.house) {
+                const house = spouse.sellHouse();
+                house.seller = keeper; // Sale proceeds go to the married household
+                listedHouses.push(house);
+            }
+            exitingPeople.push(spouse);
+            console.log(`${spouse.id} marries ${keeper.id} and moves in`);
+        });
+        
+        outcome.divorces.forEach(({ person, wealth, income }) => {
+            // A new household like any entrant, but a single adult with the couple's age and share
+            const partner = this.createPerson(wealth);
+            partner.income = income;
+            partner.age = person.age;
+            partner.retired = person.retired;
+            partner.adults = 1;
+            partner.children = 0;
+            partner.updateHouseholdSize();
+            partner.biddingStrategy = person.biddingStrategy;
+            this.people.push(partner);
+            console.log(`${partner.id} splits from ${person.id} and looks for a home`);
+        });
+        
+        if (this.config.get('house_types_enabled')) {
+            this.people.forEach(person => {
+                person.preferredType = this.HouseType.getPreferredType(person.householdSize);
+            });
+        }
+        
+        const events = outcome.events;
+        console.log(`Deaths: ${events.deaths}, births: ${events.births}, marriages: ${events.marriages}, divorces: ${events.divorces}, retirements: ${events.retirements}`);
+        this.lastLifeEvents = events;
+        return { exitingPeople: exitingPeople, deceased: outcome.ended, listedHouses: listedHouses };
+    }
+
+    /**
+     * Passes an exiting person's estate (liquid wealth, house and rentals) to an heir, less
+     * estate tax on the value above the exemption. An unhoused heir moves into the house and
+     * takes over its mortgage; otherwise the house is sold for the heir, and any tax the heir
+     * couldn't pay comes out of the sale proceeds. Rental properties are always sold for the heir.
+     * @param {Person} person - The exiting person
+     * @param {Set} exiting - Everyone exiting this year (never chosen as heirs)
+     * @returns {House[]} Houses to list for sale
+     */
+    settleEstate(person, exiting) {
+        const heir = this.chooseHeir(exiting);
+        const estateValue = person.getNetWorth(this.config.get('value_intrinsicness'));
+        const estateTax = this.config.get('estate_tax_rate') * Math.max(0, estateValue - this.config.get('estate_tax_exemption'));
+        
+        // Tax comes out of the liquid estate first, then the heir's own wealth
+        heir.wealth += person.wealth - estateTax;
+        const unpaidTax = Math.max(0, -heir.wealth);
+        heir.wealth = Math.max(0, heir.wealth);
+        person.wealth = 0;
+        
+        this.lastInheritance.count++;
+        this.lastInheritance.inheritedWealth += estateValue - estateTax;
+        this.lastInheritance.estateTax += estateTax;
+        console.log(`${person.id} exits, leaving ${this.MathUtils.formatCurrency(estateValue)} to ${heir.id} (estate tax ${this.MathUtils.formatCurrency(estateTax)})`);
+        
+        const listed = person.sellProperties();
+        if (person.house) {
+            if (!heir.house && unpaidTax === 0) {
+                if (heir.yearFirstHoused === null) {
+                    heir.yearFirstHoused = this.currentYear;
+                }
+                person.transferHouseTo(heir);
+            } else {
+                listed.unshift(person.sellHouse());
+            }
+        }
+        
+        listed.forEach(house => {
+            house.seller = heir;
+        });
+        if (listed.length > 0) {
+            listed[0].sellerDebt += unpaidTax;
+        }
+        return listed;
+    }
+
+    /**
+     * Picks who inherits an estate: a random remaining person ('existing') or a new
+     * entrant who joins the market with nothing but the inheritance ('new_entrant').
+     * @param {Set} exiting - Everyone exiting this year
+     * @returns {Person} The heir
+     */
+    chooseHeir(exiting) {
+        if (this.config.get('inheritance_mode') === 'existing') {
+            const candidates = this.people.filter(p => !exiting.has(p));
+            if (candidates.length > 0) {
+                return candidates[Math.floor(this.random.next() * candidates.length)];
+            }
+        }
+        
+        const heir = this.createPerson(0);
+        this.people.push(heir);
+        this.lastInheritance.heirsEntered++;
+        return heir;
+    }
+
     processEntries() {
-        const turnoverIn = this.config.get('turnover_in');
+        // Heirs who entered to inherit an estate take up entrant places
+        const heirsEntered = this.lastInheritance ? this.lastInheritance.heirsEntered : 0;
+        const turnoverIn = Math.max(0, this.config.get('turnover_in') - heirsEntered);
         if (turnoverIn === 0) return;
         
         console.log(`\n--- People Entering Market ---`);
         for (let i = 0; i < turnoverIn; i++) {
-            const wealth = this.MathUtils.generatePowerLawWealth(
-                this.config.get('wealth_mean'),
-                this.config.get('wealth_std')
-            );
-            
-            const person = new this.Person(wealth, null, this.currentYear);
-            this.people.push(person);
-            console.log(`${person.id} enters with wealth ${this.MathUtils.formatCurrency(wealth)}`);
+            this.addEntrant();
         }
     }
 
+    /**
+     * Adds a new household to the market with wealth drawn from the entry distribution.
+     * @returns {Person} The new household
+     */
+    addEntrant() {
+        const wealth = this.MathUtils.generatePowerLawWealth(
+            this.config.get('wealth_mean'),
+            this.config.get('wealth_std'),
+            this.random
+        );
+        
+        const person = this.createPerson(wealth);
+        this.people.push(person);
+        console.log(`${person.id} enters with wealth ${this.MathUtils.formatCurrency(wealth)}`);
+        return person;
+    }
+
     /**
      * Conducts multiple auction batches based on n_auction_steps configuration.
      * Each batch auctions a subset of available houses, creating more dynamic market activity.
      */
     conductAuctions() {
+        this.lastReserveFailures = 0;
+        this.lastSales = [];
         if (this.availableHouses.length === 0) {
             console.log('\n--- No Houses Available for Auction ---');
             return;
@@ -238,14 +926,24 @@ class Market {
         
         const auctionSummary = this.initializeAuctionSummary();
         const housesPerBatch = Math.max(1, Math.ceil(this.availableHouses.length / nAuctionSteps));
+        const listedBeforeAuctions = [...this.availableHouses];
         
         // Collect all houses from upgrades across all batches
         const allHousesFromUpgrades = [];
         
+        // First-time buyer grants count toward what would-be buyers can pay, this year only
+        this.policy.offerSubsidies(this.people);
         for (let batchNum = 0; batchNum < nAuctionSteps && this.availableHouses.length > 0; batchNum++) {
             const batchUpgradeHouses = this.conductSingleAuctionBatch(batchNum + 1, nAuctionSteps, housesPerBatch, auctionSummary);
             allHousesFromUpgrades.push(...batchUpgradeHouses);
         }
+        this.policy.withdrawSubsidies(this.people);
+        
+        // Listings that went through this year's auctions without selling age (their reserves decay)
+        listedBeforeAuctions
+            .filter(house => this.availableHouses.includes(house))
+            .forEach(house => house.yearsUnsold++);
+        this.lastReserveFailures = auctionSummary.reserveRejected.size;
         
         // Add all upgrade houses and exit houses back to available pool for next turn
         const allHousesForNextTurn = [...allHousesFromUpgrades, ...(this.housesFromExits || [])];
@@ -269,6 +967,7 @@ class Market {
     initializeAuctionSummary() {
         return {
             allResults: [],
+            reserveRejected: new Set(), // Houses whose reserve wasn't met (not re-auctioned this tick)
             totalReport: {
                 successfulSales: 0,
                 totalHouses: 0,
@@ -289,20 +988,58 @@ class Market {
     conductSingleAuctionBatch(batchNumber, totalBatches, housesPerBatch, auctionSummary) {
         console.log(`\n=== Auction Batch ${batchNumber}/${totalBatches} ===`);
         
-        const batchHouses = this.availableHouses.slice(0, housesPerBatch);
+        const batchHouses = this.availableHouses
+            .filter(house => !auctionSummary.reserveRejected.has(house))
+            .slice(0, housesPerBatch);
         if (batchHouses.length === 0) return [];
         
         console.log(`Auctioning ${batchHouses.length} house${batchHouses.length > 1 ? 's' : ''}`);
         
         // Conduct auction for this batch
-        const auction = new this.Auction(batchHouses, this.people);
-        const results = auction.conductVickreyAuction(
+        const auction = new this.Auction(batchHouses, [...this.people, ...this.investors], {
+            financing: this.getFinancingTerms(),
+            wealthAccounting: this.config.get('wealth_accounting'),
+            biddingStrategy: this.config.get('bidding_strategy'),
+            biddingParams: {
+                valueMarkup: this.config.get('bid_value_markup'),
+                shading: this.config.get('bid_shading'),
+                desperationYears: this.config.get('desperation_years')
+            },
+            currentYear: this.currentYear,
+            random: this.random,
+            auctionType: this.config.get('auction_type'),
+            rental: this.config.get('rental_enabled') || this.investors.length > 0 ? this.rentalMarket.getInvestmentTerms() : null,
+            auctionParams: {
+                singleBidderRatio: this.config.get('single_bidder_price_ratio'),
+                increment: this.config.get('auction_increment'),
+                dutchStartMultiple: this.config.get('dutch_start_multiple'),
+                postedPriceMarkup: this.config.get('posted_price_markup')
+            },
+            reserve: {
+                mode: this.config.get('reserve_price_mode'),
+                ratio: this.config.get('reserve_price_ratio'),
+                decay: this.config.get('reserve_decay')
+            },
+            clearing: this.config.get('auction_clearing'),
+            policy: this.policy,
+            expectationHorizon: this.config.get('expectation_horizon')
+        });
+        const results = auction.conductAuction(
             this.config.get('value_intrinsicness'),
             this.config.get('upgrade_threshold')
         );
         
         auction.executeTransactions();
         auctionSummary.allResults.push(...results);
+        this.transactionLedger.recordSales(auction.getSuccessfulSales(), { year: this.currentYear, tick: this.tickCount, batch: batchNumber });
+        auction.getReserveFailures().forEach(result => auctionSummary.reserveRejected.add(result.house));
+        
+        // Record when buyers first became owners (for time-to-ownership stats)
+        auction.getSuccessfulSales().forEach(result => {
+            if (result.purpose === 'home' && result.winner.yearFirstHoused === null) {
+                result.winner.yearFirstHoused = this.currentYear;
+            }
+        });
         
         // Update available houses (remove sold houses only, don't add upgrade houses yet)
         this.removeSoldHousesFromAvailable(auction);
@@ -364,6 +1101,7 @@ class Market {
     finalizeAuctions(auctionSummary) {
         // Store all auction results for visualization
         this.lastAuctionResults = auctionSummary.allResults;
+        this.lastSales = auctionSummary.allResults.filter(result => result.winner);
         
         // Calculate overall statistics
         const { totalReport } = auctionSummary;
@@ -385,7 +1123,7 @@ class Market {
         console.log(`People with houses: ${this.people.filter(p => p.house).length}`);
         console.log(`People without houses: ${this.people.filter(p => !p.house).length}`);
         console.log(`Available houses: ${this.availableHouses.length}`);
-        console.log(`Occupied houses: ${this.houses.filter(h => h.owner).length}`);
+        console.log(`Occupied houses: ${this.houses.filter(h => h.isOccupied()).length}`);
         
         // Show wealth distribution
         this.logWealthDistribution();
@@ -409,10 +1147,14 @@ class Market {
     getMarketStats() {
         const housedPeople = this.people.filter(p => p.house);
         const houselessPeople = this.people.filter(p => !p.house);
-        const occupiedHouses = this.houses.filter(h => h.owner);
+        const occupiedHouses = this.houses.filter(h => h.isOccupied());
         
-        // Wealth analysis
-        const wealths = this.people.map(p => p.wealth).sort((a, b) => b - a);
+        // Wealth analysis (net worth including home equity when wealth accounting is on)
+        const wealthAccounting = this.config.get('wealth_accounting');
+        const valueIntrinsicness = this.config.get('value_intrinsicness');
+        const wealths = this.people
+            .map(p => wealthAccounting ? p.getNetWorth(valueIntrinsicness) : p.wealth)
+            .sort((a, b) => b - a);
         const totalWealth = wealths.reduce((a, b) => a + b, 0);
         const medianWealth = wealths.length > 0 ? wealths[Math.floor(wealths.length / 2)] : 0;
         
@@ -441,6 +1183,67 @@ class Market {
         const top10PercentWealth = wealths.slice(0, top10PercentCount).reduce((a, b) => a + b, 0);
         const wealthConcentration = totalWealth > 0 ? top10PercentWealth / totalWealth : 0;
         
+        // Home equity
+        const totalHomeEquity = housedPeople.reduce((sum, p) => sum + p.getHomeEquity(valueIntrinsicness), 0);
+        const totalLiquidWealth = this.people.reduce((sum, p) => sum + p.wealth, 0);
+        
+        // Mortgage debt
+        const mortgagedPeople = this.people.filter(p => p.mortgage);
+        const totalMortgageDebt = mortgagedPeople.reduce((sum, p) => sum + p.getDebt(), 0);
+        
+        // Income and time to ownership for people who entered after the market started
+        const totalIncome = this.people.reduce((sum, p) => sum + p.income, 0);
+        const entrants = this.people.filter(p => p.yearEntered > this.config.get('starting_year'));
+        const housedEntrants = entrants.filter(p => p.yearFirstHoused !== null);
+        const waitingEntrants = entrants.filter(p => p.yearFirstHoused === null);
+        const averageYearsToOwnership = housedEntrants.length > 0
+            ? housedEntrants.reduce((sum, p) => sum + (p.yearFirstHoused - p.yearEntered), 0) / housedEntrants.length
+            : 0;
+        const averageYearsWaiting = waitingEntrants.length > 0
+            ? waitingEntrants.reduce((sum, p) => sum + (this.currentYear - p.yearEntered), 0) / waitingEntrants.length
+            : 0;
+        
+        // Household composition
+        const agedPeople = this.people.filter(p => p.age !== null);
+        const averageAge = agedPeople.length > 0 ? agedPeople.reduce((sum, p) => sum + p.age, 0) / agedPeople.length : 0;
+        const averageHouseholdSize = this.people.length > 0
+            ? this.people.reduce((sum, p) => sum + p.householdSize, 0) / this.people.length
+            : 0;
+        
+        // House types: who lives where, and how many households are in the type they want
+        const typedHouseholds = housedPeople.filter(p => p.preferredType);
+        const preferredTypeRate = typedHouseholds.length > 0
+            ? typedHouseholds.filter(p => p.house.type === p.preferredType).length / typedHouseholds.length
+            : 0;
+        const overcrowdedHouseholds = housedPeople.filter(p => !p.fitsHouse(p.house)).length;
+        const houseTypes = this.HouseType.getNames().filter(type => this.houses.some(h => h.type === type)).map(type => {
+            const typeHouses = this.houses.filter(h => h.type === type);
+            const occupants = typeHouses.filter(h => h.isOccupied()).map(h => h.getOccupant());
+            return {
+                type: type,
+                houses: typeHouses.length,
+                occupied: occupants.length,
+                averageValue: typeHouses.reduce((sum, h) => sum + h.calculateValue(), 0) / typeHouses.length,
+                averageOwnerWealth: occupants.length > 0 ? occupants.reduce((sum, p) => sum + p.wealth, 0) / occupants.length : 0,
+                averageHouseholdSize: occupants.length > 0 ? occupants.reduce((sum, p) => sum + p.householdSize, 0) / occupants.length : 0
+            };
+        });
+        
+        // Institutional investors: their holdings and share of last year's purchases
+        const investorIds = new Set(this.investors.map(investor => investor.id));
+        const lastSales = this.lastAuctionResults ? this.lastAuctionResults.filter(r => r.winner) : [];
+        const investorPurchases = lastSales.filter(r => investorIds.has(r.winner.id)).length;
+        const entrantHousingRate = entrants.length > 0 ? housedEntrants.length / entrants.length : 0;
+        
+        // Tenure: who owns their home, who rents, and what renting costs relative to income
+        const renters = this.people.filter(p => p.rentedHouse);
+        const rentalHouses = this.houses.filter(h => h.rental);
+        const rentBurdens = renters.filter(p => p.income > 0).map(p => p.rentedHouse.rent / p.income);
+        
+        // Neighborhood breakdown and how strongly owners sort into neighborhoods by wealth
+        const neighborhoods = this.geography.getNeighborhoodStats(this.houses, valueIntrinsicness);
+        const wealthSegregation = this.geography.getWealthSegregation(this.houses);
+        
         // Affordability ratio (average house value / average wealth)
         const affordabilityRatio = totalWealth > 0 && wealths.length > 0 
             ? (totalHouseValue / houseValues.length) / (totalWealth / wealths.length)
@@ -466,6 +1269,9 @@ class Market {
             wealthRange: wealths.length > 0 ? wealths[0] - wealths[wealths.length - 1] : 0,
             giniCoefficient: giniCoefficient,
             wealthConcentration: wealthConcentration,
+            averageLiquidWealth: this.people.length > 0 ? totalLiquidWealth / this.people.length : 0,
+            totalHomeEquity: totalHomeEquity,
+            averageHomeEquity: housedPeople.length > 0 ? totalHomeEquity / housedPeople.length : 0,
             
             // House metrics
             averageHouseValue: houseValues.length > 0 ? totalHouseValue / houseValues.length : 0,
@@ -477,6 +1283,106 @@ class Market {
             occupancyRate: occupancyRate,
             affordabilityRatio: affordabilityRatio,
             
+            // Financing metrics
+            mortgagedPeople: mortgagedPeople.length,
+            totalMortgageDebt: totalMortgageDebt,
+            averageMortgageDebt: mortgagedPeople.length > 0 ? totalMortgageDebt / mortgagedPeople.length : 0,
+            foreclosures: this.lastForeclosures || 0,
+            
+            // Listing metrics
+            reserveFailures: this.lastReserveFailures || 0,
+            staleListings: this.availableHouses.filter(h => h.yearsUnsold > 0).length,
+            
+            // Income metrics
+            averageIncome: this.people.length > 0 ? totalIncome / this.people.length : 0,
+            totalSavings: this.lastSavings || 0,
+            entrantsHoused: housedEntrants.length,
+            entrantsWaiting: waitingEntrants.length,
+            averageYearsToOwnership: averageYearsToOwnership,
+            averageYearsWaiting: averageYearsWaiting,
+            
+            // Investor metrics
+            investors: this.investors.length,
+            investorHoldings: this.investors.reduce((sum, investor) => sum + investor.properties.length, 0),
+            investorPurchases: investorPurchases,
+            investorPurchaseShare: lastSales.length > 0 ? investorPurchases / lastSales.length : 0,
+            investorResales: this.lastInvestorResales || 0,
+            investorWealth: this.investors.reduce((sum, investor) => sum + investor.wealth, 0),
+            entrantHousingRate: entrantHousingRate,
+            
+            // Shock metrics
+            shocks: this.lastShocks || [],
+            mortgageInterestRate: this.interestRate ?? this.config.get('mortgage_interest_rate'),
+            
+            // Rental metrics
+            ownerShare: this.people.length > 0 ? housedPeople.length / this.people.length : 0,
+            renterShare: this.people.length > 0 ? renters.length / this.people.length : 0,
+            renters: renters.length,
+            landlords: this.people.filter(p => p.properties.length > 0).length,
+            rentalHouses: rentalHouses.length,
+            vacantRentals: rentalHouses.filter(h => !h.tenant).length,
+            averageRent: renters.length > 0 ? renters.reduce((sum, p) => sum + p.rentedHouse.rent, 0) / renters.length : 0,
+            averageRentToIncome: this.MathUtils.mean(rentBurdens),
+            rentYield: this.config.get('rental_enabled') ? this.rentalMarket.rentYield : 0,
+            rentCollected: this.lastRental ? this.lastRental.rentCollected : 0,
+            evictions: this.lastRental ? this.lastRental.evictions : 0,
+            
+            // Inheritance metrics
+            inheritances: this.lastInheritance ? this.lastInheritance.count : 0,
+            inheritedWealth: this.lastInheritance ? this.lastInheritance.inheritedWealth : 0,
+            estateTaxCollected: this.lastInheritance ? this.lastInheritance.estateTax : 0,
+            
+            // Policy metrics
+            propertyTaxCollected: this.policy.lastYear.propertyTax,
+            vacancyTaxCollected: this.policy.lastYear.vacancyTax,
+            transferTaxCollected: this.policy.lastYear.transferTax,
+            taxRevenue: this.policy.getRevenue(),
+            unpaidTax: this.policy.lastYear.unpaidTax,
+            subsidiesPaid: this.policy.lastYear.subsidies,
+            revenueRedistributed: this.policy.lastYear.redistributed,
+            governmentBalance: this.policy.balance,
+            
+            // Expectation metrics
+            priceLevel: this.getPriceLevel(),
+            priceGrowth: this.lastPriceGrowth || 0,
+            averageExpectedGrowth: this.MathUtils.mean(this.people.map(p => p.expectedGrowth)),
+            priceToFundamental: this.houses.length > 0 ? this.getPriceLevel() / this.getFundamentalLevel() : 0,
+            
+            // Price index metrics
+            medianSalePrice: this.priceIndex.getLatest().medianPrice,
+            medianPriceIndex: this.priceIndex.getLatest().median,
+            hedonicPriceIndex: this.priceIndex.getLatest().hedonic,
+            repeatSalesIndex: this.priceIndex.getLatest().repeatSales,
+            repeatSalesPairs: this.priceIndex.getLatest().repeatSalesPairs,
+            
+            // Ageing metrics
+            averageHouseAge: this.houses.length > 0 ? this.houses.reduce((sum, h) => sum + h.age, 0) / this.houses.length : 0,
+            depreciationLoss: this.lastAgeing ? this.lastAgeing.depreciation : 0,
+            maintenanceSpending: this.lastAgeing ? this.lastAgeing.maintenance : 0,
+            renovations: this.lastAgeing ? this.lastAgeing.renovations : 0,
+            renovationSpending: this.lastAgeing ? this.lastAgeing.renovationSpending : 0,
+            
+            // Construction metrics
+            housingStarts: this.lastConstruction ? this.lastConstruction.started : 0,
+            housesCompleted: this.lastConstruction ? this.lastConstruction.completed : 0,
+            housesDemolished: this.lastConstruction ? this.lastConstruction.demolished : 0,
+            housesUnderConstruction: this.construction.getUnderConstruction(),
+            
+            // Household metrics
+            averageAge: averageAge,
+            averageHouseholdSize: averageHouseholdSize,
+            retiredHouseholds: this.people.filter(p => p.retired).length,
+            lifeEvents: this.lastLifeEvents || null,
+            
+            // House type metrics
+            preferredTypeRate: preferredTypeRate,
+            overcrowdedHouseholds: overcrowdedHouseholds,
+            houseTypes: houseTypes,
+            
+            // Neighborhood metrics
+            wealthSegregation: wealthSegregation,
+            neighborhoods: neighborhoods,
+            
             // Auction metrics (if available)
             lastAuctionResults: this.lastAuctionResults ? {
                 totalAuctioned: this.lastAuctionResults.length,
@@ -489,6 +1395,188 @@ class Market {
         };
     }
 
+    /**
+     * Serializes the complete market state (people, houses, ownership, pools, counters,
+     * random generator state and analytics history) so it can be restored and keep ticking
+     * exactly as the original would.
+     * @returns {Object} JSON-safe snapshot
+     */
+    serialize() {
+        return {
+            version: Market.SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            config: this.config.getAll(),
+            configOverrides: { ...this.config.overridden },
+            currentYear: this.currentYear,
+            tickCount: this.tickCount,
+            lastForeclosures: this.lastForeclosures || 0,
+            lastMortgagePayments: this.lastMortgagePayments || 0,
+            lastSavings: this.lastSavings || 0,
+            lastReserveFailures: this.lastReserveFailures || 0,
+            lastLifeEvents: this.lastLifeEvents || null,
+            lastInheritance: this.lastInheritance || null,
+            lastRental: this.lastRental || null,
+            lastInvestorResales: this.lastInvestorResales || 0,
+            lastShocks: this.lastShocks || [],
+            interestRate: this.interestRate,
+            policyYear: { ...this.policy.lastYear },
+            policyBalance: this.policy.balance,
+            lastConstruction: this.lastConstruction || null,
+            lastAgeing: this.lastAgeing || null,
+            priceLevel: this.priceLevel,
+            lastPriceGrowth: this.lastPriceGrowth || 0,
+            priceIndex: this.priceIndex.getState(),
+            constructionPipeline: this.construction.pipeline,
+            rentYield: this.rentalMarket.rentYield,
+            idCounters: {
+                house: this.House.idCounter,
+                person: this.Person.idCounter,
+                investor: this.Investor.idCounter
+            },
+            random: this.random.getState(),
+            houses: this.houses.map(house => house.serialize()),
+            people: this.people.map(person => person.serialize()),
+            investors: this.investors.map(investor => investor.serialize()),
+            formerPeople: this.getFormerSellers().map(person => person.serialize()),
+            availableHouseIds: this.availableHouses.map(house => house.id),
+            housesFromExitIds: (this.housesFromExits || []).map(house => house.id),
+            lastAuctionResults: this.lastAuctionResults ? this.lastAuctionResults.map(({ house, winner, seller, allBids, ...fields }) => ({
+                ...fields,
+                houseId: house.id,
+                winnerId: winner ? winner.id : null,
+                sellerId: seller ? seller.id : null,
+                bids: allBids ? allBids.map(({ person, ...bid }) => ({ ...bid, personId: person.id })) : null
+            })) : null,
+            analyticsHistory: {
+                maxDataPoints: this.analyticsHistory.maxDataPoints,
+                startTime: this.analyticsHistory.startTime,
+                data: this.analyticsHistory.data,
+                events: this.analyticsHistory.events
+            },
+            transactions: this.transactionLedger.getAll()
+        };
+    }
+
+    /**
+     * Creates a market from a snapshot produced by serialize().
+     * @param {Object|string} snapshot - Snapshot object or its JSON string
+     * @returns {Market} The restored market
+     */
+    static deserialize(snapshot) {
+        const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        if (!data || data.version !== Market.SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported market snapshot version: ${data ? data.version : 'none'}`);
+        }
+        
+        const ConfigClass = typeof Config !== 'undefined' ? Config : require('../utils/Config.js');
+        return new Market(new ConfigClass(data.config), data);
+    }
+
+    /**
+     * Restores market state from a snapshot (called by the constructor instead of initialize()).
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restoreState(data) {
+        this.currentYear = data.currentYear;
+        this.tickCount = data.tickCount;
+        this.config.overridden = { ...(data.configOverrides || {}) };
+        this.lastForeclosures = data.lastForeclosures || 0;
+        this.lastMortgagePayments = data.lastMortgagePayments || 0;
+        this.lastSavings = data.lastSavings || 0;
+        this.lastReserveFailures = data.lastReserveFailures || 0;
+        this.lastLifeEvents = data.lastLifeEvents || null;
+        this.lastInheritance = data.lastInheritance || null;
+        this.lastRental = data.lastRental || null;
+        this.lastInvestorResales = data.lastInvestorResales || 0;
+        this.lastShocks = data.lastShocks || [];
+        this.interestRate = data.interestRate ?? null;
+        this.policy.lastYear = { ...this.policy.lastYear, ...(data.policyYear || {}) };
+        this.policy.balance = data.policyBalance || 0;
+        this.lastConstruction = data.lastConstruction || null;
+        this.lastAgeing = data.lastAgeing || null;
+        this.lastPriceGrowth = data.lastPriceGrowth || 0;
+        if (data.priceIndex) {
+            this.priceIndex.setState(data.priceIndex);
+        }
+        this.construction.pipeline = (data.constructionPipeline || []).map(project => ({ ...project }));
+        this.rentalMarket.rentYield = data.rentYield ?? this.rentalMarket.rentYield;
+        
+        this.random.setState(data.random);
+        this.randomSeed = this.random.getSeed();
+        this.analyticsHistory.randomSeed = this.randomSeed;
+        
+        this.houses = data.houses.map(houseData => this.House.deserialize(houseData));
+        this.priceLevel = data.priceLevel ?? this.getPriceLevel();
+        this.people = data.people.map(personData => this.Person.deserialize(personData));
+        this.investors = (data.investors || []).map(investorData => this.Investor.deserialize(investorData));
+        const formerPeople = (data.formerPeople || []).map(personData => this.Person.deserialize(personData));
+        
+        // Re-link ownership (homes and rentals) and tenancies in both directions, and listed houses to their sellers
+        const housesById = new Map(this.houses.map(house => [house.id, house]));
+        const peopleById = new Map([...this.people, ...this.investors, ...formerPeople].map(person => [person.id, person]));
+        data.houses.forEach(houseData => {
+            const house = housesById.get(houseData.id);
+            if (houseData.ownerId) {
+                const owner = peopleById.get(houseData.ownerId);
+                house.owner = owner;
+                if (house.rental) {
+                    owner.properties.push(house);
+                } else {
+                    owner.house = house;
+                }
+            }
+            if (houseData.tenantId) {
+                house.tenant = peopleById.get(houseData.tenantId);
+                house.tenant.rentedHouse = house;
+            }
+            if (houseData.sellerId) {
+                house.seller = peopleById.get(houseData.sellerId);
+            }
+        });
+        
+        this.availableHouses = data.availableHouseIds.map(id => housesById.get(id));
+        this.housesFromExits = data.housesFromExitIds.map(id => housesById.get(id));
+        
+        // Winners, sellers and bidders of an earlier tick may have left the market since; keep
+        // their ID so stats and the ledger still count the sale
+        const findPerson = id => peopleById.get(id) || { id: id };
+        this.lastAuctionResults = data.lastAuctionResults ? data.lastAuctionResults.map(({ houseId, winnerId, sellerId, bids, ...fields }) => ({
+            ...fields,
+            house: housesById.get(houseId),
+            winner: winnerId ? findPerson(winnerId) : null,
+            seller: sellerId ? findPerson(sellerId) : null,
+            ...(bids ? { allBids: bids.map(({ personId, ...bid }) => ({ ...bid, person: findPerson(personId) })) } : {})
+        })) : undefined;
+        
+        // Restoring objects advanced the ID counters, so set them last
+        this.House.idCounter = data.idCounters.house;
+        this.Person.idCounter = data.idCounters.person;
+        this.Investor.idCounter = data.idCounters.investor ?? this.Investor.idCounter;
+        
+        this.analyticsHistory.maxDataPoints = data.analyticsHistory.maxDataPoints;
+        this.analyticsHistory.startTime = data.analyticsHistory.startTime;
+        this.analyticsHistory.data = data.analyticsHistory.data.map(snapshot => ({ ...snapshot }));
+        this.analyticsHistory.events = (data.analyticsHistory.events || []).map(event => ({ ...event }));
+        this.transactionLedger.entries = (data.transactions || []).map(entry => ({ ...entry }));
+        
+        console.log(`=== Restored Market (Year ${this.currentYear}, Tick ${this.tickCount}) ===`);
+    }
+
+    /**
+     * Gets people who have left the market but still await proceeds from a listed house.
+     * @returns {Person[]} Former market participants referenced as sellers
+     */
+    getFormerSellers() {
+        const current = new Set([...this.people, ...this.investors]);
+        const former = new Set();
+        this.houses.forEach(house => {
+            if (house.seller && !current.has(house.seller)) {
+                former.add(house.seller);
+            }
+        });
+        return [...former];
+    }
+
     /**
      * Gets the analytics history tracker.
      * @returns {AnalyticsHistory} The analytics history instance
@@ -496,6 +1584,14 @@ class Market {
     getAnalyticsHistory() {
         return this.analyticsHistory;
     }
+
+    /**
+     * Gets the ledger of every sale made at auction.
+     * @returns {TransactionLedger} The transaction ledger
+     */
+    getTransactionLedger() {
+        return this.transactionLedger;
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
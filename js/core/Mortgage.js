@@ -0,0 +1,110 @@
+/**
+ * Represents a fixed-rate, fully amortizing mortgage held by a person.
+ * Payments are made once per simulation year.
+ */
+class Mortgage {
+    /**
+     * Creates a new Mortgage instance.
+     * @param {number} principal - Amount borrowed
+     * @param {number} interestRate - Annual interest rate (e.g., 0.05 for 5%)
+     * @param {number} termYears - Loan term in years
+     */
+    constructor(principal, interestRate, termYears) {
+        this.principal = principal;
+        this.balance = principal;
+        this.interestRate = interestRate;
+        this.termYears = termYears;
+        this.yearsPaid = 0;
+        this.annualPayment = Mortgage.annualPaymentFor(principal, interestRate, termYears);
+    }
+
+    /**
+     * Calculates the level annual payment that repays a loan over its term.
+     * @param {number} principal - Amount borrowed
+     * @param {number} interestRate - Annual interest rate
+     * @param {number} termYears - Loan term in years
+     * @returns {number} Annual payment
+     */
+    static annualPaymentFor(principal, interestRate, termYears) {
+        if (principal <= 0) return 0;
+        if (interestRate === 0) return principal / termYears;
+
+        const factor = Math.pow(1 + interestRate, termYears);
+        return principal * interestRate * factor / (factor - 1);
+    }
+
+    /**
+     * Calculates the largest loan whose annual payment fits within a budget.
+     * @param {number} annualPayment - Maximum affordable annual payment
+     * @param {number} interestRate - Annual interest rate
+     * @param {number} termYears - Loan term in years
+     * @returns {number} Maximum principal
+     */
+    static maxPrincipalFor(annualPayment, interestRate, termYears) {
+        if (annualPayment <= 0) return 0;
+        if (interestRate === 0) return annualPayment * termYears;
+
+        return annualPayment * (1 - Math.pow(1 + interestRate, -termYears)) / interestRate;
+    }
+
+    /**
+     * Gets the payment due this year (the final payment may be smaller than the level payment).
+     * @returns {number} Payment due
+     */
+    getPaymentDue() {
+        return Math.min(this.annualPayment, this.balance * (1 + this.interestRate));
+    }
+
+    /**
+     * Makes this year's payment, reducing the balance by the principal portion.
+     * @returns {Object} Payment breakdown: {payment, interest, principal}
+     */
+    makeAnnualPayment() {
+        const payment = this.getPaymentDue();
+        const interest = this.balance * this.interestRate;
+        const principalPaid = payment - interest;
+
+        this.balance = Math.max(0, this.balance - principalPaid);
+        this.yearsPaid++;
+
+        return { payment: payment, interest: interest, principal: principalPaid };
+    }
+
+    /**
+     * Checks if the loan has been fully repaid.
+     * @returns {boolean} True if no balance remains
+     */
+    isPaidOff() {
+        return this.balance <= 0.01;
+    }
+
+    /**
+     * Returns the mortgage's state as a plain object for snapshots.
+     * @returns {Object} Serializable mortgage state
+     */
+    serialize() {
+        return {
+            principal: this.principal,
+            balance: this.balance,
+            interestRate: this.interestRate,
+            termYears: this.termYears,
+            yearsPaid: this.yearsPaid
+        };
+    }
+
+    /**
+     * Recreates a mortgage from serialized state.
+     * @param {Object} data - State from serialize()
+     * @returns {Mortgage} The restored mortgage
+     */
+    static deserialize(data) {
+        const mortgage = new Mortgage(data.principal, data.interestRate, data.termYears);
+        mortgage.balance = data.balance;
+        mortgage.yearsPaid = data.yearsPaid;
+        return mortgage;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Mortgage;
+}
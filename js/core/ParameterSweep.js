@@ -0,0 +1,213 @@
+/**
+ * Runs parameter sweeps and Monte Carlo ensembles over the housing market simulation.
+ * Every grid point is run with several seeded replicates and the AnalyticsHistory
+ * metrics are aggregated into means and percentile bands per point.
+ */
+class ParameterSweep {
+    /**
+     * Creates a new ParameterSweep instance.
+     * @param {Object} spec - Sweep specification
+     * @param {Object} spec.base - Config overrides shared by every run
+     * @param {Object} spec.parameters - Setting name -> array of values or {min, max, step} / {min, max, count}
+     * @param {number} spec.replicates - Seeded runs per grid point (default 5)
+     * @param {number} spec.ticks - Ticks per run (default 50)
+     * @param {number} spec.baseSeed - Seed of the first replicate; replicate i uses baseSeed + i (default 1)
+     * @param {string[]} spec.metrics - Metrics to aggregate (default: all recorded metrics)
+     * @param {number[]} spec.percentiles - Percentile bands to report, 0-1 (default [0.1, 0.5, 0.9])
+     */
+    constructor(spec = {}) {
+        this.base = spec.base || {};
+        this.parameters = spec.parameters || {};
+        this.replicates = spec.replicates !== undefined ? spec.replicates : 5;
+        this.ticks = spec.ticks !== undefined ? spec.ticks : 50;
+        this.baseSeed = spec.baseSeed !== undefined ? spec.baseSeed : 1;
+        this.metrics = spec.metrics || null;
+        this.percentiles = spec.percentiles || [0.1, 0.5, 0.9];
+
+        // Handle dependencies for both browser and Node.js
+        this.Config = typeof Config !== 'undefined' ? Config : require('../utils/Config.js');
+        this.MathUtils = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        this.BatchRunner = typeof BatchRunner !== 'undefined' ? BatchRunner : require('./BatchRunner.js');
+
+        this.validate();
+    }
+
+    /**
+     * Validates the sweep specification.
+     * @throws {Error} If the specification is invalid
+     */
+    validate() {
+        const errors = [];
+
+        Object.keys(this.parameters).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(this.Config.DEFAULT_CONFIG, key)) {
+                errors.push(`unknown setting: ${key}`);
+            } else if (ParameterSweep.expandValues(this.parameters[key]).length === 0) {
+                errors.push(`${key} has no values`);
+            }
+        });
+        if (!Number.isInteger(this.replicates) || this.replicates <= 0) errors.push('replicates must be a positive integer');
+        if (!Number.isInteger(this.ticks) || this.ticks <= 0) errors.push('ticks must be a positive integer');
+        if (!Number.isInteger(this.baseSeed) || this.baseSeed < 0) errors.push('baseSeed must be a non-negative integer');
+        if (this.percentiles.some(p => p < 0 || p > 1)) errors.push('percentiles must be between 0 and 1');
+
+        if (errors.length > 0) {
+            throw new Error('Sweep validation failed: ' + errors.join(', '));
+        }
+    }
+
+    /**
+     * Expands a parameter range into a list of values.
+     * @param {Array|Object} range - Array of values, {min, max, step} or {min, max, count}
+     * @returns {Array} List of values
+     */
+    static expandValues(range) {
+        if (Array.isArray(range)) return [...range];
+        if (range === null || typeof range !== 'object') return [range];
+
+        const { min, max } = range;
+        const round = value => Math.round(value * 1e10) / 1e10; // Avoid floating point drift
+
+        if (range.count !== undefined) {
+            if (range.count <= 1) return [min];
+            const step = (max - min) / (range.count - 1);
+            return Array.from({ length: range.count }, (_, i) => round(min + i * step));
+        }
+
+        if (!(range.step > 0)) return [];
+        const values = [];
+        for (let i = 0; round(min + i * range.step) <= max; i++) {
+            values.push(round(min + i * range.step));
+        }
+        return values;
+    }
+
+    /**
+     * Builds the full grid of parameter combinations (cartesian product).
+     * @returns {Object[]} Array of setting overrides, one per grid point
+     */
+    expandGrid() {
+        return Object.entries(this.parameters).reduce((points, [key, range]) => {
+            const values = ParameterSweep.expandValues(range);
+            const expanded = [];
+            points.forEach(point => {
+                values.forEach(value => expanded.push({ ...point, [key]: value }));
+            });
+            return expanded;
+        }, [{}]);
+    }
+
+    /**
+     * Runs every grid point with all replicates and aggregates the results.
+     * @param {Function} onProgress - Optional callback(completedRuns, totalRuns, point)
+     * @returns {Object[]} One aggregated result per grid point
+     */
+    run(onProgress = null) {
+        const grid = this.expandGrid();
+        const totalRuns = grid.length * this.replicates;
+        let completedRuns = 0;
+
+        return grid.map(point => {
+            const runs = [];
+            for (let replicate = 0; replicate < this.replicates; replicate++) {
+                const settings = { ...this.base, ...point, random_seed: this.baseSeed + replicate };
+                const runner = new this.BatchRunner(settings, { ticks: this.ticks });
+                runs.push(runner.run());
+
+                completedRuns++;
+                if (onProgress) onProgress(completedRuns, totalRuns, point);
+            }
+            return this.aggregatePoint(point, runs);
+        });
+    }
+
+    /**
+     * Aggregates the replicate runs of one grid point.
+     * @param {Object} point - Setting overrides for this grid point
+     * @param {Object[]} runs - BatchRunner results for each replicate
+     * @returns {Object} Aggregated metrics with final-value and per-tick statistics
+     */
+    aggregatePoint(point, runs) {
+        const metrics = this.metrics || runs[0].market.getAnalyticsHistory().getAvailableMetrics();
+        const aggregated = {};
+
+        metrics.forEach(metric => {
+            const finalValues = runs.map(run => {
+                const last = run.series[run.series.length - 1];
+                return last ? (last[metric] || 0) : 0;
+            });
+
+            const series = [];
+            for (let i = 0; i < this.ticks; i++) {
+                const values = runs
+                    .filter(run => run.series[i] !== undefined)
+                    .map(run => run.series[i][metric] || 0);
+                series.push({ tick: i + 1, ...this.summarize(values) });
+            }
+
+            aggregated[metric] = { final: this.summarize(finalValues), series: series };
+        });
+
+        return {
+            parameters: point,
+            seeds: runs.map(run => run.randomSeed),
+            replicates: runs.length,
+            metrics: aggregated
+        };
+    }
+
+    /**
+     * Summarizes a set of replicate values.
+     * @param {number[]} values - Values from each replicate
+     * @returns {Object} Mean, standard deviation and percentile bands (keys p10, p50, ...)
+     */
+    summarize(values) {
+        const summary = {
+            mean: this.MathUtils.mean(values),
+            std: this.MathUtils.standardDeviation(values)
+        };
+        this.percentiles.forEach(p => {
+            summary[ParameterSweep.percentileKey(p)] = this.MathUtils.percentile(values, p);
+        });
+        return summary;
+    }
+
+    /**
+     * Returns the summary key for a percentile (e.g. 0.1 -> 'p10').
+     * @param {number} p - Percentile (0-1)
+     * @returns {string} Summary key
+     */
+    static percentileKey(p) {
+        return `p${Math.round(p * 1000) / 10}`;
+    }
+
+    /**
+     * Formats sweep results as CSV with one row per grid point and the final-value statistics.
+     * @param {Object[]} results - Results from run()
+     * @returns {string} CSV string
+     */
+    static toCSV(results) {
+        if (results.length === 0) return '';
+
+        const parameterKeys = Object.keys(results[0].parameters);
+        const metricKeys = Object.keys(results[0].metrics);
+        const statKeys = metricKeys.length > 0 ? Object.keys(results[0].metrics[metricKeys[0]].final) : [];
+
+        const header = [
+            ...parameterKeys,
+            'replicates',
+            ...metricKeys.flatMap(metric => statKeys.map(stat => `${metric}_${stat}`))
+        ];
+        const rows = results.map(result => [
+            ...parameterKeys.map(key => result.parameters[key]),
+            result.replicates,
+            ...metricKeys.flatMap(metric => statKeys.map(stat => result.metrics[metric].final[stat]))
+        ].join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterSweep;
+}
@@ -10,86 +10,477 @@ class Person {
      * @param {number} wealth - Person's wealth in dollars
      * @param {House} house - Currently owned house (null if homeless)
      * @param {number} yearEntered - Year the person entered the market
+     * @param {number} income - Annual income in dollars (used for savings and mortgage affordability)
      */
-    constructor(wealth, house = null, yearEntered = 2025) {
+    constructor(wealth, house = null, yearEntered = 2025, income = 0) {
         this.id = `person_${++Person.idCounter}`;
         this.wealth = wealth;
         this.house = house;
         this.yearEntered = yearEntered;
+        this.income = income;
+        this.mortgage = null;
+        this.yearFirstHoused = null; // Year the person first owned a house (null if never)
+        this.biddingStrategy = null; // Strategy name (null = the market's default strategy)
+        this.householdSize = 1;
+        this.preferredType = null; // House type this household wants (null = no preference)
+        this.age = null; // Age of the household head (null = ages aren't modelled)
+        this.adults = 1;
+        this.children = 0;
+        this.retired = false;
+        this.isLandlord = false; // Buys houses to let out as well as to live in
+        this.properties = []; // Houses owned and let to tenants
+        this.rentedHouse = null; // House this household rents (null if not renting)
+        this.subsidy = 0; // First-time buyer grant on offer this year (paid only if they buy)
+        this.expectationRule = null; // Price expectation rule name (null = the market's default rule)
+        this.expectedGrowth = 0; // Expected yearly house price growth
     }
 
     /**
-     * Checks if the person can afford a house based on their wealth.
+     * Sets the household size from its adults and children.
+     */
+    updateHouseholdSize() {
+        this.householdSize = this.adults + this.children;
+    }
+
+    /**
+     * Gets the household's life stage.
+     * @returns {string} 'retired', 'family' (children at home), 'couple' or 'single'
+     */
+    getLifeStage() {
+        if (this.retired) return 'retired';
+        if (this.children > 0) return 'family';
+        return this.adults > 1 ? 'couple' : 'single';
+    }
+
+    /**
+     * Retires the household, cutting its income.
+     * @param {number} incomeRatio - Share of income kept in retirement
+     */
+    retire(incomeRatio) {
+        this.retired = true;
+        this.income *= incomeRatio;
+    }
+
+    /**
+     * Merges a spouse's household into this one, including any rental properties.
+     * The spouse's own house is not touched; the caller decides what happens to it.
+     * @param {Person} spouse - The household joining this one
+     */
+    mergeHousehold(spouse) {
+        spouse.properties.forEach(house => {
+            house.owner = this;
+            this.properties.push(house);
+        });
+        spouse.properties = [];
+        this.isLandlord = this.isLandlord || spouse.isLandlord;
+        this.wealth += spouse.wealth;
+        this.income += spouse.income;
+        this.adults = 2;
+        this.children += spouse.children;
+        this.updateHouseholdSize();
+    }
+
+    /**
+     * Splits off a departing partner, who takes half the wealth and income.
+     * The house, mortgage and children stay with this household.
+     * @returns {Object} The departing partner's share: {wealth, income}
+     */
+    splitHousehold() {
+        const share = { wealth: this.wealth / 2, income: this.income / 2 };
+        this.wealth -= share.wealth;
+        this.income -= share.income;
+        this.adults = 1;
+        this.updateHouseholdSize();
+        return share;
+    }
+
+    /**
+     * Calculates the most this person could pay for a house.
+     * Without financing this is their cash (wealth plus any first-time buyer grant on offer);
+     * with financing it is limited both by the down payment their cash covers and by the
+     * loan their income can service.
+     * @param {Object} financing - Financing terms from Market.getFinancingTerms() (null for cash purchases)
+     * @returns {number} Maximum purchase price
+     */
+    getPurchasingPower(financing = null) {
+        const cash = this.wealth + this.subsidy;
+        if (!financing) {
+            return cash;
+        }
+
+        const MortgageRef = typeof Mortgage !== 'undefined' ? Mortgage : require('./Mortgage.js');
+        const maxLoan = MortgageRef.maxPrincipalFor(
+            this.income * financing.maxDebtToIncome,
+            financing.interestRate,
+            financing.termYears
+        );
+        const downPaymentLimit = financing.downPaymentRatio > 0 ? cash / financing.downPaymentRatio : Infinity;
+
+        return Math.max(0, Math.min(downPaymentLimit, cash + maxLoan));
+    }
+
+    /**
+     * Checks if the person can afford a house based on their wealth (or financing capacity).
      * @param {House} house - The house to check affordability for
+     * @param {Object} financing - Financing terms (null for cash purchases)
      * @returns {boolean} True if person can afford the house
      */
-    canAfford(house) {
-        return this.wealth >= house.calculateValue();
+    canAfford(house, financing = null) {
+        return this.getPurchasingPower(financing) >= house.calculateValue();
+    }
+
+    /**
+     * Checks if the household fits in a house.
+     * @param {House} house - The house to check
+     * @returns {boolean} True if the house is big enough (or has no capacity limit)
+     */
+    fitsHouse(house) {
+        return house.capacity === null || house.capacity >= this.householdSize;
     }
 
     /**
      * Determines if the person should bid on a house.
+     * Nobody bids on a house their household doesn't fit in.
      * Homeless people bid on any house they can afford.
-     * Housed people only bid if the house value exceeds their upgrade threshold.
+     * Housed people only bid if the house value exceeds their upgrade threshold (lowered when
+     * they expect prices to rise, raised when they expect them to fall), or if it is their
+     * preferred type and their current house isn't.
      * @param {House} house - The house to consider bidding on
      * @param {number} upgradeThreshold - Multiplier for current house value to trigger upgrade
+     * @param {Object} financing - Financing terms (null for cash purchases)
+     * @param {number} expectationHorizon - Years ahead the person looks when valuing houses
      * @returns {boolean} True if person should bid on the house
      */
-    shouldBid(house, upgradeThreshold) {
+    shouldBid(house, upgradeThreshold, financing = null, expectationHorizon = 0) {
+        if (!this.fitsHouse(house)) {
+            return false;
+        }
+
         // If person doesn't have a house, they should bid on any they can afford
         if (!this.house) {
-            return this.canAfford(house);
+            return this.canAfford(house, financing);
+        }
+
+        // Moving into the right type of house is worth it without a value upgrade
+        if (this.preferredType && house.type === this.preferredType && this.house.type !== this.preferredType) {
+            return this.canAfford(house, financing);
         }
 
         // If person has a house, only bid if upgrade threshold is met
         const currentValue = this.house.calculateValue();
         const targetValue = house.calculateValue();
         
-        return this.canAfford(house) && targetValue >= (upgradeThreshold * currentValue);
+        const threshold = this.getUpgradeThreshold(upgradeThreshold, expectationHorizon);
+        return this.canAfford(house, financing) && targetValue >= (threshold * currentValue);
+    }
+
+    /**
+     * Gets how much the person expects house prices to multiply by over a horizon.
+     * @param {number} horizon - Years ahead
+     * @returns {number} Expected price multiple (1 when no change is expected)
+     */
+    getExpectationFactor(horizon) {
+        return Math.pow(1 + this.expectedGrowth, horizon);
+    }
+
+    /**
+     * Adjusts the upgrade threshold for expected price growth: owners who expect prices to
+     * rise trade up sooner, to gain on a more valuable house, but never for a house worth
+     * less than their own. Owners who expect a fall hold back.
+     * @param {number} upgradeThreshold - Multiplier for current house value to trigger upgrade
+     * @param {number} horizon - Years ahead the person looks
+     * @returns {number} The person's upgrade threshold
+     */
+    getUpgradeThreshold(upgradeThreshold, horizon) {
+        return Math.max(Math.min(1, upgradeThreshold), upgradeThreshold / this.getExpectationFactor(horizon));
     }
 
     /**
-     * Returns the amount this person bids in auctions.
-     * @returns {number} The person's full wealth (simplified bidding strategy)
+     * Determines if a landlord should bid on a house to let out. Landlords invest only while
+     * they have a home of their own, have room in their portfolio, the market rent yield
+     * meets their required yield, and they can pay cash for the house.
+     * @param {House} house - The house to consider
+     * @param {number} houseValue - The house's current value
+     * @param {Object} terms - Investment terms from RentalMarket.getInvestmentTerms()
+     * @returns {boolean} True if the person should bid on the house as a rental
      */
-    getBidAmount() {
-        // In our simplified model, people always bid their full wealth
-        return this.wealth;
+    shouldInvest(house, houseValue, terms) {
+        if (!this.isLandlord || !this.house || this.properties.length >= terms.maxProperties) {
+            return false;
+        }
+        return terms.rentYield >= terms.requiredYield && this.wealth >= houseValue;
+    }
+
+    /**
+     * Gets a landlord's bid for a rental: the price at which the market rent earns
+     * exactly their required yield, capped by their cash.
+     * @param {number} houseValue - The house's current value
+     * @param {Object} terms - Investment terms from RentalMarket.getInvestmentTerms()
+     * @returns {number} Bid amount
+     */
+    getInvestmentBid(houseValue, terms) {
+        return Math.min(this.wealth, houseValue * terms.rentYield / terms.requiredYield);
+    }
+
+    /**
+     * Returns the most this person can bid in auctions.
+     * Auctions apply the person's BiddingStrategy on top of this ceiling.
+     * @param {House} house - The house being auctioned (unused here)
+     * @param {Object} financing - Financing terms (null for cash purchases)
+     * @returns {number} The person's full purchasing power
+     */
+    getBidAmount(house = null, financing = null) {
+        return this.getPurchasingPower(financing);
+    }
+
+    /**
+     * Gets how long the person has been looking for a house.
+     * @param {number} currentYear - The current simulation year
+     * @returns {number} Years since entering the market (0 if housed)
+     */
+    getYearsUnhoused(currentYear) {
+        return this.house ? 0 : Math.max(0, currentYear - this.yearEntered);
     }
 
     /**
      * Sells the person's current house if they own one.
+     * The house is listed with this person as its seller; any outstanding mortgage
+     * is settled out of the proceeds when the house finds a buyer.
      * @returns {House|null} The house that was sold, or null if no house was owned
      */
     sellHouse() {
         if (this.house) {
-            const house = this.house;
-            this.house.owner = null;
-            house.yearsSinceOwnership = 0; // Reset to mark as "just-available"
+            const house = this.house.listForSale(this, this.getDebt());
             this.house = null;
+            this.mortgage = null;
             return house;
         }
         return null;
     }
 
+    /**
+     * Lists one of the person's rental properties for sale, ending its tenancy.
+     * @param {House} house - The rental to sell
+     * @returns {House} The listed house
+     */
+    sellProperty(house) {
+        this.properties = this.properties.filter(property => property !== house);
+        return house.listForSale(this);
+    }
+
+    /**
+     * Lists all of the person's rental properties for sale.
+     * @returns {House[]} The listed houses
+     */
+    sellProperties() {
+        return [...this.properties].map(house => this.sellProperty(house));
+    }
+
+    /**
+     * Hands this person's house and its mortgage to another person without a sale.
+     * An heir who was renting moves out of their rental.
+     * @param {Person} heir - The new owner (must not already own a house)
+     */
+    transferHouseTo(heir) {
+        heir.leaveRental();
+        heir.house = this.house;
+        heir.mortgage = this.mortgage;
+        this.house.setOwner(heir);
+        this.house = null;
+        this.mortgage = null;
+    }
+
+    /**
+     * Receives the proceeds of a sale, repaying the mortgage that was on the house.
+     * @param {number} price - The sale price
+     * @param {number} debt - Mortgage balance outstanding on the sold house
+     * @returns {number} Net proceeds (negative if the house sold for less than the debt)
+     */
+    receiveSaleProceeds(price, debt = 0) {
+        const netProceeds = price - debt;
+        this.wealth += netProceeds;
+        return netProceeds;
+    }
+
     /**
      * Buys a house at the specified price.
-     * Automatically sells current house if one is owned.
+     * Automatically sells current house if one is owned, or moves out of a rental.
+     * With financing, the down payment comes out of wealth and the rest is borrowed.
      * @param {House} house - The house to buy
      * @param {number} price - The purchase price
+     * @param {Object} financing - Financing terms (null for cash purchases)
      */
-    buyHouse(house, price) {
+    buyHouse(house, price, financing = null) {
         if (this.house) {
             this.sellHouse();
         }
+        this.leaveRental();
         
         this.house = house;
         house.owner = this;
         house.lastSellingPrice = price;
         house.yearsSinceOwnership = 0;
+        house.seller = null;
+        house.sellerDebt = 0;
+        house.yearsUnsold = 0;
         
-        // In our model, people don't lose wealth when buying
-        // (simplified - no wealth depletion)
+        if (financing) {
+            this.takeMortgage(price, financing);
+        }
+        
+        // Cash payment and seller proceeds are settled by the Auction when wealth accounting is on
+    }
+
+    /**
+     * Buys a house to let out. Rentals are bought with cash; the landlord keeps their own home.
+     * @param {House} house - The house to buy
+     * @param {number} price - The purchase price
+     */
+    buyRental(house, price) {
+        this.properties.push(house);
+        house.setRentalOwner(this, price);
+    }
+
+    /**
+     * Moves into a rental as its tenant.
+     * @param {House} house - The rental
+     * @param {number} rent - Annual rent
+     */
+    rentHouse(house, rent) {
+        this.rentedHouse = house;
+        house.tenant = this;
+        house.rent = rent;
+    }
+
+    /**
+     * Moves out of the rented house, if any.
+     * @returns {House|null} The house left vacant, or null if not renting
+     */
+    leaveRental() {
+        const house = this.rentedHouse;
+        if (!house) return null;
+        house.tenant = null;
+        house.rent = 0;
+        this.rentedHouse = null;
+        return house;
+    }
+
+    /**
+     * Pays this year's rent. Like mortgage payments, rent comes out of income first
+     * and any shortfall is drawn from wealth.
+     * @returns {Object|null} {defaulted, payment, due}, or null if not renting
+     */
+    payRent() {
+        if (!this.rentedHouse) return null;
+
+        const due = this.rentedHouse.rent;
+        const fromWealth = Math.max(0, due - this.income);
+        if (this.wealth < fromWealth) {
+            return { defaulted: true, payment: 0, due: due };
+        }
+
+        this.wealth -= fromWealth;
+        return { defaulted: false, payment: due, due: due };
+    }
+
+    /**
+     * Finances a purchase: pays the down payment from wealth and borrows the remainder.
+     * The down payment is raised above the minimum if income can't service the full loan.
+     * @param {number} price - The purchase price
+     * @param {Object} financing - Financing terms
+     */
+    takeMortgage(price, financing) {
+        const MortgageRef = typeof Mortgage !== 'undefined' ? Mortgage : require('./Mortgage.js');
+        const maxLoan = MortgageRef.maxPrincipalFor(
+            this.income * financing.maxDebtToIncome,
+            financing.interestRate,
+            financing.termYears
+        );
+        
+        const downPayment = Math.min(price, this.wealth, Math.max(price * financing.downPaymentRatio, price - maxLoan));
+        const loanAmount = price - downPayment;
+        
+        this.wealth -= downPayment;
+        this.mortgage = loanAmount > 0
+            ? new MortgageRef(loanAmount, financing.interestRate, financing.termYears)
+            : null;
+    }
+
+    /**
+     * Makes this year's mortgage payment. Payments come out of income first;
+     * any shortfall is drawn from wealth.
+     * @returns {Object|null} Payment breakdown, {defaulted: true} if neither can cover it, or null if no mortgage
+     */
+    payMortgage() {
+        if (!this.mortgage) return null;
+        
+        const due = this.mortgage.getPaymentDue();
+        const fromWealth = Math.max(0, due - this.income);
+        if (this.wealth < fromWealth) {
+            return { defaulted: true, payment: 0, due: due };
+        }
+        
+        const result = this.mortgage.makeAnnualPayment();
+        this.wealth -= fromWealth;
+        if (this.mortgage.isPaidOff()) {
+            this.mortgage = null;
+        }
+        return { defaulted: false, fromIncome: result.payment - fromWealth, fromWealth: fromWealth, ...result };
+    }
+
+    /**
+     * Earns a year of income: saves a share of what is left after the mortgage payment or rent,
+     * earns a return on existing wealth, then applies income growth.
+     * @param {number} savingsRate - Share of income after housing costs that is saved
+     * @param {number} wealthReturn - Yearly return on liquid wealth
+     * @param {number} incomeGrowth - Yearly income growth
+     * @returns {number} Amount added to wealth
+     */
+    earnIncome(savingsRate, wealthReturn = 0, incomeGrowth = 0) {
+        const housingCost = (this.mortgage ? this.mortgage.getPaymentDue() : 0) +
+            (this.rentedHouse ? this.rentedHouse.rent : 0);
+        const savings = Math.max(0, this.income - housingCost) * savingsRate;
+        const investmentReturn = Math.max(0, this.wealth) * wealthReturn;
+        
+        this.wealth += savings + investmentReturn;
+        this.income *= 1 + incomeGrowth;
+        return savings + investmentReturn;
+    }
+
+    /**
+     * Gets the outstanding mortgage balance.
+     * @returns {number} Remaining debt (0 if no mortgage)
+     */
+    getDebt() {
+        return this.mortgage ? this.mortgage.balance : 0;
+    }
+
+    /**
+     * Gets the person's home equity: current house value minus mortgage debt.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in the house valuation
+     * @returns {number} Home equity (0 if homeless)
+     */
+    getHomeEquity(valueIntrinsicness = 0.7) {
+        return this.house ? this.house.calculateValue(valueIntrinsicness) - this.getDebt() : 0;
+    }
+
+    /**
+     * Gets the value of the person's rental properties (bought with cash, so debt-free).
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in the house valuation
+     * @returns {number} Total property value (0 if not a landlord)
+     */
+    getPropertyValue(valueIntrinsicness = 0.7) {
+        const HouseRef = typeof House !== 'undefined' ? House : require('./House.js');
+        return HouseRef.getTotalValue(this.properties, valueIntrinsicness);
+    }
+
+    /**
+     * Gets the person's net worth: liquid wealth plus home equity and rental properties.
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in the house valuation
+     * @returns {number} Net worth
+     */
+    getNetWorth(valueIntrinsicness = 0.7) {
+        return this.wealth + this.getHomeEquity(valueIntrinsicness) + this.getPropertyValue(valueIntrinsicness);
     }
 
     /**
@@ -102,13 +493,70 @@ class Person {
             wealth: this.wealth,
             hasHouse: !!this.house,
             houseId: this.house ? this.house.id : null,
+            rentedHouseId: this.rentedHouse ? this.rentedHouse.id : null,
+            properties: this.properties.length,
             yearEntered: this.yearEntered,
+            income: this.income,
+            debt: this.getDebt(),
             formattedWealth: MathUtils.formatCurrency(this.wealth)
         };
     }
 
+    /**
+     * Returns the person's state as a plain object for snapshots.
+     * Houses (owned, let and rented) are re-linked from the houses' side by Market.deserialize().
+     * @returns {Object} Serializable person state
+     */
+    serialize() {
+        return {
+            id: this.id,
+            wealth: this.wealth,
+            houseId: this.house ? this.house.id : null,
+            yearEntered: this.yearEntered,
+            income: this.income,
+            yearFirstHoused: this.yearFirstHoused,
+            biddingStrategy: this.biddingStrategy,
+            householdSize: this.householdSize,
+            preferredType: this.preferredType,
+            age: this.age,
+            adults: this.adults,
+            children: this.children,
+            retired: this.retired,
+            isLandlord: this.isLandlord,
+            expectationRule: this.expectationRule,
+            expectedGrowth: this.expectedGrowth,
+            mortgage: this.mortgage ? this.mortgage.serialize() : null
+        };
+    }
+
+    /**
+     * Recreates a person from serialized state (without their house links).
+     * @param {Object} data - State from serialize()
+     * @returns {Person} The restored person
+     */
+    static deserialize(data) {
+        const person = new Person(data.wealth, null, data.yearEntered, data.income || 0);
+        person.id = data.id;
+        person.yearFirstHoused = data.yearFirstHoused ?? null;
+        person.biddingStrategy = data.biddingStrategy ?? null;
+        person.householdSize = data.householdSize ?? 1;
+        person.preferredType = data.preferredType ?? null;
+        person.age = data.age ?? null;
+        person.adults = data.adults ?? 1;
+        person.children = data.children ?? 0;
+        person.retired = data.retired ?? false;
+        person.isLandlord = data.isLandlord ?? false;
+        person.expectationRule = data.expectationRule ?? null;
+        person.expectedGrowth = data.expectedGrowth ?? 0;
+        if (data.mortgage) {
+            const MortgageRef = typeof Mortgage !== 'undefined' ? Mortgage : require('./Mortgage.js');
+            person.mortgage = MortgageRef.deserialize(data.mortgage);
+        }
+        return person;
+    }
+
     toString() {
-        const houseInfo = this.house ? ` (owns ${this.house.id})` : ' (homeless)';
+        const houseInfo = this.house ? ` (owns ${this.house.id})` : (this.rentedHouse ? ` (rents ${this.rentedHouse.id})` : ' (homeless)');
         const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
         return `${this.id}: ${MathUtilsRef.formatCurrency(this.wealth)}${houseInfo}`;
     }
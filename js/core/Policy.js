@@ -0,0 +1,170 @@
+/**
+ * Government policy levers: an annual property tax on owned houses, a vacancy tax on owned
+ * houses nobody lives in, a transfer tax (stamp duty) paid by buyers at auction, and a grant
+ * for first-time buyers. Revenue is tracked and can be paid back out to households.
+ */
+class Policy {
+    /**
+     * Creates a new Policy instance.
+     * @param {Config} config - Configuration object containing policy parameters
+     */
+    constructor(config) {
+        this.config = config;
+        this.balance = 0; // Cumulative revenue less subsidies and redistribution
+        this.startYear();
+    }
+
+    /**
+     * Takes up to the amount from a payer's wealth. Taxes are never collected into debt.
+     * @param {Person|Investor} payer - Who pays
+     * @param {number} amount - Amount due
+     * @returns {number} Amount actually paid
+     */
+    static charge(payer, amount) {
+        const paid = Math.min(amount, Math.max(0, payer.wealth));
+        payer.wealth -= paid;
+        return paid;
+    }
+
+    /**
+     * Starts a new year of revenue and spending totals.
+     */
+    startYear() {
+        this.lastYear = { propertyTax: 0, vacancyTax: 0, transferTax: 0, unpaidTax: 0, subsidies: 0, redistributed: 0 };
+    }
+
+    /**
+     * Checks if any policy lever is set.
+     * @returns {boolean} True if any tax or the first-time buyer grant is non-zero
+     */
+    isActive() {
+        return ['property_tax_rate', 'vacancy_tax_rate', 'transfer_tax_rate', 'first_time_buyer_subsidy']
+            .some(key => this.config.get(key) > 0);
+    }
+
+    /**
+     * Gets this year's tax revenue.
+     * @returns {number} Property, vacancy and transfer tax collected
+     */
+    getRevenue() {
+        return this.lastYear.propertyTax + this.lastYear.vacancyTax + this.lastYear.transferTax;
+    }
+
+    /**
+     * Gets the share of the sale price buyers pay in transfer tax.
+     * @returns {number} Transfer tax rate
+     */
+    getTransferTaxRate() {
+        return this.config.get('transfer_tax_rate');
+    }
+
+    /**
+     * Collects a year of property tax from every owner (homes, rentals and investor holdings),
+     * plus vacancy tax on owned houses with nobody living in them. Owners pay from wealth;
+     * what they can't pay is recorded as unpaid.
+     * @param {House[]} houses - All houses in the market
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {number} Tax collected
+     */
+    collectPropertyTaxes(houses, valueIntrinsicness = 0.7) {
+        const propertyRate = this.config.get('property_tax_rate');
+        const vacancyRate = this.config.get('vacancy_tax_rate');
+        if (propertyRate === 0 && vacancyRate === 0) return 0;
+
+        houses.filter(house => house.owner).forEach(house => {
+            const value = house.calculateValue(valueIntrinsicness);
+            const propertyTax = propertyRate * value;
+            const vacancyTax = house.isOccupied() ? 0 : vacancyRate * value;
+            const paid = Policy.charge(house.owner, propertyTax + vacancyTax);
+
+            // Part payments are split between the two taxes in proportion
+            const share = propertyTax + vacancyTax > 0 ? paid / (propertyTax + vacancyTax) : 0;
+            this.lastYear.propertyTax += propertyTax * share;
+            this.lastYear.vacancyTax += vacancyTax * share;
+            this.lastYear.unpaidTax += propertyTax + vacancyTax - paid;
+        });
+        this.balance += this.lastYear.propertyTax + this.lastYear.vacancyTax;
+        return this.lastYear.propertyTax + this.lastYear.vacancyTax;
+    }
+
+    /**
+     * Levies transfer tax on a completed sale. The buyer pays it on top of the price.
+     * @param {Person|Investor} buyer - The buyer
+     * @param {number} price - Sale price
+     * @returns {number} Tax collected
+     */
+    levyTransferTax(buyer, price) {
+        const due = this.getTransferTaxRate() * price;
+        if (due === 0) return 0;
+
+        const paid = Policy.charge(buyer, due);
+        this.lastYear.transferTax += paid;
+        this.lastYear.unpaidTax += due - paid;
+        this.balance += paid;
+        return paid;
+    }
+
+    /**
+     * Offers this year's first-time buyer grant to every household without a home that has
+     * never owned one. The grant counts toward what they can pay, and is paid only if they buy.
+     * @param {Person[]} people - All households in the market
+     */
+    offerSubsidies(people) {
+        const amount = this.config.get('first_time_buyer_subsidy');
+        people.forEach(person => {
+            person.subsidy = !person.house && person.yearFirstHoused === null ? amount : 0;
+        });
+    }
+
+    /**
+     * Withdraws grants not taken up this year, once the auctions are over.
+     * @param {Person[]} people - All households in the market
+     */
+    withdrawSubsidies(people) {
+        people.forEach(person => {
+            person.subsidy = 0;
+        });
+    }
+
+    /**
+     * Pays a household's first-time buyer grant (if it has one) as it buys its first home.
+     * @param {Person} buyer - The buyer
+     * @returns {number} Grant paid
+     */
+    paySubsidy(buyer) {
+        const grant = buyer.subsidy || 0;
+        if (grant === 0) return 0;
+
+        buyer.wealth += grant;
+        buyer.subsidy = 0;
+        this.lastYear.subsidies += grant;
+        this.balance -= grant;
+        return grant;
+    }
+
+    /**
+     * Pays this year's net revenue (taxes less subsidies) back out in equal shares, to every
+     * household ('dividend') or to households without a home ('unhoused').
+     * @param {Person[]} people - All households in the market
+     * @returns {number} Amount redistributed
+     */
+    redistribute(people) {
+        const use = this.config.get('tax_revenue_use');
+        const net = this.getRevenue() - this.lastYear.subsidies;
+        if (use === 'none' || net <= 0) return 0;
+
+        const recipients = use === 'unhoused' ? people.filter(person => !person.house) : people;
+        if (recipients.length === 0) return 0;
+
+        recipients.forEach(person => {
+            person.wealth += net / recipients.length;
+        });
+        this.lastYear.redistributed = net;
+        this.balance -= net;
+        return net;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Policy;
+}
@@ -0,0 +1,92 @@
+/**
+ * Registry of rules people use to form expectations of house price growth. Each rule is a
+ * function (expected, observation, params) => new expected growth, applied once a year after
+ * the auctions. The observation describes the market: the year's price growth and the gap
+ * between fundamental values and prices. Expectations feed into bids (bidders value a house
+ * at its expected value over the horizon) and into owners' decisions to trade up.
+ */
+class PriceExpectations {
+    static DEFAULT = 'none';
+    static MAX_GROWTH = 0.2; // Expected yearly growth is kept within ±this
+
+    static RULES = {
+        none: {
+            description: 'Expect prices to stay where they are (the original behaviour)',
+            update: () => 0
+        },
+        adaptive: {
+            description: 'Move the expectation part of the way toward the latest observed growth',
+            update: (expected, observation, params) => expected + params.adaptation * (observation.growth - expected)
+        },
+        extrapolative: {
+            description: 'Expect the latest growth to continue, scaled by the extrapolation strength',
+            update: (expected, observation, params) => params.extrapolation * observation.growth
+        },
+        fundamentalist: {
+            description: 'Expect prices to close part of the gap to fundamental value each year',
+            update: (expected, observation, params) => params.reversion * observation.fundamentalGap
+        }
+    };
+
+    /**
+     * Adds (or replaces) an expectation rule.
+     * @param {string} name - Rule name used in Config and on Person.expectationRule
+     * @param {string} description - Short description for documentation and UI
+     * @param {Function} update - Function (expected, observation, params) returning the new expected growth
+     */
+    static register(name, description, update) {
+        if (typeof update !== 'function') {
+            throw new Error(`Expectation rule ${name} must provide an update function`);
+        }
+        this.RULES[name] = { description: description, update: update };
+    }
+
+    /**
+     * Gets the names of all registered rules.
+     * @returns {string[]} Rule names
+     */
+    static getNames() {
+        return Object.keys(this.RULES);
+    }
+
+    /**
+     * Looks up a rule by name.
+     * @param {string} name - Rule name
+     * @returns {Object} Rule definition {description, update}
+     */
+    static get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.RULES, name)) {
+            throw new Error(`Unknown expectation rule: ${name}`);
+        }
+        return this.RULES[name];
+    }
+
+    /**
+     * Updates an expectation with the named rule, clamped to ±MAX_GROWTH.
+     * @param {string} name - Rule name
+     * @param {number} expected - Current expected yearly growth
+     * @param {Object} observation - What the market showed this year
+     * @param {number} observation.growth - Growth of the price level over the year
+     * @param {number} observation.fundamentalGap - Fundamental value over the price level, minus 1
+     * @param {Object} params - Rule parameters: adaptation, extrapolation, reversion
+     * @returns {number} New expected yearly growth
+     */
+    static update(name, expected, observation, params) {
+        const growth = this.get(name).update(expected, observation, params);
+        return Math.max(-this.MAX_GROWTH, Math.min(this.MAX_GROWTH, growth));
+    }
+
+    /**
+     * Checks a population mix, returning a list of problems (empty if valid).
+     * @param {Object} mix - Map of rule name to relative weight
+     * @returns {string[]} Validation errors
+     */
+    static validateMix(mix) {
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        return MathUtilsRef.validateWeightMix(mix, 'expectation_rule_mix', Object.keys(this.RULES), 'rule');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceExpectations;
+}
@@ -0,0 +1,125 @@
+/**
+ * House price indices built from each year's auction sales, for comparison with real-world
+ * indices. All three are 100 in the first year with sales:
+ * - median: the median sale price relative to the base year's
+ * - hedonic: sale prices adjusted for what was sold. Each sale is divided by the house's
+ *   characteristics-based value (intrinsic value times location multiplier) and the index
+ *   follows the geometric mean of these ratios, so a year of mostly cheap houses selling
+ *   doesn't read as a fall in prices
+ * - repeat sales (Case–Shiller style): the price change of houses sold more than once. Each
+ *   year's level is the geometric mean over houses resold that year of the price relative
+ *   (last sale to this one) times the index level when they last sold
+ * Years without sales (or without resales, for the repeat-sales index) carry the last level.
+ */
+class PriceIndex {
+    static BASE = 100;
+
+    /**
+     * Creates a new PriceIndex instance.
+     */
+    constructor() {
+        this.base = null; // Base year {year, medianPrice, qualityRatio}, set by the first year with sales
+        this.sales = {}; // Last sale of each house by id: {year, price}
+        this.repeatSalesLevels = {}; // Log repeat-sales level by year
+        this.latest = {
+            sales: 0,
+            medianPrice: 0,
+            median: PriceIndex.BASE,
+            hedonic: PriceIndex.BASE,
+            repeatSales: PriceIndex.BASE,
+            repeatSalesPairs: 0
+        };
+    }
+
+    /**
+     * Gets the characteristics-based value a sale price is compared with in the hedonic index.
+     * @param {House} house - The house sold
+     * @returns {number} Intrinsic value times location multiplier
+     */
+    static getQuality(house) {
+        return house.intrinsicValue * house.getLocationMultiplier();
+    }
+
+    /**
+     * Updates the indices with a year's sales.
+     * @param {number} year - The year the sales took place
+     * @param {Object[]} sales - Sales as {house, price}
+     * @returns {Object} The year's index values (see getLatest())
+     */
+    update(year, sales) {
+        const MathUtilsRef = typeof MathUtils !== 'undefined' ? MathUtils : require('../utils/MathUtils.js');
+        const valid = sales.filter(sale => sale.price > 0 && PriceIndex.getQuality(sale.house) > 0);
+        const latest = { ...this.latest, sales: valid.length, repeatSalesPairs: 0 };
+
+        if (valid.length > 0) {
+            const medianPrice = MathUtilsRef.percentile(valid.map(sale => sale.price), 0.5);
+            const qualityRatio = Math.exp(MathUtilsRef.mean(valid.map(sale => Math.log(sale.price / PriceIndex.getQuality(sale.house)))));
+            if (!this.base) {
+                this.base = { year: year, medianPrice: medianPrice, qualityRatio: qualityRatio };
+                this.repeatSalesLevels[year] = 0;
+            }
+            latest.medianPrice = medianPrice;
+            latest.median = PriceIndex.BASE * medianPrice / this.base.medianPrice;
+            latest.hedonic = PriceIndex.BASE * qualityRatio / this.base.qualityRatio;
+        }
+
+        if (this.base) {
+            // Chain this year's repeat sales onto the levels of the years the houses last sold
+            const pairs = valid
+                .map(sale => ({ sale: sale, previous: this.sales[sale.house.id] }))
+                .filter(pair => pair.previous && pair.previous.year < year);
+            if (pairs.length > 0) {
+                const logLevel = MathUtilsRef.mean(pairs.map(pair =>
+                    Math.log(pair.sale.price / pair.previous.price) + this.repeatSalesLevels[pair.previous.year]
+                ));
+                this.repeatSalesLevels[year] = logLevel;
+                latest.repeatSales = PriceIndex.BASE * Math.exp(logLevel);
+            } else if (year !== this.base.year) {
+                this.repeatSalesLevels[year] = Math.log(latest.repeatSales / PriceIndex.BASE);
+            }
+            latest.repeatSalesPairs = pairs.length;
+        }
+
+        valid.forEach(sale => {
+            this.sales[sale.house.id] = { year: year, price: sale.price };
+        });
+        this.latest = latest;
+        return latest;
+    }
+
+    /**
+     * Gets the latest index values.
+     * @returns {Object} {sales, medianPrice, median, hedonic, repeatSales, repeatSalesPairs}
+     */
+    getLatest() {
+        return this.latest;
+    }
+
+    /**
+     * Captures the index state for a snapshot.
+     * @returns {Object} State to pass to setState()
+     */
+    getState() {
+        return {
+            base: this.base,
+            sales: this.sales,
+            repeatSalesLevels: this.repeatSalesLevels,
+            latest: this.latest
+        };
+    }
+
+    /**
+     * Restores state previously captured with getState().
+     * @param {Object} state - State object from getState()
+     */
+    setState(state) {
+        this.base = state.base ? { ...state.base } : null;
+        this.sales = { ...state.sales };
+        this.repeatSalesLevels = { ...state.repeatSalesLevels };
+        this.latest = { ...state.latest };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceIndex;
+}
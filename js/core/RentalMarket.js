@@ -0,0 +1,120 @@
+/**
+ * Rental tenure: landlords let houses they own but don't live in, and households without a
+ * home of their own rent them. Rents are the house's value times a market rent yield, and the
+ * yield moves each year with the balance between households who could rent and empty units.
+ */
+class RentalMarket {
+    static MIN_YIELD = 0.01;
+    static MAX_YIELD = 0.2;
+
+    /**
+     * Creates a new RentalMarket instance.
+     * @param {Config} config - Configuration object containing rental parameters
+     */
+    constructor(config) {
+        this.config = config;
+        this.rentYield = config.get('initial_rent_yield'); // Annual rent as a share of house value
+    }
+
+    /**
+     * Gets the market rent for a house.
+     * @param {House} house - The house
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {number} Annual rent
+     */
+    getRent(house, valueIntrinsicness = 0.7) {
+        return house.calculateValue(valueIntrinsicness) * this.rentYield;
+    }
+
+    /**
+     * Checks if a household can afford a rent within the maximum rent-to-income ratio.
+     * @param {Person} person - The household
+     * @param {number} rent - Annual rent
+     * @returns {boolean} True if the rent is affordable
+     */
+    canAffordRent(person, rent) {
+        return rent <= person.income * this.config.get('max_rent_to_income');
+    }
+
+    /**
+     * Gets the terms landlords use to decide whether, and how much, to bid for rentals.
+     * @returns {Object} {rentYield, requiredYield, maxProperties}
+     */
+    getInvestmentTerms() {
+        return {
+            rentYield: this.rentYield,
+            requiredYield: this.config.get('landlord_required_yield'),
+            maxProperties: this.config.get('landlord_max_properties')
+        };
+    }
+
+    /**
+     * Runs a year of the rental market. Sitting tenants pay their rent to the landlord
+     * (evicted if they can't), then rents reset to market and tenants who can no longer
+     * afford them move out. Vacant units go to households with no home, highest income
+     * first, each taking the most expensive unit that fits and that they can afford.
+     * Finally the rent yield moves with excess demand.
+     * @param {House[]} houses - All houses in the market
+     * @param {Person[]} people - All households in the market
+     * @param {number} valueIntrinsicness - Weight for intrinsic value in house valuation
+     * @returns {Object} {rentCollected, evictions, newTenancies, vacancies, unmetDemand}
+     */
+    clear(houses, people, valueIntrinsicness = 0.7) {
+        const outcome = { rentCollected: 0, evictions: 0, newTenancies: 0, vacancies: 0, unmetDemand: 0 };
+        const rentals = houses.filter(h => h.rental);
+        if (rentals.length === 0) return outcome;
+
+        rentals.filter(h => h.tenant).forEach(house => {
+            const tenant = house.tenant;
+            const payment = tenant.payRent();
+            if (payment.defaulted) {
+                tenant.leaveRental();
+                outcome.evictions++;
+                return;
+            }
+            house.owner.wealth += payment.payment;
+            outcome.rentCollected += payment.payment;
+
+            house.rent = this.getRent(house, valueIntrinsicness);
+            if (!this.canAffordRent(tenant, house.rent)) {
+                tenant.leaveRental();
+                outcome.evictions++;
+            }
+        });
+
+        const vacant = rentals
+            .filter(h => !h.tenant)
+            .map(house => ({ house: house, rent: this.getRent(house, valueIntrinsicness) }))
+            .sort((a, b) => b.rent - a.rent);
+        const seekers = people
+            .filter(p => !p.house && !p.rentedHouse)
+            .sort((a, b) => b.income - a.income);
+        const cheapestRent = Math.min(...rentals.map(h => this.getRent(h, valueIntrinsicness)));
+
+        seekers.forEach(person => {
+            const index = vacant.findIndex(unit => person.fitsHouse(unit.house) && this.canAffordRent(person, unit.rent));
+            if (index === -1) {
+                // Only households who could afford some rental count as unmet demand
+                if (this.canAffordRent(person, cheapestRent)) {
+                    outcome.unmetDemand++;
+                }
+                return;
+            }
+            const unit = vacant.splice(index, 1)[0];
+            person.rentHouse(unit.house, unit.rent);
+            outcome.newTenancies++;
+        });
+        outcome.vacancies = vacant.length;
+
+        // Unmet demand pushes rents up, empty units pull them down
+        const imbalance = (outcome.unmetDemand - outcome.vacancies) / rentals.length;
+        this.rentYield = Math.min(RentalMarket.MAX_YIELD, Math.max(RentalMarket.MIN_YIELD,
+            this.rentYield * (1 + this.config.get('rent_adjustment') * imbalance)));
+
+        return outcome;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RentalMarket;
+}
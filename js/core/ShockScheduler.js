@@ -0,0 +1,210 @@
+/**
+ * Registry of economic shocks and the schedule that fires them. Shocks are declared in the
+ * `shocks` setting, each either at a fixed year ({type, year, ...}) or as a yearly chance
+ * ({type, probability, from?, until?, ...}). Each shock type has the parameters it needs,
+ * a short description for charts and logs, and an apply function that changes the market.
+ */
+class ShockScheduler {
+    static TYPES = {
+        wealth: {
+            description: "Scale every household's and investor's liquid wealth by 1 + change",
+            params: { change: 'fraction' },
+            describe: shock => `Wealth ${ShockScheduler.formatChange(shock.change)}`,
+            apply: (market, shock) => {
+                [...market.people, ...market.investors].forEach(holder => {
+                    holder.wealth *= 1 + shock.change;
+                });
+            }
+        },
+        income: {
+            description: 'Scale every household income by 1 + change',
+            params: { change: 'fraction' },
+            describe: shock => `Income ${ShockScheduler.formatChange(shock.change)}`,
+            apply: (market, shock) => {
+                market.people.forEach(person => {
+                    person.income *= 1 + shock.change;
+                });
+            }
+        },
+        house_value: {
+            description: 'Scale every house value (intrinsic value and last price) by 1 + change',
+            params: { change: 'fraction' },
+            describe: shock => `House values ${ShockScheduler.formatChange(shock.change)}`,
+            apply: (market, shock) => {
+                market.houses.forEach(house => {
+                    house.intrinsicValue *= 1 + shock.change;
+                    house.lastSellingPrice *= 1 + shock.change;
+                });
+            }
+        },
+        migration: {
+            description: 'Add count new households, or remove that many at random when count is negative',
+            params: { count: 'count' },
+            describe: shock => shock.count > 0 ? `${shock.count} households arrive` : `${-shock.count} households leave`,
+            apply: (market, shock) => {
+                if (shock.count > 0) {
+                    for (let i = 0; i < shock.count; i++) {
+                        market.addEntrant();
+                    }
+                    return;
+                }
+                // Leavers sell up straight away, so their houses join this year's auctions
+                const leaving = market.MathUtils.selectRandomElements(market.people, -shock.count, market.random);
+                leaving.forEach(person => {
+                    market.availableHouses.push(...market.listDepartingHouses(person));
+                });
+                market.people = market.people.filter(person => !leaving.includes(person));
+            }
+        },
+        interest_rate: {
+            description: 'Set the mortgage rate for new loans (existing mortgages keep their rate)',
+            params: { rate: 'rate' },
+            describe: shock => `Mortgage rate ${(shock.rate * 100).toFixed(1)}%`,
+            apply: (market, shock) => {
+                market.interestRate = shock.rate;
+            }
+        }
+    };
+
+    // Checks for each kind of shock parameter: returns true if the value is valid
+    static PARAM_CHECKS = {
+        fraction: { check: value => typeof value === 'number' && value > -1, requirement: 'a number above -1' },
+        count: { check: value => Number.isInteger(value) && value !== 0, requirement: 'a non-zero integer' },
+        rate: { check: value => typeof value === 'number' && value >= 0, requirement: 'a non-negative number' }
+    };
+
+    /**
+     * Adds (or replaces) a shock type.
+     * @param {string} name - Type name used in the shocks setting
+     * @param {Object} definition - {description, params, describe, apply}
+     */
+    static register(name, definition) {
+        ['describe', 'apply'].forEach(key => {
+            if (typeof definition[key] !== 'function') {
+                throw new Error(`Shock type ${name} must provide a ${key} function`);
+            }
+        });
+        this.TYPES[name] = { params: {}, ...definition };
+    }
+
+    /**
+     * Gets the names of all registered shock types.
+     * @returns {string[]} Type names
+     */
+    static getNames() {
+        return Object.keys(this.TYPES);
+    }
+
+    /**
+     * Looks up a shock type by name.
+     * @param {string} name - Type name
+     * @returns {Object} Type definition
+     */
+    static get(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.TYPES, name)) {
+            throw new Error(`Unknown shock type: ${name}`);
+        }
+        return this.TYPES[name];
+    }
+
+    /**
+     * Gets a shock's label: its own label if it has one, otherwise its type's description of it.
+     * @param {Object} shock - Shock declaration
+     * @returns {string} Label for logs and chart markers
+     */
+    static describe(shock) {
+        return shock.label || this.get(shock.type).describe(shock);
+    }
+
+    /**
+     * Formats a fractional change as a signed percentage.
+     * @param {number} change - Change as a fraction (e.g. -0.3)
+     * @returns {string} e.g. "-30%"
+     */
+    static formatChange(change) {
+        return `${change > 0 ? '+' : ''}${Math.round(change * 100)}%`;
+    }
+
+    /**
+     * Checks a list of shock declarations, returning a list of problems (empty if valid).
+     * @param {Array} shocks - Shock declarations
+     * @returns {string[]} Validation errors
+     */
+    static validate(shocks) {
+        if (!Array.isArray(shocks)) {
+            return ['shocks must be a list of shock declarations'];
+        }
+
+        const errors = [];
+        shocks.forEach((shock, index) => {
+            const name = `shocks[${index}]`;
+            if (!shock || typeof shock !== 'object') {
+                errors.push(`${name} must be an object`);
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(this.TYPES, shock.type)) {
+                errors.push(`${name} type must be one of: ${this.getNames().join(', ')}`);
+                return;
+            }
+
+            const hasYear = shock.year !== undefined;
+            const hasProbability = shock.probability !== undefined;
+            if (hasYear === hasProbability) {
+                errors.push(`${name} must have either a year or a probability`);
+            }
+            if (hasYear && !Number.isInteger(shock.year)) {
+                errors.push(`${name} year must be an integer`);
+            }
+            if (hasProbability && (typeof shock.probability !== 'number' || shock.probability <= 0 || shock.probability > 1)) {
+                errors.push(`${name} probability must be above 0 and at most 1`);
+            }
+            ['from', 'until'].forEach(key => {
+                if (shock[key] !== undefined && !Number.isInteger(shock[key])) {
+                    errors.push(`${name} ${key} must be an integer year`);
+                }
+            });
+            if (shock.label !== undefined && typeof shock.label !== 'string') {
+                errors.push(`${name} label must be a string`);
+            }
+
+            Object.entries(this.TYPES[shock.type].params).forEach(([param, kind]) => {
+                if (!this.PARAM_CHECKS[kind].check(shock[param])) {
+                    errors.push(`${name} ${param} must be ${this.PARAM_CHECKS[kind].requirement}`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    /**
+     * Creates a new ShockScheduler instance.
+     * @param {Config} config - Configuration object containing the shocks setting
+     */
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Gets the shocks that fire in a year: those scheduled for it, plus probabilistic shocks
+     * whose window covers it and whose yearly draw comes up. Random draws are only made
+     * for probabilistic shocks, so an empty schedule leaves the random stream untouched.
+     * @param {number} year - The current simulation year
+     * @param {Object} random - Random source with next()
+     * @returns {Object[]} Shock declarations to apply, in declaration order
+     */
+    getDueShocks(year, random) {
+        return (this.config.get('shocks') || []).filter(shock => {
+            if (shock.year !== undefined) {
+                return shock.year === year;
+            }
+            if ((shock.from !== undefined && year < shock.from) || (shock.until !== undefined && year > shock.until)) {
+                return false;
+            }
+            return random.next() < shock.probability;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShockScheduler;
+}
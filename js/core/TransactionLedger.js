@@ -0,0 +1,107 @@
+/**
+ * Ledger of every sale made at auction over a run, for studying individual transactions
+ * rather than yearly aggregates. Entries are plain objects (so they serialize with the
+ * market) and are kept in the order the sales happened.
+ */
+class TransactionLedger {
+    static COLUMNS = ['year', 'tick', 'batch', 'houseId', 'buyerId', 'sellerId', 'purpose', 'price', 'winningBid', 'bidderCount'];
+
+    /**
+     * Creates a new, empty TransactionLedger.
+     */
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Records the sales from one auction batch.
+     * @param {Object[]} results - Successful auction results (after executeTransactions())
+     * @param {Object} context - When the sales happened
+     * @param {number} context.year - Simulation year
+     * @param {number} context.tick - Market tick
+     * @param {number} context.batch - Auction batch within the tick (1-indexed)
+     * @returns {Object[]} The new ledger entries
+     */
+    recordSales(results, context) {
+        const entries = results.filter(result => result.winner).map(result => ({
+            year: context.year,
+            tick: context.tick,
+            batch: context.batch,
+            houseId: result.house.id,
+            buyerId: result.winner.id,
+            sellerId: result.seller ? result.seller.id : null,
+            purpose: result.purpose || 'home',
+            price: result.secondPrice,
+            winningBid: result.winningBid,
+            bidderCount: result.bidderCount
+        }));
+        this.entries.push(...entries);
+        return entries;
+    }
+
+    /**
+     * Gets every recorded sale.
+     * @returns {Object[]} Ledger entries in the order the sales happened
+     */
+    getAll() {
+        return this.entries;
+    }
+
+    /**
+     * Gets the number of recorded sales.
+     * @returns {number} Entry count
+     */
+    getCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * Gets the sales of one house.
+     * @param {string} houseId - House ID
+     * @returns {Object[]} The house's sales, oldest first
+     */
+    getByHouse(houseId) {
+        return this.entries.filter(entry => entry.houseId === houseId);
+    }
+
+    /**
+     * Gets the sales a household or investor took part in.
+     * @param {string} personId - Person or investor ID
+     * @param {string} role - 'buyer', 'seller' or 'any' (default)
+     * @returns {Object[]} Matching sales, oldest first
+     */
+    getByPerson(personId, role = 'any') {
+        return this.entries.filter(entry =>
+            (role !== 'seller' && entry.buyerId === personId) ||
+            (role !== 'buyer' && entry.sellerId === personId)
+        );
+    }
+
+    /**
+     * Gets the sales within a range of years.
+     * @param {number} startYear - First year (inclusive)
+     * @param {number} endYear - Last year (inclusive, default: no limit)
+     * @returns {Object[]} Matching sales, oldest first
+     */
+    getByYearRange(startYear, endYear = Infinity) {
+        return this.entries.filter(entry => entry.year >= startYear && entry.year <= endYear);
+    }
+
+    /**
+     * Exports sales as CSV, one row per sale.
+     * @param {Object[]} entries - Entries to export (default: the whole ledger)
+     * @returns {string} CSV string with a header row
+     */
+    exportCSV(entries = this.entries) {
+        const columns = TransactionLedger.COLUMNS;
+        const rows = entries.map(entry =>
+            columns.map(column => entry[column] !== null && entry[column] !== undefined ? entry[column] : '').join(',')
+        );
+
+        return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionLedger;
+}
@@ -14,6 +14,7 @@ class Simulation {
         this.isRunning = false;
         this.isPaused = false;
         this.intervalId = null;
+        this.runLength = null; // Ticks after which a running simulation stops (set by scenarios)
         
         this.initialize();
     }
@@ -62,6 +63,9 @@ class Simulation {
                 <button id="pauseBtn" disabled>Pause</button>
                 <button id="stepBtn">Step</button>
                 <button id="resetBtn">Reset</button>
+                <button id="saveStateBtn">Save</button>
+                <button id="loadStateBtn">Load</button>
+                <input type="file" id="loadStateInput" accept=".json,application/json" style="display: none">
                 <div>
                     <label for="speedSlider">Speed (ms): </label>
                     <input type="range" id="speedSlider" min="100" max="3000" value="${this.config.get('simulation_speed')}" step="100">
@@ -74,6 +78,15 @@ class Simulation {
             document.getElementById('pauseBtn').addEventListener('click', () => this.pause());
             document.getElementById('stepBtn').addEventListener('click', () => this.step());
             document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+            document.getElementById('saveStateBtn').addEventListener('click', () => this.saveState());
+            
+            const loadStateInput = document.getElementById('loadStateInput');
+            document.getElementById('loadStateBtn').addEventListener('click', () => loadStateInput.click());
+            loadStateInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.loadStateFromFile(file);
+                e.target.value = ''; // Allow loading the same file again
+            });
             
             const speedSlider = document.getElementById('speedSlider');
             speedSlider.addEventListener('input', (e) => {
@@ -183,6 +196,11 @@ class Simulation {
         
         // Update display
         this.updateDisplay();
+        
+        // A scenario's run ends after its length
+        if (this.isRunning && this.runLength !== null && this.market.tickCount >= this.runLength) {
+            this.stop();
+        }
     }
 
     /**
@@ -202,7 +220,7 @@ class Simulation {
     }
 
     /**
-     * Resets the simulation to initial conditions with a new random seed.
+     * Resets the simulation to initial conditions (with a new random seed unless random_seed is set).
      */
     reset() {
         this.stop();
@@ -222,6 +240,83 @@ class Simulation {
         console.log('Simulation reset');
     }
 
+    /**
+     * Replaces the settings with a scenario's and starts a fresh run from them.
+     * @param {Scenario} scenario - The scenario to load
+     */
+    loadScenario(scenario) {
+        this.config.loadSettings(scenario.getSettings());
+        this.runLength = scenario.ticks;
+        this.reset();
+        
+        console.log(`Scenario loaded: ${scenario.name || 'unnamed'}`);
+    }
+
+    /**
+     * Captures the current settings (before any timeline changes) as a scenario.
+     * @returns {Scenario} The scenario
+     */
+    getScenario() {
+        return Scenario.fromConfig(this.config, { ticks: this.runLength });
+    }
+
+    /**
+     * Downloads the complete market state as a JSON file.
+     */
+    saveState() {
+        if (!this.market) return;
+        
+        const json = JSON.stringify(this.market.serialize(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `housing-market-year-${this.market.currentYear}-seed-${this.market.randomSeed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`Market state saved (Year ${this.market.currentYear})`);
+    }
+
+    /**
+     * Loads a market state file saved with saveState().
+     * @param {File} file - The selected snapshot file
+     */
+    loadStateFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.loadState(reader.result);
+            } catch (error) {
+                alert('Error loading market state: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Replaces the current market with one restored from a snapshot.
+     * @param {string|Object} snapshot - Snapshot JSON or object from Market.serialize()
+     */
+    loadState(snapshot) {
+        const market = Market.deserialize(snapshot);
+        
+        this.stop();
+        this.market = market;
+        this.config = market.config;
+        
+        if (this.renderer) {
+            this.renderer.setMarket(this.market);
+            this.renderer.setupMouseInteraction(this.market);
+        }
+        this.updateDisplay();
+        
+        console.log(`Market state loaded (Year ${this.market.currentYear}, Tick ${this.market.tickCount})`);
+    }
+
     /**
      * Updates the state of UI control buttons based on simulation status.
      */
@@ -273,6 +368,7 @@ class Simulation {
         const houses = this.market.houses.map(h => h.getDisplayInfo());
         
         return JSON.stringify({
+            randomSeed: this.market.randomSeed,
             stats,
             people,
             houses,
@@ -332,6 +428,18 @@ class SettingsManager {
             this.saveSettings();
         });
 
+        // Scenario files
+        const loadScenarioInput = document.getElementById('loadScenarioInput');
+        document.getElementById('loadScenario').addEventListener('click', () => loadScenarioInput.click());
+        loadScenarioInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadScenarioFromFile(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+        document.getElementById('exportScenario').addEventListener('click', () => {
+            this.exportScenario();
+        });
+
         // Close on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.modal.style.display === 'block') {
@@ -409,13 +517,29 @@ class SettingsManager {
         const inputContainer = document.createElement('div');
         inputContainer.className = 'setting-input';
         
-        const input = document.createElement('input');
-        input.type = setting.type;
+        let input;
+        if (setting.type === 'select') {
+            input = document.createElement('select');
+            setting.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option;
+                optionElement.textContent = option;
+                input.appendChild(optionElement);
+            });
+            input.value = setting.value;
+        } else if (setting.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = !!setting.value;
+        } else {
+            input = document.createElement('input');
+            input.type = setting.type;
+            input.value = setting.value ?? '';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.step;
+        }
         input.id = `setting-${key}`;
-        input.value = setting.value;
-        input.min = setting.min;
-        input.max = setting.max;
-        input.step = setting.step;
         
         inputContainer.appendChild(input);
         
@@ -453,10 +577,27 @@ class SettingsManager {
         Object.keys(settings).forEach(key => {
             const input = document.getElementById(`setting-${key}`);
             if (input) {
+                const setting = settings[key];
+                
+                if (setting.type === 'boolean') {
+                    data[key] = input.checked;
+                    return;
+                }
+                
+                if (setting.type === 'select') {
+                    data[key] = input.value;
+                    return;
+                }
+                
+                // Optional settings left empty are stored as null
+                if (setting.optional && input.value.trim() === '') {
+                    data[key] = null;
+                    return;
+                }
+                
                 let value = parseFloat(input.value);
                 
                 // Validate against constraints
-                const setting = settings[key];
                 if (value < setting.min) value = setting.min;
                 if (value > setting.max) value = setting.max;
                 
@@ -470,6 +611,7 @@ class SettingsManager {
     resetToDefaults() {
         if (confirm('Reset all settings to default values? This will also reset the simulation.')) {
             this.simulation.config.resetToDefaults();
+            this.simulation.runLength = null;
             this.renderSettingsForm();
             this.simulation.reset();
             this.closeSettings();
@@ -491,6 +633,41 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Loads a scenario file, applies it and resets the simulation.
+     * @param {File} file - The selected scenario file
+     */
+    loadScenarioFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const scenario = Scenario.parse(reader.result);
+                this.simulation.loadScenario(scenario);
+                this.closeSettings();
+                this.showNotification(`Scenario ${scenario.name ? `"${scenario.name}" ` : ''}loaded and simulation reset!`);
+            } catch (error) {
+                alert('Error loading scenario: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Downloads the current settings as a scenario file.
+     */
+    exportScenario() {
+        const blob = new Blob([this.simulation.getScenario().stringify()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'scenario.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     showNotification(message) {
         // Create temporary notification
         const notification = document.createElement('div');
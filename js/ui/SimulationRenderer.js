@@ -21,8 +21,10 @@ class SimulationRenderer {
         this.currencyMetrics = ['averageHouseValue', 'averageWealth'];
         this.chartRenderer = null;
         
-        // Layout configuration (optimized for 100 houses)
-        this.gridCols = 10;
+        // Layout configuration (optimized for 100 houses). Columns match the market's lot grid;
+        // rows are added by fitGrid() when construction builds past the last one
+        const GeographyRef = typeof Geography !== 'undefined' ? Geography : require('../core/Geography.js');
+        this.gridCols = GeographyRef.COLUMNS;
         this.gridRows = 10;
         this.houseSize = 40; // Reduced for better fit with 100 houses
         this.personSize = 10; // Proportionally reduced
@@ -34,6 +36,8 @@ class SimulationRenderer {
             'just-available': '#ffe4b5',    // Light orange - just became available  
             occupied: '#90ee90',            // Light green - occupied house
             'just-occupied': '#add8e6',     // Light blue - just became occupied
+            rented: '#dda0dd',              // Plum - let to a tenant
+            'vacant-rental': '#f0e68c',     // Khaki - rental waiting for a tenant
             background: '#ecf0f1',          // Light gray background
             person: '#2c3e50',              // Dark blue for people
             personHomeless: '#e67e22',      // Orange for people looking for houses
@@ -41,6 +45,12 @@ class SimulationRenderer {
             text: '#2c3e50'                 // Dark text
         };
         
+        // Strip colors that tell neighborhoods apart (cycled if there are more neighborhoods)
+        this.neighborhoodColors = ['#8e44ad', '#16a085', '#d35400', '#2980b9', '#c0392b', '#7f8c8d'];
+        
+        // Short labels for house types (other types use their first three letters)
+        this.houseTypeLabels = { apartment: 'APT', townhouse: 'TWN', detached: 'DET' };
+        
         // Animation state
         this.animationFrame = null;
         this.isAnimating = false;
@@ -100,6 +110,8 @@ class SimulationRenderer {
      * @param {Market} market - The market instance to render
      */
     renderMarketView(market) {
+        this.fitGrid(market.houses);
+        
         // Clear canvas
         this.ctx.fillStyle = this.colors.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -117,7 +129,7 @@ class SimulationRenderer {
         this.renderPeople(market.people);
         
         // Draw legend
-        this.renderLegend();
+        this.renderLegend(market.config.get('rental_enabled') || market.investors.length > 0);
         
         // Draw looking area
         this.renderLookingArea(market.people);
@@ -166,18 +178,32 @@ class SimulationRenderer {
         this.renderCurrencyChart(analyticsHistory, bottomChartHeight, topChartHeight + 60);
     }
 
+    /**
+     * Adds grid rows (and resizes the canvas) when construction has built past the last row.
+     * @param {Array} houses - Array of house instances to render
+     */
+    fitGrid(houses) {
+        const rows = houses.reduce((max, house) => Math.max(max, (house.y ?? 0) + 1), 0);
+        if (rows > this.gridRows) {
+            this.gridRows = rows;
+            this.setupCanvas();
+        }
+    }
+
     /**
      * Renders all houses in the grid layout.
      * @param {Array} houses - Array of house instances to render
      */
     renderHouses(houses) {
+        // Only mark neighborhoods when the market has more than one
+        const zoned = houses.some(house => house.neighborhood > 0);
         houses.forEach((house, index) => {
-            const position = this.getHousePosition(index);
-            this.renderHouse(house, position.x, position.y);
+            const position = this.getHousePosition(index, house);
+            this.renderHouse(house, position.x, position.y, zoned);
         });
     }
 
-    renderHouse(house, x, y) {
+    renderHouse(house, x, y, zoned = false) {
         const info = house.getDisplayInfo();
         
         // Get color based on state
@@ -192,6 +218,12 @@ class SimulationRenderer {
         this.ctx.lineWidth = 2;
         this.ctx.strokeRect(x, y, this.houseSize, this.houseSize);
         
+        // Draw neighborhood strip along the bottom edge
+        if (zoned && house.neighborhood !== null) {
+            this.ctx.fillStyle = this.neighborhoodColors[house.neighborhood % this.neighborhoodColors.length];
+            this.ctx.fillRect(x + 1, y + this.houseSize - 4, this.houseSize - 2, 3);
+        }
+        
         // Draw house ID (optimized for smaller houses)
         this.ctx.fillStyle = this.colors.text;
         this.ctx.font = 'bold 9px Arial';
@@ -210,6 +242,13 @@ class SimulationRenderer {
         const value = Math.round(info.currentValue / 1000) + 'k';
         this.ctx.fillText(value, x + this.houseSize/2, y + 20);
         
+        // Draw house type
+        if (info.type) {
+            this.ctx.font = '6px Arial';
+            const label = this.houseTypeLabels[info.type] || info.type.slice(0, 3).toUpperCase();
+            this.ctx.fillText(label, x + this.houseSize/2, y + 28);
+        }
+        
         // Draw ownership years if owned (simplified)
         if (!info.isAvailable && info.yearsSinceOwnership > 0) {
             this.ctx.font = '6px Arial';
@@ -225,24 +264,24 @@ class SimulationRenderer {
 
     renderPeople(people) {
         people.forEach(person => {
-            if (person.house) {
-                // Person is housed - draw them in their house
+            if (person.house || person.rentedHouse) {
+                // Person is housed - draw them in the house they own or rent
                 this.renderPersonInHouse(person);
             }
         });
     }
 
     /**
-     * Renders a person inside their house.
+     * Renders a person inside the house they own or rent.
      * @param {Person} person - The person to render
      */
     renderPersonInHouse(person) {
-        const house = person.house;
+        const house = person.house || person.rentedHouse;
         const houseIndex = this.getHouseIndex(house);
         
         if (houseIndex === -1) return;
         
-        const housePosition = this.getHousePosition(houseIndex);
+        const housePosition = this.getHousePosition(houseIndex, house);
         
         // Draw person as a circle in the house
         const personX = housePosition.x + this.houseSize - this.personSize - 3;
@@ -261,7 +300,7 @@ class SimulationRenderer {
     }
 
     renderLookingArea(people) {
-        const lookingPeople = people.filter(p => !p.house);
+        const lookingPeople = people.filter(p => !p.house && !p.rentedHouse);
         
         if (lookingPeople.length === 0) return;
         
@@ -309,15 +348,16 @@ class SimulationRenderer {
         });
     }
 
-    renderLegend() {
+    renderLegend(showRentals = false) {
+        const legendHeight = showRentals ? 90 : 70;
         const legendX = 10;
-        const legendY = this.canvas.height - 80;
+        const legendY = this.canvas.height - legendHeight - 10;
         
         // Legend background
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        this.ctx.fillRect(legendX, legendY, 300, 70);
+        this.ctx.fillRect(legendX, legendY, 300, legendHeight);
         this.ctx.strokeStyle = this.colors.border;
-        this.ctx.strokeRect(legendX, legendY, 300, 70);
+        this.ctx.strokeRect(legendX, legendY, 300, legendHeight);
         
         // Legend title
         this.ctx.fillStyle = this.colors.text;
@@ -332,6 +372,12 @@ class SimulationRenderer {
             { color: this.colors.occupied, text: 'Occupied' },
             { color: this.colors['just-occupied'], text: 'Just Bought' }
         ];
+        if (showRentals) {
+            items.push(
+                { color: this.colors.rented, text: 'Rented' },
+                { color: this.colors['vacant-rental'], text: 'Vacant Rental / Investor-Held' }
+            );
+        }
         
         this.ctx.font = '10px Arial';
         items.forEach((item, index) => {
@@ -379,11 +425,7 @@ class SimulationRenderer {
                 if (result.winner) {
                     const houseIndex = this.getHouseIndex(result.house);
                     if (houseIndex >= 0) {
-                        const row = Math.floor(houseIndex / this.gridCols);
-                        const col = houseIndex % this.gridCols;
-                        
-                        const x = col * (this.houseSize + this.margin) + this.margin;
-                        const y = row * (this.houseSize + this.margin) + this.margin + 40;
+                        const { x, y } = this.getHousePosition(houseIndex, result.house);
                         
                         // Draw pulsing border effect
                         this.ctx.strokeStyle = `rgba(241, 196, 15, ${intensity * pulse})`;
@@ -458,6 +500,60 @@ class SimulationRenderer {
                     <span class="stat-label">Affordability:</span>
                     <span class="stat-value">${stats.affordabilityRatio.toFixed(2)}x</span>
                 </div>
+                ${stats.mortgagedPeople > 0 ? `
+                <div class="stat-item">
+                    <span class="stat-label">Mortgage Debt:</span>
+                    <span class="stat-value">${this.formatCurrency(stats.totalMortgageDebt)} (${stats.mortgagedPeople} loans)</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Foreclosures:</span>
+                    <span class="stat-value">${stats.foreclosures} this year</span>
+                </div>
+                ` : ''}
+                ${stats.entrantsHoused + stats.entrantsWaiting > 0 ? `
+                <div class="stat-item">
+                    <span class="stat-label">Years to Own:</span>
+                    <span class="stat-value">${stats.averageYearsToOwnership.toFixed(1)} (${stats.entrantsWaiting} entrants waiting)</span>
+                </div>
+                ` : ''}
+                ${market.config.get('rental_enabled') ? `
+                <div class="stat-item">
+                    <span class="stat-label">Tenure:</span>
+                    <span class="stat-value">${(stats.ownerShare * 100).toFixed(1)}% own, ${(stats.renterShare * 100).toFixed(1)}% rent</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Rent-to-Income:</span>
+                    <span class="stat-value">${(stats.averageRentToIncome * 100).toFixed(1)}% (yield ${(stats.rentYield * 100).toFixed(1)}%)</span>
+                </div>
+                ` : ''}
+                ${stats.investors > 0 ? `
+                <div class="stat-item">
+                    <span class="stat-label">Investors:</span>
+                    <span class="stat-value">${stats.investorHoldings} houses held, ${(stats.investorPurchaseShare * 100).toFixed(1)}% of purchases</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Entrants Housed:</span>
+                    <span class="stat-value">${(stats.entrantHousingRate * 100).toFixed(1)}%</span>
+                </div>
+                ` : ''}
+                ${stats.housesCompleted + stats.housesDemolished + stats.housesUnderConstruction > 0 ? `
+                <div class="stat-item">
+                    <span class="stat-label">Construction:</span>
+                    <span class="stat-value">${stats.housesUnderConstruction} under way, ${stats.housesCompleted} built, ${stats.housesDemolished} demolished</span>
+                </div>
+                ` : ''}
+                ${market.policy.isActive() ? `
+                <div class="stat-item">
+                    <span class="stat-label">Tax Revenue:</span>
+                    <span class="stat-value">${this.formatCurrency(stats.taxRevenue)} (grants ${this.formatCurrency(stats.subsidiesPaid)})</span>
+                </div>
+                ` : ''}
+                ${stats.neighborhoods && stats.neighborhoods.length > 1 ? `
+                <div class="stat-item">
+                    <span class="stat-label">Wealth Segregation:</span>
+                    <span class="stat-value">${(stats.wealthSegregation * 100).toFixed(1)}%</span>
+                </div>
+                ` : ''}
                 ${stats.lastAuctionResults ? `
                 <div class="stat-item">
                     <span class="stat-label">Last Auction:</span>
@@ -568,13 +664,16 @@ class SimulationRenderer {
     }
 
     /**
-     * Calculates the screen position for a house at the given grid index.
+     * Calculates the screen position for a house, from its grid coordinates when it has
+     * them and from its index otherwise.
      * @param {number} index - Grid index of the house
+     * @param {House} house - Optional house whose x/y grid coordinates take precedence
      * @returns {Object} Object with x and y coordinates
      */
-    getHousePosition(index) {
-        const row = Math.floor(index / this.gridCols);
-        const col = index % this.gridCols;
+    getHousePosition(index, house = null) {
+        const placed = house && house.x !== null && house.x !== undefined;
+        const row = placed ? house.y : Math.floor(index / this.gridCols);
+        const col = placed ? house.x : index % this.gridCols;
         
         return {
             x: col * (this.houseSize + this.margin) + this.margin,
@@ -594,7 +693,7 @@ class SimulationRenderer {
         
         // Check each house position
         for (let index = 0; index < market.houses.length; index++) {
-            const position = this.getHousePosition(index);
+            const position = this.getHousePosition(index, market.houses[index]);
             
             if (x >= position.x && x <= position.x + this.houseSize &&
                 y >= position.y && y <= position.y + this.houseSize) {
@@ -633,8 +732,9 @@ class SimulationRenderer {
         
         // Calculate tooltip size based on content
         const isOccupied = info.ownerId;
-        const tooltipWidth = 220;
-        const tooltipHeight = isOccupied ? 120 : 100;
+        const tooltipWidth = 250;
+        const tooltipHeight = (isOccupied ? 136 : 116) + (info.type ? 16 : 0) + (info.ownerHousehold ? 16 : 0) +
+            (info.rental ? 16 : 0);
         const position = this.calculateTooltipPosition(x, y, tooltipWidth, tooltipHeight);
         const tooltipX = position.x;
         const tooltipY = position.y;
@@ -666,6 +766,10 @@ class SimulationRenderer {
             
             this.ctx.fillStyle = 'white';
             this.ctx.fillText(`Owned for: ${info.yearsSinceOwnership} years`, tooltipX + 10, tooltipY + 102);
+            
+            if (info.ownerHousehold) {
+                this.ctx.fillText(`Household: ${info.ownerHousehold}`, tooltipX + 10, tooltipY + 118);
+            }
         } else {
             this.ctx.fillStyle = '#ffcccb'; // Light red for available
             this.ctx.fillText('Status: Available', tooltipX + 10, tooltipY + 70);
@@ -673,6 +777,19 @@ class SimulationRenderer {
             this.ctx.fillStyle = 'white';
             this.ctx.fillText(`State: ${info.colorState.replace('-', ' ')}`, tooltipX + 10, tooltipY + 86);
         }
+        
+        // Tenancy, type and location lines sit below whichever block was drawn
+        const locationY = tooltipY + tooltipHeight - 14;
+        this.ctx.fillStyle = 'white';
+        if (info.rental) {
+            const tenancy = info.tenantId ? `${info.tenantId} at ${info.formattedRent}/yr` : 'vacant';
+            this.ctx.fillText(`Tenant: ${tenancy}`, tooltipX + 10, locationY - (info.type ? 32 : 16));
+        }
+        if (info.type) {
+            this.ctx.fillText(`Type: ${info.type} (${info.quality}, ${info.size} m², fits ${info.capacity})`, tooltipX + 10, locationY - 16);
+        }
+        const neighborhood = info.neighborhood !== null ? `Neighborhood ${info.neighborhood + 1}` : 'Location';
+        this.ctx.fillText(`${neighborhood}: ×${info.locationMultiplier.toFixed(2)} value, ${info.age} years old`, tooltipX + 10, locationY);
     }
 
     handleClick(x, y, market) {
@@ -721,7 +838,8 @@ class SimulationRenderer {
                 yLabel: 'Percentage (%)',
                 formatY: 'percentage',
                 yMin: 0,
-                yMax: 100
+                yMax: 100,
+                markers: analyticsHistory.getEventMarkers()
             });
             
             // Copy to main canvas
@@ -759,7 +877,8 @@ class SimulationRenderer {
                 title: 'Financial Metrics ($)',
                 xLabel: 'Simulation Year',
                 yLabel: 'Dollar Value ($)',
-                formatY: 'currency'
+                formatY: 'currency',
+                markers: analyticsHistory.getEventMarkers()
             });
             
             // Copy to main canvas
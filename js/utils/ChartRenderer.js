@@ -21,10 +21,10 @@ class ChartRenderer {
     /**
      * Renders a line chart with multiple data series.
      * @param {Array} datasets - Array of datasets, each with {label, data, color?}
-     * @param {Object} options - Chart options {title, xLabel, yLabel, formatY}
+     * @param {Object} options - Chart options {title, xLabel, yLabel, formatY, markers}
      */
     renderLineChart(datasets, options = {}) {
-        const { title = '', xLabel = '', yLabel = '', formatY = 'number' } = options;
+        const { title = '', xLabel = '', yLabel = '', formatY = 'number', markers = [] } = options;
         
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -66,6 +66,9 @@ class ChartRenderer {
         // Render axes
         this.renderAxes(chartWidth, chartHeight, xMin, xMax, yMinPadded, yMaxPadded, xLabel, yLabel, formatY);
         
+        // Mark events (e.g. shocks) behind the data
+        this.renderMarkers(markers, chartWidth, chartHeight, xMin, xMax);
+        
         // Render data series
         datasets.forEach((dataset, index) => {
             const color = dataset.color || this.colors[index % this.colors.length];
@@ -79,10 +82,10 @@ class ChartRenderer {
     /**
      * Renders a line chart with a fixed Y-axis scale.
      * @param {Array} datasets - Array of datasets, each with {label, data, color?}
-     * @param {Object} options - Chart options {title, xLabel, yLabel, formatY, yMin, yMax}
+     * @param {Object} options - Chart options {title, xLabel, yLabel, formatY, yMin, yMax, markers}
      */
     renderLineChartWithFixedScale(datasets, options = {}) {
-        const { title = '', xLabel = '', yLabel = '', formatY = 'number', yMin = 0, yMax = 100 } = options;
+        const { title = '', xLabel = '', yLabel = '', formatY = 'number', yMin = 0, yMax = 100, markers = [] } = options;
         
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -119,6 +122,9 @@ class ChartRenderer {
         // Render axes with fixed Y scale
         this.renderAxes(chartWidth, chartHeight, xMin, xMax, yMinPadded, yMaxPadded, xLabel, yLabel, formatY);
         
+        // Mark events (e.g. shocks) behind the data
+        this.renderMarkers(markers, chartWidth, chartHeight, xMin, xMax);
+        
         // Render data series
         datasets.forEach((dataset, index) => {
             const color = dataset.color || this.colors[index % this.colors.length];
@@ -217,6 +223,36 @@ class ChartRenderer {
         }
     }
 
+    /**
+     * Renders dashed vertical lines with labels at the x positions of events.
+     * @param {Array} markers - Array of {x, label} objects; markers outside the x range are skipped
+     */
+    renderMarkers(markers, chartWidth, chartHeight, xMin, xMax) {
+        if (markers.length === 0) return;
+        const xRange = xMax - xMin || 1;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#9333ea';
+        this.ctx.fillStyle = '#9333ea';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        
+        markers.filter(marker => marker.x >= xMin && marker.x <= xMax).forEach((marker, index) => {
+            const x = this.margin.left + ((marker.x - xMin) / xRange) * chartWidth;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, this.margin.top);
+            this.ctx.lineTo(x, this.margin.top + chartHeight);
+            this.ctx.stroke();
+            
+            // Stagger labels so shocks in nearby years don't overlap
+            this.ctx.fillText(marker.label, x + 3, this.margin.top + 10 + (index % 3) * 12);
+        });
+        
+        this.ctx.restore();
+    }
+
     /**
      * Renders a line series on the chart.
      */
@@ -12,6 +12,9 @@ class Config {
         house_price_mean: 300000,  // Reduced to be more affordable
         house_price_std: 150000,   // Reduced spread
         value_intrinsicness: 0.7,
+        house_types_enabled: false, // When false, every house comes from one price distribution and fits anyone
+        house_type_mix: { apartment: 0.4, townhouse: 0.35, detached: 0.25 }, // Share of each house type
+        household_size_weights: [0.3, 0.35, 0.15, 0.15, 0.05], // Relative weight of households of 1, 2, 3... people
         
         // Market Dynamics
         turnover_in: 2,
@@ -19,10 +22,127 @@ class Config {
         upgrade_threshold: 1.5,
         n_auction_steps: 3, // Multiple auction batches for more dynamic markets
         vacant_depreciation: 0.05, // 5% value loss per year for unoccupied houses
+        wealth_accounting: false, // When true, buyers pay the sale price and sellers receive it
+        
+        // Financing
+        financing_enabled: false, // When false, people buy outright with their wealth (requires wealth_accounting)
+        down_payment_ratio: 0.2,
+        mortgage_interest_rate: 0.05,
+        mortgage_term_years: 30,
+        max_debt_to_income: 0.35, // Max share of income going to mortgage payments
+        
+        // Income & Savings
+        income_mean: 75000,
+        income_std: 40000,
+        income_enabled: false, // When false, wealth stays at its entry endowment
+        savings_rate: 0.15, // Share of income left after housing costs that is saved
+        income_growth: 0.02, // Yearly income growth per person
+        wealth_return: 0.0, // Yearly return on liquid wealth
+        
+        // Life Cycle
+        life_cycle_enabled: false, // When on, households age and deaths/marriages replace random exits
+        mortality_at_65: 0.012, // Annual death probability for a 65-year-old adult
+        mortality_growth: 0.09, // Mortality rises by this log-rate per year of age
+        marriage_rate: 0.06, // Annual chance a single under 50 looks to marry
+        divorce_rate: 0.01, // Annual chance a couple splits
+        birth_rate: 0.08, // Annual chance of a child for couples under 45
+        child_leave_rate: 0.06, // Annual chance each child leaves home
+        retirement_age: 65,
+        retirement_income_ratio: 0.6, // Share of income kept in retirement
+        
+        // Inheritance
+        inheritance_mode: 'none', // 'none' (estates vanish), 'existing' (a random person inherits) or 'new_entrant'
+        estate_tax_rate: 0, // Tax on the part of an estate above the exemption
+        estate_tax_exemption: 0, // Estate value passed on tax-free
+        
+        // Rental Market
+        rental_enabled: false, // When on, landlords buy houses to let and unhoused households rent them
+        landlord_share: 0.1, // Share of households who invest in rentals
+        landlord_max_properties: 3, // Most rentals one landlord holds
+        landlord_required_yield: 0.04, // Landlords only buy while rent / value is at least this
+        initial_rent_yield: 0.05, // Starting annual rent as a share of house value
+        rent_adjustment: 0.2, // How strongly the rent yield responds to excess rental demand
+        max_rent_to_income: 0.4, // Most of their income a tenant will spend on rent
+        
+        // Institutional Investors
+        num_investors: 0, // Non-occupant buyers that hold houses and resell them (requires wealth_accounting)
+        investor_budget: 3000000, // Starting cash per investor
+        investor_max_holdings: 10, // Most houses one investor holds
+        investor_bid_ratio: 0.9, // Investors bid up to this multiple of house value
+        investor_hold_years: 3, // Minimum years before reselling
+        investor_resale_gain: 0.1, // Resell once value is this far above the purchase price
+        investor_max_hold_years: 10, // Resell after this many years regardless
+        
+        // Policy
+        property_tax_rate: 0, // Annual tax on owned houses, as a share of value
+        vacancy_tax_rate: 0, // Extra annual tax on owned houses nobody lives in
+        transfer_tax_rate: 0, // Stamp duty buyers pay on the sale price
+        first_time_buyer_subsidy: 0, // Grant to households buying their first home
+        tax_revenue_use: 'none', // 'none' (kept), 'dividend' (shared by all households) or 'unhoused'
+        
+        // Ageing & Maintenance
+        initial_house_age_max: 0, // Initial houses get a random age up to this (0 = all new)
+        physical_depreciation: 0, // Yearly share of intrinsic value every house loses to wear
+        maintenance_rate: 0, // Share of the wear owners pay to make good each year
+        renovation_enabled: false, // Owners renovate houses that have gone renovation_age years without
+        renovation_age: 30, // Years after building or the last renovation before owners renovate
+        renovation_cost: 0.15, // Renovation cost as a share of intrinsic value
+        renovation_gain: 0.25, // Rise in intrinsic value from a renovation
+        
+        // Construction
+        construction_enabled: false, // When on, developers build houses while prices are above cost
+        construction_cost: 300000, // Cost of building a house
+        supply_elasticity: 0.5, // Yearly starts per unit of (value / cost - 1), as a share of the stock
+        construction_lag: 2, // Years from start to completion
+        construction_max_starts: 10, // Most houses started in a year
+        demolition_enabled: false, // Demolish unowned houses depreciated to the value floor
+        
+        // Economic Shocks
+        shocks: [], // e.g. [{ type: 'wealth', year: 2035, change: -0.3 }] (see ShockScheduler for types)
+        
+        // Scenario Timeline
+        timeline: [], // Setting changes by year, e.g. [{ year: 2035, set: { turnover_in: 10 } }]
+        
+        // Bidding
+        bidding_strategy: 'full_wealth', // Everyone bids their full purchasing power
+        bidding_strategy_mix: null, // e.g. { full_wealth: 0.5, desperation: 0.5 } to assign strategies per person
+        bid_value_markup: 0.1, // value_anchored: bid this much above house value
+        bid_shading: 0.2, // random_shading: largest fraction shaved off purchasing power
+        desperation_years: 5, // desperation: years unhoused before bidding full purchasing power
+        
+        // Price Expectations
+        expectation_rule: 'none', // How people form expectations of price growth (see PriceExpectations)
+        expectation_rule_mix: null, // e.g. { extrapolative: 0.5, fundamentalist: 0.5 } to assign rules per person
+        expectation_horizon: 3, // Years of expected growth bidders build into house values
+        expectation_adaptation: 0.3, // adaptive: share of the gap to observed growth closed each year
+        expectation_extrapolation: 1, // extrapolative: multiple of last year's growth expected to continue
+        expectation_reversion: 0.2, // fundamentalist: share of the gap to fundamental value expected to close each year
+        
+        // Auction Mechanism
+        auction_type: 'vickrey', // Second-price sealed bid (the original mechanism)
+        auction_clearing: 'sequential', // 'sequential' (house by house, in list order) or 'simultaneous'
+        single_bidder_price_ratio: 0.75, // vickrey: share of their bid a lone bidder pays
+        auction_increment: 0.01, // english/dutch: clock step as a share of house value
+        dutch_start_multiple: 1.5, // dutch: opening price as a multiple of house value
+        posted_price_markup: 0.05, // posted_price: asking price above house value
+        
+        // Sellers
+        reserve_price_mode: 'none', // 'none' accepts any bid (the original behaviour)
+        reserve_price_ratio: 1.0, // Multiplier on the reserve's base price
+        reserve_decay: 0.1, // Yearly reserve reduction while a listing goes unsold
+        
+        // Neighborhoods
+        num_neighborhoods: 1, // Vertical bands of the house grid; 1 = no location effects
+        neighborhood_amenity_spread: 0.3, // Amenity multipliers run evenly from 1 - spread to 1 + spread
+        neighborhood_amenities: null, // e.g. [0.8, 1.0, 1.3] to set each neighborhood's amenity explicitly
+        spillover_occupancy: 0, // Value effect of neighbor occupancy above/below the market rate
+        spillover_price: 0, // Value effect of neighbor prices above/below the market average
+        spillover_radius: 1, // Grid cells counted as neighbors
         
         // Simulation
         simulation_speed: 1000,
         starting_year: 2025,
+        random_seed: null, // null = pick a fresh seed for every run
         
         // Rendering
         canvas_width: 1200,
@@ -35,6 +155,13 @@ class Config {
         update_frequency: 1
     };
 
+    // Settings only read when a market is built, so a timeline can't change them mid-run.
+    // This includes features that set up the starting population or housing stock: turning
+    // on life cycles later would leave everyone already in the market without an age
+    static RUN_FIXED_SETTINGS = ['num_houses', 'num_people', 'num_investors', 'num_neighborhoods',
+        'neighborhood_amenity_spread', 'neighborhood_amenities', 'life_cycle_enabled', 'house_types_enabled',
+        'initial_house_age_max', 'initial_rent_yield', 'starting_year', 'random_seed', 'shocks', 'timeline'];
+
     static SETTINGS_METADATA = {
         // Population Settings
         num_houses: {
@@ -99,6 +226,12 @@ class Config {
             step: 10000,
             format: "currency"
         },
+        house_types_enabled: {
+            name: "House Types",
+            description: "Mix apartments, townhouses and detached houses with their own prices and household capacities",
+            category: "Housing",
+            type: "boolean"
+        },
         value_intrinsicness: {
             name: "Intrinsic Value Weight",
             description: "How much intrinsic vs market value affects house desirability (0-1)",
@@ -158,6 +291,729 @@ class Config {
             step: 1
         },
         
+        wealth_accounting: {
+            name: "Wealth Accounting",
+            description: "Buyers pay the sale price and sellers receive the proceeds; wealth stats include home equity",
+            category: "Market Dynamics",
+            type: "boolean"
+        },
+        
+        // Bidding Settings
+        bidding_strategy: {
+            name: "Bidding Strategy",
+            description: "How bidders turn purchasing power into bids (full_wealth keeps the original behaviour)",
+            category: "Bidding",
+            type: "select",
+            options: ['full_wealth', 'value_anchored', 'desperation', 'random_shading']
+        },
+        bid_value_markup: {
+            name: "Value Markup",
+            description: "Value-anchored bidders bid this much above the house's value",
+            category: "Bidding",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        bid_shading: {
+            name: "Bid Shading",
+            description: "Random-shading bidders shave up to this fraction off their purchasing power",
+            category: "Bidding",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        desperation_years: {
+            name: "Desperation Years",
+            description: "Years unhoused before desperate bidders bid their full purchasing power",
+            category: "Bidding",
+            type: "number",
+            min: 0,
+            max: 30,
+            step: 1
+        },
+        
+        // Price Expectation Settings
+        expectation_rule: {
+            name: "Expectation Rule",
+            description: "How people form expectations of house price growth (none keeps the original behaviour)",
+            category: "Expectations",
+            type: "select",
+            options: ['none', 'adaptive', 'extrapolative', 'fundamentalist']
+        },
+        expectation_horizon: {
+            name: "Expectation Horizon",
+            description: "Years of expected price growth bidders build into house values and upgrade decisions",
+            category: "Expectations",
+            type: "number",
+            min: 0,
+            max: 10,
+            step: 1
+        },
+        expectation_adaptation: {
+            name: "Adaptation Speed",
+            description: "Adaptive expectations close this share of the gap to observed growth each year",
+            category: "Expectations",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        expectation_extrapolation: {
+            name: "Extrapolation Strength",
+            description: "Extrapolative expectations assume this multiple of last year's growth continues",
+            category: "Expectations",
+            type: "number",
+            min: 0,
+            max: 3,
+            step: 0.1
+        },
+        expectation_reversion: {
+            name: "Reversion Speed",
+            description: "Fundamentalist expectations assume this share of the gap to fundamental value closes each year",
+            category: "Expectations",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        
+        // Auction Mechanism Settings
+        auction_type: {
+            name: "Auction Type",
+            description: "Market-clearing mechanism: vickrey, first_price, english, dutch or posted_price",
+            category: "Auction Mechanism",
+            type: "select",
+            options: ['vickrey', 'first_price', 'english', 'dutch', 'posted_price']
+        },
+        auction_clearing: {
+            name: "Auction Clearing",
+            description: "sequential auctions houses one by one in list order; simultaneous matches each batch at once",
+            category: "Auction Mechanism",
+            type: "select",
+            options: ['sequential', 'simultaneous']
+        },
+        single_bidder_price_ratio: {
+            name: "Single Bidder Price",
+            description: "In Vickrey auctions, the share of their bid a lone bidder pays",
+            category: "Auction Mechanism",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        auction_increment: {
+            name: "Clock Increment",
+            description: "Price step of English and Dutch clock auctions, as a share of house value",
+            category: "Auction Mechanism",
+            type: "number",
+            min: 0.001,
+            max: 0.2,
+            step: 0.001,
+            format: "percent"
+        },
+        dutch_start_multiple: {
+            name: "Dutch Opening Price",
+            description: "Opening price of Dutch auctions as a multiple of house value",
+            category: "Auction Mechanism",
+            type: "number",
+            min: 1,
+            max: 5,
+            step: 0.1
+        },
+        posted_price_markup: {
+            name: "Asking Price Markup",
+            description: "How far above house value sellers post their asking price",
+            category: "Auction Mechanism",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.01,
+            format: "percent"
+        },
+        
+        // Seller Settings
+        reserve_price_mode: {
+            name: "Reserve Price",
+            description: "Lowest price sellers accept: none, last_price, intrinsic, value, or seller (what they paid, at least their mortgage)",
+            category: "Sellers",
+            type: "select",
+            options: ['none', 'last_price', 'intrinsic', 'value', 'seller']
+        },
+        reserve_price_ratio: {
+            name: "Reserve Ratio",
+            description: "Multiplier applied to the reserve's base price",
+            category: "Sellers",
+            type: "number",
+            min: 0.1,
+            max: 2,
+            step: 0.05
+        },
+        reserve_decay: {
+            name: "Reserve Decay",
+            description: "Yearly reduction of the reserve while a listing goes unsold",
+            category: "Sellers",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.01,
+            format: "percent"
+        },
+        
+        // Neighborhood Settings
+        num_neighborhoods: {
+            name: "Neighborhoods",
+            description: "Number of neighborhoods (vertical bands of the grid) with different amenities",
+            category: "Neighborhoods",
+            type: "number",
+            min: 1,
+            max: 10,
+            step: 1
+        },
+        neighborhood_amenity_spread: {
+            name: "Amenity Spread",
+            description: "Amenity multipliers on intrinsic value run from 1 - spread to 1 + spread",
+            category: "Neighborhoods",
+            type: "number",
+            min: 0,
+            max: 0.9,
+            step: 0.05
+        },
+        spillover_occupancy: {
+            name: "Occupancy Spillover",
+            description: "How much neighbors' occupancy (relative to the market) raises or lowers a house's value",
+            category: "Neighborhoods",
+            type: "number",
+            min: 0,
+            max: 2,
+            step: 0.05
+        },
+        spillover_price: {
+            name: "Price Spillover",
+            description: "How much neighbors' prices (relative to the market) raise or lower a house's value",
+            category: "Neighborhoods",
+            type: "number",
+            min: 0,
+            max: 2,
+            step: 0.05
+        },
+        spillover_radius: {
+            name: "Spillover Radius",
+            description: "Grid cells around a house that count as its neighbors",
+            category: "Neighborhoods",
+            type: "number",
+            min: 1,
+            max: 5,
+            step: 1
+        },
+        
+        // Financing Settings
+        financing_enabled: {
+            name: "Mortgage Financing",
+            description: "Buyers pay a down payment and borrow the rest instead of paying from wealth (requires Wealth Accounting)",
+            category: "Financing",
+            type: "boolean"
+        },
+        down_payment_ratio: {
+            name: "Down Payment",
+            description: "Minimum share of the price paid up front (0.05-1)",
+            category: "Financing",
+            type: "number",
+            min: 0.05,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        mortgage_interest_rate: {
+            name: "Interest Rate",
+            description: "Annual mortgage interest rate (0-0.2)",
+            category: "Financing",
+            type: "number",
+            min: 0,
+            max: 0.2,
+            step: 0.005,
+            format: "percent"
+        },
+        mortgage_term_years: {
+            name: "Loan Term",
+            description: "Mortgage term in years",
+            category: "Financing",
+            type: "number",
+            min: 5,
+            max: 40,
+            step: 1
+        },
+        max_debt_to_income: {
+            name: "Max Debt-to-Income",
+            description: "Largest share of income that may go to mortgage payments",
+            category: "Financing",
+            type: "number",
+            min: 0.1,
+            max: 0.6,
+            step: 0.05,
+            format: "percent"
+        },
+        
+        // Income & Savings Settings
+        income_mean: {
+            name: "Average Income",
+            description: "Mean annual income (log-normally distributed)",
+            category: "Income & Savings",
+            type: "number",
+            min: 10000,
+            max: 500000,
+            step: 5000,
+            format: "currency"
+        },
+        income_std: {
+            name: "Income Variation",
+            description: "Standard deviation of annual income",
+            category: "Income & Savings",
+            type: "number",
+            min: 0,
+            max: 500000,
+            step: 5000,
+            format: "currency"
+        },
+        income_enabled: {
+            name: "Savings & Growth",
+            description: "People save part of their income and their wealth grows each year",
+            category: "Income & Savings",
+            type: "boolean"
+        },
+        savings_rate: {
+            name: "Savings Rate",
+            description: "Share of income left after housing costs that is saved each year",
+            category: "Income & Savings",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        income_growth: {
+            name: "Income Growth",
+            description: "Yearly income growth per person",
+            category: "Income & Savings",
+            type: "number",
+            min: -0.05,
+            max: 0.1,
+            step: 0.005,
+            format: "percent"
+        },
+        wealth_return: {
+            name: "Return on Wealth",
+            description: "Yearly return on liquid (non-housing) wealth",
+            category: "Income & Savings",
+            type: "number",
+            min: -0.1,
+            max: 0.15,
+            step: 0.005,
+            format: "percent"
+        },
+        
+        // Life Cycle Settings
+        life_cycle_enabled: {
+            name: "Life Cycle",
+            description: "Households age, marry, divorce, have children, retire and die; deaths and marriages replace random exits",
+            category: "Life Cycle",
+            type: "boolean"
+        },
+        mortality_at_65: {
+            name: "Mortality at 65",
+            description: "Annual death probability for a 65-year-old adult (rises exponentially with age)",
+            category: "Life Cycle",
+            type: "number",
+            min: 0,
+            max: 0.1,
+            step: 0.001,
+            format: "percent"
+        },
+        marriage_rate: {
+            name: "Marriage Rate",
+            description: "Annual chance a single adult under 50 marries another single in the market",
+            category: "Life Cycle",
+            type: "number",
+            min: 0,
+            max: 0.5,
+            step: 0.01,
+            format: "percent"
+        },
+        divorce_rate: {
+            name: "Divorce Rate",
+            description: "Annual chance a couple splits; the departing partner takes half the wealth and income",
+            category: "Life Cycle",
+            type: "number",
+            min: 0,
+            max: 0.2,
+            step: 0.005,
+            format: "percent"
+        },
+        birth_rate: {
+            name: "Birth Rate",
+            description: "Annual chance a couple under 45 has a child",
+            category: "Life Cycle",
+            type: "number",
+            min: 0,
+            max: 0.5,
+            step: 0.01,
+            format: "percent"
+        },
+        retirement_age: {
+            name: "Retirement Age",
+            description: "Age at which households retire and their income falls",
+            category: "Life Cycle",
+            type: "number",
+            min: 50,
+            max: 80,
+            step: 1
+        },
+        retirement_income_ratio: {
+            name: "Retirement Income",
+            description: "Share of income kept in retirement",
+            category: "Life Cycle",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        
+        // Inheritance Settings
+        inheritance_mode: {
+            name: "Inheritance",
+            description: "Who receives an exiting person's wealth and house: none, a random existing person, or a new entrant",
+            category: "Inheritance",
+            type: "select",
+            options: ['none', 'existing', 'new_entrant']
+        },
+        estate_tax_rate: {
+            name: "Estate Tax Rate",
+            description: "Tax on the part of an estate above the exemption",
+            category: "Inheritance",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        estate_tax_exemption: {
+            name: "Estate Tax Exemption",
+            description: "Estate value passed on tax-free",
+            category: "Inheritance",
+            type: "number",
+            min: 0,
+            max: 5000000,
+            step: 50000,
+            format: "currency"
+        },
+        
+        // Rental Market Settings
+        rental_enabled: {
+            name: "Rental Market",
+            description: "Landlords buy houses to let, and households without a home rent them",
+            category: "Rental Market",
+            type: "boolean"
+        },
+        landlord_share: {
+            name: "Landlord Share",
+            description: "Share of households who invest in rental properties",
+            category: "Rental Market",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        landlord_max_properties: {
+            name: "Max Properties per Landlord",
+            description: "Most rental properties one landlord holds",
+            category: "Rental Market",
+            type: "number",
+            min: 1,
+            max: 20,
+            step: 1
+        },
+        landlord_required_yield: {
+            name: "Landlord Required Yield",
+            description: "Landlords only buy while annual rent is at least this share of house value",
+            category: "Rental Market",
+            type: "number",
+            min: 0.01,
+            max: 0.2,
+            step: 0.005,
+            format: "percent"
+        },
+        initial_rent_yield: {
+            name: "Initial Rent Yield",
+            description: "Starting annual rent as a share of house value",
+            category: "Rental Market",
+            type: "number",
+            min: 0.01,
+            max: 0.2,
+            step: 0.005,
+            format: "percent"
+        },
+        rent_adjustment: {
+            name: "Rent Adjustment",
+            description: "How strongly rents respond to unmet rental demand or empty rentals",
+            category: "Rental Market",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05
+        },
+        max_rent_to_income: {
+            name: "Max Rent-to-Income",
+            description: "Most of their income a tenant will spend on rent",
+            category: "Rental Market",
+            type: "number",
+            min: 0.1,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        
+        // Institutional Investor Settings
+        num_investors: {
+            name: "Institutional Investors",
+            description: "Non-occupant buyers that bid in auctions, hold houses and resell them later (requires Wealth Accounting)",
+            category: "Investors",
+            type: "number",
+            min: 0,
+            max: 20,
+            step: 1
+        },
+        investor_budget: {
+            name: "Investor Budget",
+            description: "Starting cash of each investor",
+            category: "Investors",
+            type: "number",
+            min: 0,
+            max: 50000000,
+            step: 500000,
+            format: "currency"
+        },
+        investor_max_holdings: {
+            name: "Max Investor Holdings",
+            description: "Most houses one investor holds at a time",
+            category: "Investors",
+            type: "number",
+            min: 1,
+            max: 100,
+            step: 1
+        },
+        investor_bid_ratio: {
+            name: "Investor Bid Ratio",
+            description: "Investors bid up to this multiple of a house's value",
+            category: "Investors",
+            type: "number",
+            min: 0.1,
+            max: 2,
+            step: 0.05,
+            format: "percent"
+        },
+        investor_hold_years: {
+            name: "Investor Hold Years",
+            description: "Minimum years an investor holds a house before reselling",
+            category: "Investors",
+            type: "number",
+            min: 0,
+            max: 20,
+            step: 1
+        },
+        investor_resale_gain: {
+            name: "Investor Resale Gain",
+            description: "Investors resell once a house's value is this far above what they paid",
+            category: "Investors",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        investor_max_hold_years: {
+            name: "Investor Max Hold Years",
+            description: "Investors resell after this many years whatever the gain",
+            category: "Investors",
+            type: "number",
+            min: 1,
+            max: 50,
+            step: 1
+        },
+        
+        // Policy Settings
+        property_tax_rate: {
+            name: "Property Tax Rate",
+            description: "Annual tax owners pay on each house they own, as a share of its value",
+            category: "Policy",
+            type: "number",
+            min: 0,
+            max: 0.1,
+            step: 0.005,
+            format: "percent"
+        },
+        vacancy_tax_rate: {
+            name: "Vacancy Tax Rate",
+            description: "Extra annual tax on owned houses nobody lives in, as a share of value",
+            category: "Policy",
+            type: "number",
+            min: 0,
+            max: 0.2,
+            step: 0.01,
+            format: "percent"
+        },
+        transfer_tax_rate: {
+            name: "Transfer Tax Rate",
+            description: "Stamp duty buyers pay on top of the auction price",
+            category: "Policy",
+            type: "number",
+            min: 0,
+            max: 0.2,
+            step: 0.01,
+            format: "percent"
+        },
+        first_time_buyer_subsidy: {
+            name: "First-Time Buyer Grant",
+            description: "Grant paid to a household when it buys its first home",
+            category: "Policy",
+            type: "number",
+            min: 0,
+            max: 200000,
+            step: 5000,
+            format: "currency"
+        },
+        tax_revenue_use: {
+            name: "Tax Revenue Use",
+            description: "What happens to tax revenue left after grants: kept, shared by all households, or shared by those without a home",
+            category: "Policy",
+            type: "select",
+            options: ['none', 'dividend', 'unhoused']
+        },
+        
+        // Ageing & Maintenance Settings
+        initial_house_age_max: {
+            name: "Initial House Age",
+            description: "Houses at the start are a random age up to this many years",
+            category: "Ageing",
+            type: "number",
+            min: 0,
+            max: 100,
+            step: 5
+        },
+        physical_depreciation: {
+            name: "Physical Depreciation",
+            description: "Yearly share of intrinsic value every house loses to wear, occupied or not",
+            category: "Ageing",
+            type: "number",
+            min: 0,
+            max: 0.1,
+            step: 0.005,
+            format: "percent"
+        },
+        maintenance_rate: {
+            name: "Maintenance Rate",
+            description: "Share of each year's wear owners pay to make good, as far as their wealth allows",
+            category: "Ageing",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.1,
+            format: "percent"
+        },
+        renovation_enabled: {
+            name: "Renovation",
+            description: "Owners renovate houses that have gone the renovation age without, when they can pay",
+            category: "Ageing",
+            type: "boolean"
+        },
+        renovation_age: {
+            name: "Renovation Age",
+            description: "Years after building or the last renovation before owners renovate",
+            category: "Ageing",
+            type: "number",
+            min: 1,
+            max: 100,
+            step: 1
+        },
+        renovation_cost: {
+            name: "Renovation Cost",
+            description: "Cost of a renovation as a share of the house's intrinsic value",
+            category: "Ageing",
+            type: "number",
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: "percent"
+        },
+        renovation_gain: {
+            name: "Renovation Gain",
+            description: "Rise in intrinsic value from a renovation",
+            category: "Ageing",
+            type: "number",
+            min: 0,
+            max: 2,
+            step: 0.05,
+            format: "percent"
+        },
+        
+        // Construction Settings
+        construction_enabled: {
+            name: "Construction",
+            description: "Developers build new houses while the average house value is above construction cost",
+            category: "Construction",
+            type: "boolean"
+        },
+        construction_cost: {
+            name: "Construction Cost",
+            description: "Cost of building a house; building pays when houses are worth more",
+            category: "Construction",
+            type: "number",
+            min: 50000,
+            max: 1000000,
+            step: 25000,
+            format: "currency"
+        },
+        supply_elasticity: {
+            name: "Supply Elasticity",
+            description: "How strongly building responds to the margin of value over cost",
+            category: "Construction",
+            type: "number",
+            min: 0,
+            max: 5,
+            step: 0.1
+        },
+        construction_lag: {
+            name: "Construction Lag",
+            description: "Years from starting a house to listing it for sale",
+            category: "Construction",
+            type: "number",
+            min: 0,
+            max: 10,
+            step: 1
+        },
+        construction_max_starts: {
+            name: "Max Starts per Year",
+            description: "Most houses developers start in one year",
+            category: "Construction",
+            type: "number",
+            min: 1,
+            max: 100,
+            step: 1
+        },
+        demolition_enabled: {
+            name: "Demolition",
+            description: "Demolish unowned houses whose value has depreciated to the floor",
+            category: "Construction",
+            type: "boolean"
+        },
+        
         // Simulation Settings
         simulation_speed: {
             name: "Simulation Speed",
@@ -177,6 +1033,16 @@ class Config {
             min: 2020,
             max: 2030,
             step: 1
+        },
+        random_seed: {
+            name: "Random Seed",
+            description: "Seed for reproducible runs (leave empty for a new random run each reset)",
+            category: "Simulation",
+            type: "number",
+            min: 0,
+            max: 4294967295,
+            step: 1,
+            optional: true
         }
     };
 
@@ -184,6 +1050,7 @@ class Config {
         // Load saved settings from localStorage if available
         const savedSettings = this.loadFromStorage();
         this.config = { ...Config.DEFAULT_CONFIG, ...savedSettings, ...userConfig };
+        this.overridden = {}; // Values replaced by override(), restored by clearOverrides()
         this.validate();
     }
 
@@ -230,6 +1097,7 @@ class Config {
         Object.entries(newSettings).forEach(([key, value]) => {
             if (Config.SETTINGS_METADATA.hasOwnProperty(key)) {
                 this.config[key] = value;
+                delete this.overridden[key];
             }
         });
         this.validate();
@@ -257,6 +1125,10 @@ class Config {
         Object.keys(Config.SETTINGS_METADATA).forEach(key => {
             this.config[key] = Config.DEFAULT_CONFIG[key];
         });
+        // A loaded scenario's timeline and shocks aren't on the settings screen, so clear them too
+        this.config.timeline = Config.DEFAULT_CONFIG.timeline;
+        this.config.shocks = Config.DEFAULT_CONFIG.shocks;
+        this.overridden = {};
         this.validate();
         this.saveToStorage();
     }
@@ -277,18 +1149,225 @@ class Config {
         if (this.config.turnover_out < 0) errors.push('turnover_out must be non-negative');
         if (this.config.upgrade_threshold <= 0) errors.push('upgrade_threshold must be positive');
         if (this.config.n_auction_steps <= 0) errors.push('n_auction_steps must be positive');
+        if (this.config.down_payment_ratio <= 0 || this.config.down_payment_ratio > 1) {
+            errors.push('down_payment_ratio must be between 0 (exclusive) and 1');
+        }
+        if (this.config.mortgage_interest_rate < 0) errors.push('mortgage_interest_rate must be non-negative');
+        if (this.config.mortgage_term_years <= 0) errors.push('mortgage_term_years must be positive');
+        if (this.config.max_debt_to_income <= 0) errors.push('max_debt_to_income must be positive');
+        if (this.config.financing_enabled && !this.config.wealth_accounting) {
+            errors.push('financing_enabled requires wealth_accounting (down payments and loan repayments are sale payments)');
+        }
+        if (this.config.income_mean <= 0) errors.push('income_mean must be positive');
+        if (this.config.income_std < 0) errors.push('income_std must be non-negative');
+        if (this.config.savings_rate < 0 || this.config.savings_rate > 1) {
+            errors.push('savings_rate must be between 0 and 1');
+        }
+        if (this.config.bid_value_markup < 0) errors.push('bid_value_markup must be non-negative');
+        if (this.config.bid_shading < 0 || this.config.bid_shading > 1) {
+            errors.push('bid_shading must be between 0 and 1');
+        }
+        if (this.config.desperation_years < 0) errors.push('desperation_years must be non-negative');
+        
+        const BiddingStrategyRef = typeof BiddingStrategy !== 'undefined' ? BiddingStrategy : require('../core/BiddingStrategy.js');
+        if (!BiddingStrategyRef.getNames().includes(this.config.bidding_strategy)) {
+            errors.push(`bidding_strategy must be one of: ${BiddingStrategyRef.getNames().join(', ')}`);
+        }
+        if (this.config.bidding_strategy_mix !== null && this.config.bidding_strategy_mix !== undefined) {
+            errors.push(...BiddingStrategyRef.validateMix(this.config.bidding_strategy_mix));
+        }
+        const PriceExpectationsRef = typeof PriceExpectations !== 'undefined' ? PriceExpectations : require('../core/PriceExpectations.js');
+        if (!PriceExpectationsRef.getNames().includes(this.config.expectation_rule)) {
+            errors.push(`expectation_rule must be one of: ${PriceExpectationsRef.getNames().join(', ')}`);
+        }
+        if (this.config.expectation_rule_mix !== null && this.config.expectation_rule_mix !== undefined) {
+            errors.push(...PriceExpectationsRef.validateMix(this.config.expectation_rule_mix));
+        }
+        if (!Number.isInteger(this.config.expectation_horizon) || this.config.expectation_horizon < 0) {
+            errors.push('expectation_horizon must be a non-negative integer');
+        }
+        ['expectation_adaptation', 'expectation_reversion'].forEach(key => {
+            if (this.config[key] < 0 || this.config[key] > 1) errors.push(`${key} must be between 0 and 1`);
+        });
+        if (this.config.expectation_extrapolation < 0) errors.push('expectation_extrapolation must be non-negative');
+        
+        const AuctionMechanismRef = typeof AuctionMechanism !== 'undefined' ? AuctionMechanism : require('../core/AuctionMechanism.js');
+        if (!AuctionMechanismRef.getNames().includes(this.config.auction_type)) {
+            errors.push(`auction_type must be one of: ${AuctionMechanismRef.getNames().join(', ')}`);
+        }
+        if (!Config.SETTINGS_METADATA.auction_clearing.options.includes(this.config.auction_clearing)) {
+            errors.push(`auction_clearing must be one of: ${Config.SETTINGS_METADATA.auction_clearing.options.join(', ')}`);
+        }
+        if (this.config.single_bidder_price_ratio < 0 || this.config.single_bidder_price_ratio > 1) {
+            errors.push('single_bidder_price_ratio must be between 0 and 1');
+        }
+        if (this.config.auction_increment <= 0) errors.push('auction_increment must be positive');
+        if (this.config.dutch_start_multiple < 1) errors.push('dutch_start_multiple must be at least 1');
+        if (this.config.posted_price_markup < 0) errors.push('posted_price_markup must be non-negative');
+        if (!Config.SETTINGS_METADATA.reserve_price_mode.options.includes(this.config.reserve_price_mode)) {
+            errors.push(`reserve_price_mode must be one of: ${Config.SETTINGS_METADATA.reserve_price_mode.options.join(', ')}`);
+        }
+        if (this.config.reserve_price_ratio <= 0) errors.push('reserve_price_ratio must be positive');
+        if (this.config.reserve_decay < 0 || this.config.reserve_decay > 1) {
+            errors.push('reserve_decay must be between 0 and 1');
+        }
+        ['mortality_at_65', 'marriage_rate', 'divorce_rate', 'birth_rate', 'child_leave_rate', 'retirement_income_ratio'].forEach(key => {
+            if (this.config[key] < 0 || this.config[key] > 1) errors.push(`${key} must be between 0 and 1`);
+        });
+        if (!Config.SETTINGS_METADATA.inheritance_mode.options.includes(this.config.inheritance_mode)) {
+            errors.push(`inheritance_mode must be one of: ${Config.SETTINGS_METADATA.inheritance_mode.options.join(', ')}`);
+        }
+        if (this.config.estate_tax_rate < 0 || this.config.estate_tax_rate > 1) {
+            errors.push('estate_tax_rate must be between 0 and 1');
+        }
+        if (this.config.estate_tax_exemption < 0) errors.push('estate_tax_exemption must be non-negative');
+        if (this.config.landlord_share < 0 || this.config.landlord_share > 1) {
+            errors.push('landlord_share must be between 0 and 1');
+        }
+        if (!Number.isInteger(this.config.landlord_max_properties) || this.config.landlord_max_properties < 1) {
+            errors.push('landlord_max_properties must be a positive integer');
+        }
+        ['landlord_required_yield', 'initial_rent_yield', 'max_rent_to_income'].forEach(key => {
+            if (this.config[key] <= 0) errors.push(`${key} must be positive`);
+        });
+        if (this.config.rent_adjustment < 0) errors.push('rent_adjustment must be non-negative');
+        ['num_investors', 'investor_hold_years'].forEach(key => {
+            if (!Number.isInteger(this.config[key]) || this.config[key] < 0) errors.push(`${key} must be a non-negative integer`);
+        });
+        ['investor_max_holdings', 'investor_max_hold_years'].forEach(key => {
+            if (!Number.isInteger(this.config[key]) || this.config[key] < 1) errors.push(`${key} must be a positive integer`);
+        });
+        if (this.config.investor_budget < 0) errors.push('investor_budget must be non-negative');
+        if (this.config.num_investors > 0 && !this.config.wealth_accounting) {
+            errors.push('num_investors requires wealth_accounting (investors pay for houses out of their budget)');
+        }
+        if (this.config.investor_bid_ratio <= 0) errors.push('investor_bid_ratio must be positive');
+        if (this.config.investor_resale_gain < 0) errors.push('investor_resale_gain must be non-negative');
+        if (this.config.investor_max_hold_years < this.config.investor_hold_years) {
+            errors.push('investor_max_hold_years must be at least investor_hold_years');
+        }
+        ['property_tax_rate', 'vacancy_tax_rate', 'transfer_tax_rate'].forEach(key => {
+            if (this.config[key] < 0 || this.config[key] > 1) errors.push(`${key} must be between 0 and 1`);
+        });
+        if (this.config.first_time_buyer_subsidy < 0) errors.push('first_time_buyer_subsidy must be non-negative');
+        if (!Config.SETTINGS_METADATA.tax_revenue_use.options.includes(this.config.tax_revenue_use)) {
+            errors.push(`tax_revenue_use must be one of: ${Config.SETTINGS_METADATA.tax_revenue_use.options.join(', ')}`);
+        }
+        if (!Number.isInteger(this.config.initial_house_age_max) || this.config.initial_house_age_max < 0) {
+            errors.push('initial_house_age_max must be a non-negative integer');
+        }
+        ['physical_depreciation', 'maintenance_rate', 'renovation_cost'].forEach(key => {
+            if (this.config[key] < 0 || this.config[key] > 1) errors.push(`${key} must be between 0 and 1`);
+        });
+        if (!Number.isInteger(this.config.renovation_age) || this.config.renovation_age < 1) {
+            errors.push('renovation_age must be a positive integer');
+        }
+        if (this.config.renovation_gain < 0) errors.push('renovation_gain must be non-negative');
+        if (this.config.construction_cost <= 0) errors.push('construction_cost must be positive');
+        if (this.config.supply_elasticity < 0) errors.push('supply_elasticity must be non-negative');
+        if (!Number.isInteger(this.config.construction_lag) || this.config.construction_lag < 0) {
+            errors.push('construction_lag must be a non-negative integer');
+        }
+        if (!Number.isInteger(this.config.construction_max_starts) || this.config.construction_max_starts < 1) {
+            errors.push('construction_max_starts must be a positive integer');
+        }
+        const ShockSchedulerRef = typeof ShockScheduler !== 'undefined' ? ShockScheduler : require('../core/ShockScheduler.js');
+        errors.push(...ShockSchedulerRef.validate(this.config.shocks));
+        errors.push(...this.validateTimeline(this.config.timeline));
+        if (this.config.mortality_growth < 0) errors.push('mortality_growth must be non-negative');
+        if (this.config.retirement_age <= 0) errors.push('retirement_age must be positive');
+        
+        const HouseTypeRef = typeof HouseType !== 'undefined' ? HouseType : require('../core/HouseType.js');
+        errors.push(...HouseTypeRef.validateMix(this.config.house_type_mix));
+        const sizeWeights = this.config.household_size_weights;
+        if (!Array.isArray(sizeWeights) || sizeWeights.length === 0 ||
+            sizeWeights.some(weight => typeof weight !== 'number' || weight < 0) ||
+            sizeWeights.reduce((sum, weight) => sum + weight, 0) <= 0) {
+            errors.push('household_size_weights must be a list of non-negative weights summing to more than 0');
+        }
+        
+        const GeographyRef = typeof Geography !== 'undefined' ? Geography : require('../core/Geography.js');
+        if (!Number.isInteger(this.config.num_neighborhoods) || this.config.num_neighborhoods < 1 ||
+            this.config.num_neighborhoods > GeographyRef.COLUMNS) {
+            errors.push(`num_neighborhoods must be an integer between 1 and ${GeographyRef.COLUMNS}`);
+        }
+        if (this.config.neighborhood_amenity_spread < 0 || this.config.neighborhood_amenity_spread >= 1) {
+            errors.push('neighborhood_amenity_spread must be at least 0 and below 1');
+        }
+        if (this.config.neighborhood_amenities !== null && this.config.neighborhood_amenities !== undefined) {
+            const amenities = this.config.neighborhood_amenities;
+            if (!Array.isArray(amenities) || amenities.length !== this.config.num_neighborhoods ||
+                amenities.some(amenity => typeof amenity !== 'number' || amenity <= 0)) {
+                errors.push('neighborhood_amenities must be null or one positive number per neighborhood');
+            }
+        }
+        if (this.config.spillover_occupancy < 0) errors.push('spillover_occupancy must be non-negative');
+        if (this.config.spillover_price < 0) errors.push('spillover_price must be non-negative');
+        if (!Number.isInteger(this.config.spillover_radius) || this.config.spillover_radius < 1) {
+            errors.push('spillover_radius must be a positive integer');
+        }
+        if (this.config.random_seed !== null && this.config.random_seed !== undefined &&
+            (!Number.isInteger(this.config.random_seed) || this.config.random_seed < 0)) {
+            errors.push('random_seed must be a non-negative integer or null');
+        }
         
         if (errors.length > 0) {
             throw new Error('Configuration validation failed: ' + errors.join(', '));
         }
     }
 
+    /**
+     * Checks a settings timeline, returning a list of problems (empty if valid). Each step
+     * must name known settings that can change mid-run, and applying the steps in year
+     * order must leave a valid configuration at every step.
+     * @param {Array} timeline - Steps of the form {year, set: {setting: value}}
+     * @returns {string[]} Validation errors
+     */
+    validateTimeline(timeline) {
+        if (!Array.isArray(timeline)) {
+            return ['timeline must be a list of {year, set} steps'];
+        }
+
+        const errors = [];
+        timeline.forEach((step, index) => {
+            const name = `timeline[${index}]`;
+            if (!step || typeof step !== 'object' || !Number.isInteger(step.year)) {
+                errors.push(`${name} must have an integer year`);
+                return;
+            }
+            if (!step.set || typeof step.set !== 'object' || Array.isArray(step.set) || Object.keys(step.set).length === 0) {
+                errors.push(`${name} set must be an object of setting changes`);
+                return;
+            }
+            Object.keys(step.set).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(Config.DEFAULT_CONFIG, key)) {
+                    errors.push(`${name} sets unknown setting ${key}`);
+                } else if (Config.RUN_FIXED_SETTINGS.includes(key)) {
+                    errors.push(`${name} can't change ${key} mid-run`);
+                }
+            });
+        });
+        if (errors.length > 0) return errors;
+
+        let stepped = { ...this.config, timeline: [] };
+        [...timeline].sort((a, b) => a.year - b.year).forEach(step => {
+            stepped = { ...stepped, ...step.set };
+            try {
+                new Config(stepped);
+            } catch (error) {
+                errors.push(`timeline step in ${step.year} is invalid: ${error.message.replace('Configuration validation failed: ', '')}`);
+            }
+        });
+        return errors;
+    }
+
     get(key) {
         return this.config[key];
     }
 
     set(key, value) {
         this.config[key] = value;
+        delete this.overridden[key];
         this.validate();
         
         // Save to localStorage if this is a user-configurable setting
@@ -300,6 +1379,49 @@ class Config {
     getAll() {
         return { ...this.config };
     }
+
+    /**
+     * Replaces every setting: defaults overlaid with the given settings (e.g. a scenario's),
+     * ignoring earlier edits. Saved like settings applied from the settings screen.
+     * @param {Object} settings - Settings to apply over the defaults
+     */
+    loadSettings(settings) {
+        this.config = { ...Config.DEFAULT_CONFIG, ...settings };
+        this.overridden = {};
+        this.validate();
+        this.saveToStorage();
+    }
+
+    /**
+     * Changes settings for the current run only, as a scenario timeline does. The values
+     * replaced are kept for clearOverrides(), and overrides are never saved to localStorage.
+     * @param {Object} settings - Settings to change
+     */
+    override(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!Object.prototype.hasOwnProperty.call(this.overridden, key)) {
+                this.overridden[key] = this.config[key];
+            }
+            this.config[key] = value;
+        });
+        this.validate();
+    }
+
+    /**
+     * Restores the values replaced by override(), so a new run starts from the base settings.
+     */
+    clearOverrides() {
+        Object.assign(this.config, this.overridden);
+        this.overridden = {};
+    }
+
+    /**
+     * Gets the settings as they were before any overrides.
+     * @returns {Object} Base settings
+     */
+    getBaseSettings() {
+        return { ...this.config, ...this.overridden };
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
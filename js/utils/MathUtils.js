@@ -1,58 +1,127 @@
 class MathUtils {
-    static generatePowerLawWealth(mean, std) {
+    // Fallback random source used when no seeded generator is supplied
+    static defaultRandom = { next: () => Math.random() };
+
+    static generatePowerLawWealth(mean, std, random = MathUtils.defaultRandom) {
         // Simplified power law approximation using exponential distribution
         // This creates wealth inequality similar to real-world distributions
         const lambda = 1 / mean;
-        const exponentialValue = -Math.log(1 - Math.random()) / lambda;
+        const exponentialValue = -Math.log(1 - random.next()) / lambda;
         
         // Add some normal distribution noise for variation
-        const normalNoise = this.generateNormal(0, std * 0.1);
+        const normalNoise = this.generateNormal(0, std * 0.1, random);
         
         return Math.max(exponentialValue + normalNoise, mean * 0.1);
     }
 
-    static generateNormal(mean, std) {
+    static generateNormal(mean, std, random = MathUtils.defaultRandom) {
         // Box-Muller transform for normal distribution
-        if (this.spare !== undefined) {
-            const value = this.spare;
-            delete this.spare;
+        // The spare value lives on the random source so seeded runs stay independent
+        if (random.spare !== undefined) {
+            const value = random.spare;
+            delete random.spare;
             return value * std + mean;
         }
         
         let u1, u2;
         do {
-            u1 = Math.random();
-            u2 = Math.random();
+            u1 = random.next();
+            u2 = random.next();
         } while (u1 <= Number.EPSILON);
         
         const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
         
-        this.spare = z1;
+        random.spare = z1;
         return z0 * std + mean;
     }
 
-    static generateGaussian(mean, std) {
+    static generateGaussian(mean, std, random = MathUtils.defaultRandom) {
         // Ensure non-negative values for prices
-        return Math.max(this.generateNormal(mean, std), mean * 0.1);
+        return Math.max(this.generateNormal(mean, std, random), mean * 0.1);
+    }
+
+    static generateLogNormal(mean, std, random = MathUtils.defaultRandom) {
+        // Log-normal with the given mean and standard deviation (right-skewed, always positive)
+        const sigmaSquared = Math.log(1 + (std * std) / (mean * mean));
+        const mu = Math.log(mean) - sigmaSquared / 2;
+        return Math.exp(this.generateNormal(mu, Math.sqrt(sigmaSquared), random));
+    }
+
+    static weightedChoice(items, weights, random = MathUtils.defaultRandom) {
+        // Pick one item with probability proportional to its weight
+        const totalWeight = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+        let target = random.next() * totalWeight;
+        for (let i = 0; i < items.length; i++) {
+            target -= Math.max(0, weights[i]);
+            if (target < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    static validateWeightMix(mix, label, knownNames, itemName) {
+        // Check a map of name to relative weight (as drawn from with weightedChoice), returning a list of problems
+        if (!mix || typeof mix !== 'object' || Array.isArray(mix)) {
+            return [`${label} must be an object of ${itemName} weights`];
+        }
+
+        const errors = [];
+        let totalWeight = 0;
+        Object.entries(mix).forEach(([name, weight]) => {
+            if (!knownNames.includes(name)) {
+                errors.push(`${label} has unknown ${itemName} ${name}`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                errors.push(`${label} weight for ${name} must be a non-negative number`);
+            } else {
+                totalWeight += weight;
+            }
+        });
+        if (errors.length === 0 && totalWeight <= 0) {
+            errors.push(`${label} weights must sum to more than 0`);
+        }
+        return errors;
     }
 
-    static shuffleArray(array) {
+    static shuffleArray(array, random = MathUtils.defaultRandom) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random.next() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
     }
 
-    static selectRandomElements(array, count) {
+    static selectRandomElements(array, count, random = MathUtils.defaultRandom) {
         if (count >= array.length) return [...array];
         
-        const shuffled = this.shuffleArray(array);
+        const shuffled = this.shuffleArray(array, random);
         return shuffled.slice(0, count);
     }
 
+    static mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    static standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const avg = this.mean(values);
+        const variance = values.reduce((sum, v) => sum + (v - avg) * (v - avg), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    static percentile(values, p) {
+        // Linear interpolation between closest ranks (p in 0-1)
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = p * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
     static formatCurrency(amount) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
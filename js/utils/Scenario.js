@@ -0,0 +1,169 @@
+/**
+ * A scenario file: a versioned, reviewable description of a whole run. It bundles the
+ * initial settings, a timeline of setting changes by year, economic shocks and the run
+ * length, e.g.
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Migration boom",
+ *     "ticks": 40,
+ *     "config": { "random_seed": 7, "income_enabled": true },
+ *     "timeline": [{ "year": 2035, "set": { "turnover_in": 10 } }],
+ *     "shocks": [{ "type": "wealth", "year": 2040, "change": -0.3 }]
+ *   }
+ *
+ * Files are JSON, except that whole lines starting with // are comments.
+ */
+class Scenario {
+    static VERSION = 1;
+    static FIELDS = ['version', 'name', 'description', 'ticks', 'config', 'timeline', 'shocks'];
+
+    /**
+     * Creates a new Scenario instance. Use Scenario.parse() or Scenario.fromObject() to
+     * load one with validation.
+     * @param {Object} data - Scenario fields (see the class comment)
+     */
+    constructor(data = {}) {
+        this.version = data.version ?? Scenario.VERSION;
+        this.name = data.name ?? '';
+        this.description = data.description ?? '';
+        this.ticks = data.ticks ?? null; // Run length in years (null = the runner's default)
+        this.config = { ...(data.config || {}) };
+        this.timeline = (data.timeline || []).map(step => ({ year: step.year, set: { ...step.set } }));
+        this.shocks = (data.shocks || []).map(shock => ({ ...shock }));
+    }
+
+    /**
+     * Parses scenario file text.
+     * @param {string} text - File contents
+     * @returns {Scenario} The validated scenario
+     */
+    static parse(text) {
+        const json = text.split('\n').filter(line => !line.trim().startsWith('//')).join('\n');
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Scenario is not valid JSON: ${error.message}`);
+        }
+        return Scenario.fromObject(data);
+    }
+
+    /**
+     * Creates a scenario from a plain object, validating it first.
+     * @param {Object} data - Scenario fields
+     * @returns {Scenario} The validated scenario
+     */
+    static fromObject(data) {
+        const errors = Scenario.validate(data);
+        if (errors.length > 0) {
+            throw new Error('Scenario validation failed: ' + errors.join(', '));
+        }
+        return new Scenario(data);
+    }
+
+    /**
+     * Captures a configuration as a scenario. Only settings that differ from the defaults
+     * are written, so files stay short and diffs show what a scenario actually changes.
+     * @param {Config} config - The configuration (its base settings, before any overrides)
+     * @param {Object} details - Optional {name, description, ticks}
+     * @returns {Scenario} The scenario
+     */
+    static fromConfig(config, details = {}) {
+        const ConfigRef = typeof Config !== 'undefined' ? Config : require('./Config.js');
+        const settings = config.getBaseSettings();
+        const changed = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            if (['timeline', 'shocks'].includes(key)) return;
+            if (JSON.stringify(value) !== JSON.stringify(ConfigRef.DEFAULT_CONFIG[key])) {
+                changed[key] = value;
+            }
+        });
+        return new Scenario({ ...details, config: changed, timeline: settings.timeline, shocks: settings.shocks });
+    }
+
+    /**
+     * Checks scenario data, returning a list of problems (empty if valid).
+     * @param {Object} data - Scenario fields
+     * @returns {string[]} Validation errors
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['scenario must be an object'];
+        }
+
+        const errors = [];
+        Object.keys(data).forEach(key => {
+            if (!Scenario.FIELDS.includes(key)) errors.push(`unknown scenario field ${key}`);
+        });
+        if (data.version === undefined) {
+            errors.push('scenario must have a version');
+        } else if (data.version !== Scenario.VERSION) {
+            errors.push(`unsupported scenario version ${data.version} (expected ${Scenario.VERSION})`);
+        }
+        ['name', 'description'].forEach(key => {
+            if (data[key] !== undefined && typeof data[key] !== 'string') errors.push(`${key} must be a string`);
+        });
+        if (data.ticks !== undefined && data.ticks !== null && (!Number.isInteger(data.ticks) || data.ticks < 0)) {
+            errors.push('ticks must be a non-negative integer');
+        }
+
+        const ConfigRef = typeof Config !== 'undefined' ? Config : require('./Config.js');
+        const config = data.config ?? {};
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            errors.push('config must be an object of settings');
+        } else {
+            Object.keys(config).forEach(key => {
+                if (['timeline', 'shocks'].includes(key)) {
+                    errors.push(`${key} belongs at the top level of the scenario, not in config`);
+                } else if (!Object.prototype.hasOwnProperty.call(ConfigRef.DEFAULT_CONFIG, key)) {
+                    errors.push(`config has unknown setting ${key}`);
+                }
+            });
+        }
+        if (errors.length > 0) return errors;
+
+        // The settings, timeline and shocks must together make a valid configuration
+        try {
+            new ConfigRef({ ...ConfigRef.DEFAULT_CONFIG, ...new Scenario(data).getSettings() });
+        } catch (error) {
+            errors.push(error.message.replace('Configuration validation failed: ', ''));
+        }
+        return errors;
+    }
+
+    /**
+     * Gets the settings to build a Config from: the initial settings plus the timeline and shocks.
+     * @returns {Object} Settings
+     */
+    getSettings() {
+        return { ...this.config, timeline: this.timeline, shocks: this.shocks };
+    }
+
+    /**
+     * Returns the scenario in file form, with empty optional fields left out.
+     * @returns {Object} Scenario data
+     */
+    toJSON() {
+        const data = { version: this.version };
+        if (this.name) data.name = this.name;
+        if (this.description) data.description = this.description;
+        if (this.ticks !== null) data.ticks = this.ticks;
+        data.config = this.config;
+        data.timeline = this.timeline;
+        data.shocks = this.shocks;
+        return data;
+    }
+
+    /**
+     * Formats the scenario as file text.
+     * @returns {string} Indented JSON
+     */
+    stringify() {
+        return JSON.stringify(this.toJSON(), null, 2) + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scenario;
+}
@@ -0,0 +1,74 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * A single instance is owned by each Market so that the same seed always replays the same run.
+ */
+class SeededRandom {
+    /**
+     * Creates a new SeededRandom instance.
+     * @param {number|null} seed - 32-bit integer seed (a random seed is chosen when null/undefined)
+     */
+    constructor(seed = null) {
+        this.seed = (seed === null || seed === undefined)
+            ? SeededRandom.generateSeed()
+            : Math.floor(Number(seed)) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Generates a fresh seed from the platform random source.
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Returns the next pseudo-random number, uniformly distributed in [0, 1).
+     * @returns {number} Random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gets the seed this generator was created with.
+     * @returns {number} The seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Captures the generator's internal state so a run can be resumed exactly.
+     * @returns {Object} Serializable state (seed, state and any cached normal deviate)
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state,
+            spare: this.spare !== undefined ? this.spare : null
+        };
+    }
+
+    /**
+     * Restores state previously captured with getState().
+     * @param {Object} state - State object from getState()
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+        if (state.spare !== null && state.spare !== undefined) {
+            this.spare = state.spare;
+        } else {
+            delete this.spare;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,163 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Auction = require('../../js/core/Auction.js');
+const AuctionMechanism = require('../../js/core/AuctionMechanism.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+const SeededRandom = require('../../js/utils/SeededRandom.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Auction Mechanism Tests', () => {
+    let rich, middle, poor, context;
+    
+    const bidsFrom = (...people) => people
+        .map(person => ({ person: person, amount: person.wealth }))
+        .sort((a, b) => b.amount - a.amount);
+    
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        
+        rich = new Person(500000);
+        middle = new Person(400000);
+        poor = new Person(320000);
+        context = {
+            house: new House(300000, 300000),
+            houseValue: 300000,
+            random: new SeededRandom(1),
+            params: { singleBidderRatio: 0.75, increment: 0.01, dutchStartMultiple: 1.5, postedPriceMarkup: 0.05 }
+        };
+    });
+
+    describe('Pricing rules', () => {
+        it('should charge the second-highest bid in vickrey', () => {
+            const outcome = AuctionMechanism.clear('vickrey', bidsFrom(rich, middle, poor), context);
+            assert.strictEqual(outcome.winner, rich);
+            assert.strictEqual(outcome.price, 400000);
+        });
+
+        it('should apply the single-bidder ratio in vickrey', () => {
+            const outcome = AuctionMechanism.clear('vickrey', bidsFrom(rich), context);
+            assert.strictEqual(outcome.price, 375000);
+        });
+
+        it('should charge the winning bid in first_price', () => {
+            const outcome = AuctionMechanism.clear('first_price', bidsFrom(rich, middle), context);
+            assert.strictEqual(outcome.winner, rich);
+            assert.strictEqual(outcome.price, 500000);
+        });
+
+        it('should stop the english clock one step above the runner-up', () => {
+            const outcome = AuctionMechanism.clear('english', bidsFrom(rich, middle), context);
+            assert.strictEqual(outcome.winner, rich);
+            // Clock opens at 300k in 3k steps; the first step above 400k is 402k
+            assert(Math.abs(outcome.price - 402000) < 0.01, `Expected 402000, got ${outcome.price}`);
+        });
+
+        it('should open the english clock at house value for a lone bidder', () => {
+            const outcome = AuctionMechanism.clear('english', bidsFrom(middle), context);
+            assert.strictEqual(outcome.price, 300000);
+        });
+
+        it('should stop the dutch clock at the first step below the top bid', () => {
+            const outcome = AuctionMechanism.clear('dutch', bidsFrom(middle, poor), context);
+            assert.strictEqual(outcome.winner, middle);
+            assert(outcome.price <= 400000 && outcome.price > 397000, `Price ${outcome.price} should be just under the top bid`);
+        });
+
+        it('should cap the dutch price at the opening price', () => {
+            const whale = new Person(900000);
+            const outcome = AuctionMechanism.clear('dutch', bidsFrom(whale), context);
+            assert.strictEqual(outcome.price, 450000);
+        });
+
+        it('should sell at the asking price to a willing buyer in posted_price', () => {
+            const outcome = AuctionMechanism.clear('posted_price', bidsFrom(rich, middle, poor), context);
+            assert([rich, middle].includes(outcome.winner), 'Only buyers meeting the ask should win');
+            assert(Math.abs(outcome.price - 315000) < 0.01);
+        });
+
+        it('should negotiate with the top bidder when nobody meets the ask', () => {
+            const bargainer = new Person(310000);
+            const outcome = AuctionMechanism.clear('posted_price', bidsFrom(bargainer), context);
+            assert.strictEqual(outcome.winner, bargainer);
+            assert.strictEqual(outcome.price, 305000);
+        });
+
+        it('should reject unknown auction types', () => {
+            assert.throws(() => AuctionMechanism.get('sealed_envelope'), /Unknown auction type/);
+            assert.throws(() => new Config({ auction_type: 'sealed_envelope' }), /auction_type must be one of/);
+        });
+    });
+
+    describe('Auction integration', () => {
+        it('should keep conductVickreyAuction on the second-price rule', () => {
+            const house = new House(300000, 300000);
+            const auction = new Auction([house], [rich, middle], { auctionType: 'first_price' });
+            const result = auction.conductVickreyAuction(1, 1.5)[0];
+            
+            assert.strictEqual(result.secondPrice, 400000);
+            assert.strictEqual(result.auctionType, 'vickrey');
+        });
+
+        it('should use the configured mechanism in conductAuction', () => {
+            const house = new House(300000, 300000);
+            const auction = new Auction([house], [rich, middle], { auctionType: 'first_price' });
+            const result = auction.conductAuction(1, 1.5)[0];
+            
+            assert.strictEqual(result.winner, rich);
+            assert.strictEqual(result.secondPrice, 500000);
+        });
+    });
+
+    describe('Market with each mechanism', () => {
+        it('should run every mechanism and keep prices within bids', () => {
+            AuctionMechanism.getNames().forEach(auctionType => {
+                Person.idCounter = 0;
+                House.idCounter = 0;
+                const market = new Market(new Config({
+                    num_houses: 15,
+                    num_people: 15,
+                    auction_type: auctionType,
+                    random_seed: 8
+                }));
+                for (let i = 0; i < 3; i++) market.tick();
+                
+                (market.lastAuctionResults || []).filter(r => r.winner).forEach(result => {
+                    assert(result.secondPrice <= result.winningBid + 0.01, `${auctionType} price should not exceed the winning bid`);
+                    assert.strictEqual(result.auctionType, auctionType);
+                });
+            });
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Auction Mechanism tests...');
+}
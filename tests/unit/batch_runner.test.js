@@ -0,0 +1,134 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BatchRunner = require('../../js/core/BatchRunner.js');
+const { parseArgs, buildSettings } = require('../../bin/housing-sim.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Batch Runner Tests', () => {
+    describe('BatchRunner.run', () => {
+        it('should run the requested number of ticks', () => {
+            const runner = new BatchRunner({ num_houses: 10, num_people: 10, random_seed: 3 }, { ticks: 4 });
+            const result = runner.run();
+            
+            assert.strictEqual(result.ticks, 4);
+            assert.strictEqual(result.series.length, 4);
+            assert.strictEqual(result.summary.tickCount, 4);
+            assert.strictEqual(result.randomSeed, 3);
+            assert.strictEqual(result.config.num_houses, 10);
+        });
+
+        it('should restore console.log after a silent run', () => {
+            const originalLog = console.log;
+            new BatchRunner({ num_houses: 5, num_people: 5 }, { ticks: 1 }).run();
+            
+            assert.strictEqual(console.log, originalLog);
+        });
+
+        it('should produce identical summaries for the same seed', () => {
+            const settings = { num_houses: 10, num_people: 10, random_seed: 11 };
+            const first = new BatchRunner(settings, { ticks: 5 }).run();
+            const second = new BatchRunner(settings, { ticks: 5 }).run();
+            
+            assert.deepStrictEqual(first.summary, second.summary);
+        });
+
+        it('should reject invalid tick counts', () => {
+            assert.throws(() => new BatchRunner({}, { ticks: -1 }), /ticks/);
+        });
+    });
+
+    describe('AnalyticsHistory.exportCSV', () => {
+        it('should export one row per tick with a header', () => {
+            const result = new BatchRunner({ num_houses: 5, num_people: 5 }, { ticks: 3 }).run();
+            const lines = result.market.getAnalyticsHistory().exportCSV().trim().split('\n');
+            
+            assert.strictEqual(lines.length, 4);
+            assert(lines[0].startsWith('year,tick,'), 'Header should start with year and tick');
+            assert(!lines[0].includes('timestamp'), 'Header should not include timestamp');
+        });
+    });
+
+    describe('housing-sim argument parsing', () => {
+        it('should parse ticks, seed and setting flags', () => {
+            const options = parseArgs(['--ticks', '20', '--seed', '5', '--turnover_in', '4', '--set', 'upgrade_threshold=2']);
+            
+            assert.strictEqual(options.ticks, 20);
+            assert.deepStrictEqual(options.settings, { random_seed: 5, turnover_in: 4, upgrade_threshold: 2 });
+            assert.strictEqual(options.format, 'json');
+        });
+
+        it('should infer csv format from the output file name', () => {
+            const options = parseArgs(['--output', 'results.csv']);
+            assert.strictEqual(options.format, 'csv');
+        });
+
+        it('should parse the transactions file', () => {
+            const options = parseArgs(['--transactions', 'sales.csv']);
+            assert.strictEqual(options.transactionsFile, 'sales.csv');
+            assert.strictEqual(options.format, 'json');
+        });
+
+        it('should reject ticks that are not a positive integer', () => {
+            ['5x', '0', '-3', '2.5', 'ten'].forEach(ticks => {
+                assert.throws(() => parseArgs(['--ticks', ticks]), /--ticks must be a positive integer/);
+            });
+        });
+
+        it('should exit non-zero with usage for bad arguments', () => {
+            const cli = path.join(__dirname, '../../bin/housing-sim.js');
+            const run = childProcess.spawnSync(process.execPath, [cli, '--ticks', '5x'], { encoding: 'utf8' });
+            
+            assert.strictEqual(run.status, 1);
+            assert(run.stderr.includes('--ticks must be a positive integer, got "5x"'));
+            assert(run.stderr.includes('Usage: housing-sim [options]'));
+        });
+
+        it('should reject unknown settings', () => {
+            assert.throws(() => parseArgs(['--not_a_setting', '1']), /Unknown setting/);
+        });
+
+        it('should let flags override config file settings', () => {
+            const configFile = path.join(os.tmpdir(), `housing-sim-test-${process.pid}.json`);
+            fs.writeFileSync(configFile, JSON.stringify({ turnover_in: 3, turnover_out: 3 }));
+            
+            try {
+                const settings = buildSettings({ configFile: configFile, settings: { turnover_out: 7 } });
+                assert.deepStrictEqual(settings, { turnover_in: 3, turnover_out: 7 });
+            } finally {
+                fs.unlinkSync(configFile);
+            }
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Batch Runner tests...');
+}
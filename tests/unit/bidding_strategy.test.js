@@ -0,0 +1,176 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Auction = require('../../js/core/Auction.js');
+const BiddingStrategy = require('../../js/core/BiddingStrategy.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+const SeededRandom = require('../../js/utils/SeededRandom.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Bidding Strategy Tests', () => {
+    let bidder, house, context;
+    
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        
+        bidder = new Person(500000, null, 2025);
+        house = new House(300000, 300000);
+        context = {
+            house: house,
+            houseValue: 300000,
+            purchasingPower: 500000,
+            yearsUnhoused: 0,
+            random: new SeededRandom(1),
+            params: { valueMarkup: 0.1, shading: 0.2, desperationYears: 4 }
+        };
+    });
+
+    describe('Strategies', () => {
+        it('should bid full purchasing power with full_wealth', () => {
+            assert.strictEqual(BiddingStrategy.getBid('full_wealth', bidder, context), 500000);
+        });
+
+        it('should anchor value_anchored bids to the house value', () => {
+            assert(Math.abs(BiddingStrategy.getBid('value_anchored', bidder, context) - 330000) < 0.01);
+        });
+
+        it('should raise desperation bids with years unhoused', () => {
+            const fresh = BiddingStrategy.getBid('desperation', bidder, context);
+            const halfway = BiddingStrategy.getBid('desperation', bidder, { ...context, yearsUnhoused: 2 });
+            const desperate = BiddingStrategy.getBid('desperation', bidder, { ...context, yearsUnhoused: 10 });
+            
+            assert.strictEqual(fresh, 300000);
+            assert.strictEqual(halfway, 400000);
+            assert.strictEqual(desperate, 500000);
+        });
+
+        it('should shade random_shading bids within the configured range', () => {
+            const bids = [];
+            for (let i = 0; i < 20; i++) {
+                bids.push(BiddingStrategy.getBid('random_shading', bidder, context));
+            }
+            
+            bids.forEach(bid => assert(bid >= 400000 && bid <= 500000, `Bid ${bid} should be within 20% of purchasing power`));
+            assert(new Set(bids).size > 1, 'Bids should vary');
+        });
+
+        it('should never bid more than purchasing power', () => {
+            const bid = BiddingStrategy.getBid('value_anchored', bidder, { ...context, houseValue: 480000 });
+            assert.strictEqual(bid, 500000);
+        });
+
+        it('should reject unknown strategies', () => {
+            assert.throws(() => BiddingStrategy.get('telepathic'), /Unknown bidding strategy/);
+        });
+
+        it('should accept registered strategies', () => {
+            BiddingStrategy.register('lowball', 'Bid half the house value', (person, ctx) => ctx.houseValue / 2);
+            assert.strictEqual(BiddingStrategy.getBid('lowball', bidder, context), 150000);
+            delete BiddingStrategy.STRATEGIES.lowball;
+        });
+    });
+
+    describe('Population mix', () => {
+        it('should choose strategies in proportion to their weights', () => {
+            const market = new Market(new Config({
+                num_houses: 10,
+                num_people: 400,
+                bidding_strategy_mix: { full_wealth: 3, desperation: 1 },
+                random_seed: 3
+            }));
+            const counts = { full_wealth: 0, desperation: 0 };
+            market.people.forEach(person => counts[person.biddingStrategy]++);
+            
+            assert.strictEqual(counts.full_wealth + counts.desperation, 400);
+            assert(Math.abs(counts.full_wealth / 400 - 0.75) < 0.06, 'full_wealth should get about 75%');
+        });
+
+        it('should validate mixes through Config', () => {
+            assert.throws(() => new Config({ bidding_strategy_mix: { telepathic: 1 } }), /unknown strategy/);
+            assert.throws(() => new Config({ bidding_strategy_mix: { full_wealth: 0 } }), /sum to more than 0/);
+            assert.throws(() => new Config({ bidding_strategy: 'telepathic' }), /bidding_strategy must be one of/);
+        });
+    });
+
+    describe('Auction integration', () => {
+        it('should use each bidder\'s own strategy over the auction default', () => {
+            const anchored = new Person(500000, null, 2025);
+            anchored.biddingStrategy = 'value_anchored';
+            const rival = new Person(450000, null, 2025);
+            
+            const auction = new Auction([house], [anchored, rival], { currentYear: 2025 });
+            const result = auction.conductVickreyAuction(1, 1.5)[0];
+            
+            // The full-wealth rival outbids the anchored bidder's 330k
+            assert.strictEqual(result.winner, rival);
+            assert(Math.abs(result.secondPrice - 330000) < 0.01);
+            assert.strictEqual(result.allBids.find(b => b.person === anchored).strategy, 'value_anchored');
+        });
+
+        it('should let desperate bidders who waited longer win', () => {
+            const newcomer = new Person(500000, null, 2030);
+            const veteran = new Person(450000, null, 2025);
+            
+            const auction = new Auction([house], [newcomer, veteran], {
+                biddingStrategy: 'desperation',
+                biddingParams: { desperationYears: 5 },
+                currentYear: 2030
+            });
+            const result = auction.conductVickreyAuction(1, 1.5)[0];
+            
+            assert.strictEqual(result.winner, veteran);
+            assert.strictEqual(result.secondPrice, 300000);
+        });
+    });
+
+    describe('Market with a strategy mix', () => {
+        it('should assign strategies to people and keep them across a snapshot', () => {
+            const market = new Market(new Config({
+                num_houses: 20,
+                num_people: 20,
+                bidding_strategy_mix: { full_wealth: 1, random_shading: 1 },
+                random_seed: 21
+            }));
+            for (let i = 0; i < 2; i++) market.tick();
+            
+            const assigned = new Set(market.people.map(p => p.biddingStrategy));
+            assert(assigned.has('full_wealth') && assigned.has('random_shading'), 'Both strategies should be assigned');
+            
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            market.people.forEach(person => {
+                assert.strictEqual(restored.people.find(p => p.id === person.id).biddingStrategy, person.biddingStrategy);
+            });
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Bidding Strategy tests...');
+}
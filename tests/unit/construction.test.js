@@ -0,0 +1,181 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Construction = require('../../js/core/Construction.js');
+const Geography = require('../../js/core/Geography.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Construction Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Housing starts', () => {
+        it('should start nothing while value is at or below construction cost', () => {
+            const construction = new Construction(new Config({ construction_cost: 300000 }));
+
+            assert.strictEqual(construction.getStarts(300000, 100), 0);
+            assert.strictEqual(construction.getStarts(250000, 100), 0);
+        });
+
+        it('should start houses in proportion to the margin and the supply elasticity', () => {
+            const construction = new Construction(new Config({ construction_cost: 200000, supply_elasticity: 0.5, construction_max_starts: 100 }));
+
+            assert.strictEqual(construction.getStarts(240000, 100), 10); // 0.5 * 20% * 100
+            assert.strictEqual(construction.getStarts(220000, 100), 5);
+        });
+
+        it('should cap starts at construction_max_starts', () => {
+            const construction = new Construction(new Config({ construction_cost: 100000, construction_max_starts: 4 }));
+
+            assert.strictEqual(construction.getStarts(300000, 100), 4);
+        });
+
+        it('should finish projects after the construction lag', () => {
+            const construction = new Construction(new Config({ construction_cost: 200000, construction_lag: 2 }));
+            construction.startProjects(2030, 240000, 100);
+
+            assert.strictEqual(construction.getUnderConstruction(), 10);
+            assert.strictEqual(construction.completeProjects(2031), 0);
+            assert.strictEqual(construction.completeProjects(2032), 10);
+            assert.strictEqual(construction.getUnderConstruction(), 0);
+        });
+    });
+
+    describe('Demolition and lots', () => {
+        it('should only demolish unowned houses at the value floor', () => {
+            const construction = new Construction(new Config());
+            const derelict = new House(House.MIN_INTRINSIC_VALUE, 5000);
+            const ownedDerelict = new House(House.MIN_INTRINSIC_VALUE, 5000);
+            ownedDerelict.owner = new Person(1000);
+            const sound = new House(50000, 50000);
+
+            assert.deepStrictEqual(construction.selectDemolitions([derelict, ownedDerelict, sound]), [derelict]);
+        });
+
+        it('should fill gaps before adding lots after the last house', () => {
+            const houses = [0, 1, 3].map(index => {
+                const house = new House(100000, 100000);
+                house.x = index % 10;
+                house.y = Math.floor(index / 10);
+                return house;
+            });
+
+            assert.deepStrictEqual(Construction.findFreeLots(houses, 3, 10), [2, 4, 5]);
+        });
+    });
+
+    describe('Market integration', () => {
+        const settings = {
+            num_houses: 20,
+            num_people: 20,
+            random_seed: 3
+        };
+
+        it('should leave the housing stock alone by default', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 3; i++) market.tick();
+
+            assert.strictEqual(market.houses.length, 20);
+            assert.strictEqual(market.getMarketStats().housingStarts, 0);
+        });
+
+        it('should build and list new houses when prices are above cost', () => {
+            const market = new Market(new Config({ ...settings, construction_enabled: true, construction_cost: 50000, construction_lag: 1 }));
+            market.tick();
+            const started = market.getMarketStats().housingStarts;
+            assert.ok(started > 0);
+            assert.strictEqual(market.getMarketStats().housesUnderConstruction, started);
+
+            market.tick();
+            const stats = market.getMarketStats();
+            assert.strictEqual(stats.housesCompleted, started);
+            assert.strictEqual(market.houses.length, 20 + started);
+            assert.strictEqual(stats.totalHouses, 20 + started);
+
+            // New houses sit on their own lots
+            const lots = new Set(market.houses.map(house => `${house.x},${house.y}`));
+            assert.strictEqual(lots.size, market.houses.length);
+        });
+
+        it('should build past a full grid on new rows of the same width', () => {
+            const market = new Market(new Config({
+                ...settings,
+                num_houses: 100,
+                num_people: 100,
+                construction_enabled: true,
+                construction_cost: 50000,
+                construction_lag: 1
+            }));
+            market.tick();
+            market.tick();
+            const built = market.houses.slice(100);
+            assert.ok(built.length > 0);
+
+            assert.ok(built.every(house => house.y >= 10 && house.x >= 0 && house.x < Geography.COLUMNS));
+            const lots = new Set(market.houses.map(house => `${house.x},${house.y}`));
+            assert.strictEqual(lots.size, market.houses.length);
+        });
+
+        it('should demolish derelict vacant houses and forget their listings', () => {
+            const market = new Market(new Config({ ...settings, demolition_enabled: true }));
+            const derelict = market.availableHouses[0];
+            derelict.intrinsicValue = House.MIN_INTRINSIC_VALUE;
+            market.tick();
+
+            assert.ok(!market.houses.includes(derelict));
+            assert.ok(!market.availableHouses.includes(derelict));
+            assert.ok(market.getMarketStats().housesDemolished >= 1);
+        });
+
+        it('should restore projects under construction from a snapshot', () => {
+            const market = new Market(new Config({ ...settings, construction_enabled: true, construction_cost: 50000, construction_lag: 3 }));
+            market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.deepStrictEqual(restored.construction.pipeline, market.construction.pipeline);
+            assert.strictEqual(restored.getMarketStats().housingStarts, market.getMarketStats().housingStarts);
+        });
+    });
+
+    describe('Configuration', () => {
+        it('should reject invalid construction settings', () => {
+            assert.throws(() => new Config({ construction_cost: 0 }), /construction_cost must be positive/);
+            assert.throws(() => new Config({ supply_elasticity: -1 }), /supply_elasticity must be non-negative/);
+            assert.throws(() => new Config({ construction_lag: 1.5 }), /construction_lag must be a non-negative integer/);
+            assert.throws(() => new Config({ construction_max_starts: 0 }), /construction_max_starts must be a positive integer/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Construction tests...');
+}
@@ -83,6 +83,39 @@ describe('House Class', () => {
         });
     });
 
+    describe('rental tenure', () => {
+        it('should record a purchase to let as a non-occupant owner with no tenant', () => {
+            house.seller = new Person(100000);
+            house.yearsUnsold = 2;
+            house.setRentalOwner(person, 400000);
+            
+            assert.strictEqual(house.owner, person);
+            assert.strictEqual(house.rental, true);
+            assert.strictEqual(house.isOccupied(), false);
+            assert.strictEqual(house.lastSellingPrice, 400000);
+            assert.strictEqual(house.seller, null);
+            assert.strictEqual(house.yearsUnsold, 0);
+        });
+
+        it('should end the tenancy and record the seller when listed for sale', () => {
+            const tenant = new Person(50000);
+            house.setRentalOwner(person, 400000);
+            tenant.rentHouse(house, 20000);
+            
+            assert.strictEqual(house.listForSale(person, 1000), house);
+            assert.strictEqual(tenant.rentedHouse, null);
+            assert.strictEqual(house.owner, null);
+            assert.strictEqual(house.rental, false);
+            assert.strictEqual(house.seller, person);
+            assert.strictEqual(house.sellerDebt, 1000);
+        });
+
+        it('should total the value of a set of houses', () => {
+            assert.strictEqual(House.getTotalValue([house, new House(100000, 100000)], 1), 600000);
+            assert.strictEqual(House.getTotalValue([]), 0);
+        });
+    });
+
     describe('incrementOwnershipYears', () => {
         it('should increment when owned', () => {
             house.owner = person;
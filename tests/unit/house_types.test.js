@@ -0,0 +1,163 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const HouseType = require('../../js/core/HouseType.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+
+describe('House Type Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Type registry', () => {
+        it('should scale the price distribution by type', () => {
+            assert.deepStrictEqual(HouseType.getPriceDistribution('apartment', 300000, 150000), { mean: 180000, std: 75000 });
+            assert.deepStrictEqual(HouseType.getPriceDistribution('detached', 300000, 150000), { mean: 480000, std: 150000 });
+            assert.throws(() => HouseType.get('castle'), /Unknown house type: castle/);
+        });
+
+        it('should classify quality tiers within a type', () => {
+            const distribution = { mean: 300000, std: 100000 };
+            assert.strictEqual(HouseType.getQualityTier(200000, distribution), 'basic');
+            assert.strictEqual(HouseType.getQualityTier(320000, distribution), 'standard');
+            assert.strictEqual(HouseType.getQualityTier(360000, distribution), 'premium');
+        });
+
+        it('should prefer the smallest type that fits the household', () => {
+            assert.strictEqual(HouseType.getPreferredType(1), 'apartment');
+            assert.strictEqual(HouseType.getPreferredType(3), 'townhouse');
+            assert.strictEqual(HouseType.getPreferredType(5), 'detached');
+            assert.strictEqual(HouseType.getPreferredType(20), 'detached');
+        });
+
+        it('should validate type mixes', () => {
+            assert.deepStrictEqual(HouseType.validateMix({ apartment: 1 }), []);
+            assert(HouseType.validateMix({ castle: 1 })[0].includes('unknown house type castle'));
+            assert(HouseType.validateMix({ apartment: 0 })[0].includes('sum to more than 0'));
+            assert.throws(() => new Config({ house_type_mix: { igloo: 1 } }), /unknown house type igloo/);
+            assert.throws(() => new Config({ household_size_weights: [] }), /household_size_weights/);
+        });
+    });
+
+    describe('Household fit and preferences', () => {
+        let apartment;
+        let townhouse;
+
+        beforeEach(() => {
+            Person.idCounter = 0;
+            House.idCounter = 0;
+
+            apartment = new House(200000, 200000);
+            apartment.type = 'apartment';
+            apartment.capacity = 2;
+            townhouse = new House(220000, 220000);
+            townhouse.type = 'townhouse';
+            townhouse.capacity = 4;
+        });
+
+        it('should not bid on houses the household does not fit in', () => {
+            const family = new Person(1000000);
+            family.householdSize = 4;
+
+            assert.strictEqual(family.fitsHouse(apartment), false);
+            assert.strictEqual(family.shouldBid(apartment, 1.5), false);
+            assert.strictEqual(family.shouldBid(townhouse, 1.5), true);
+        });
+
+        it('should move into the preferred type without a value upgrade', () => {
+            const family = new Person(1000000);
+            family.householdSize = 3;
+            family.preferredType = 'townhouse';
+            family.buyHouse(apartment, 200000);
+
+            // Only 10% more valuable, far below the 1.5x upgrade threshold
+            assert.strictEqual(family.shouldBid(townhouse, 1.5), true);
+
+            const other = new House(230000, 230000);
+            other.type = 'townhouse';
+            other.capacity = 4;
+            family.sellHouse();
+            family.buyHouse(townhouse, 220000);
+            assert.strictEqual(family.shouldBid(other, 1.5), false);
+        });
+
+        it('should fit anyone in untyped houses', () => {
+            const family = new Person(1000000);
+            family.householdSize = 6;
+            assert.strictEqual(family.fitsHouse(new House(300000, 300000)), true);
+        });
+    });
+
+    describe('Market with house types', () => {
+        it('should create typed houses and sized households, and keep them in snapshots', () => {
+            const market = new Market(new Config({
+                num_houses: 40,
+                num_people: 40,
+                house_types_enabled: true,
+                random_seed: 12
+            }));
+
+            market.houses.forEach(h => {
+                assert(HouseType.getNames().includes(h.type));
+                assert.strictEqual(h.capacity, HouseType.get(h.type).capacity);
+                assert(['basic', 'standard', 'premium'].includes(h.quality));
+            });
+            market.people.forEach(p => {
+                assert(p.householdSize >= 1 && p.householdSize <= 5);
+                assert.strictEqual(p.preferredType, HouseType.getPreferredType(p.householdSize));
+            });
+
+            market.tick();
+            const stats = market.getMarketStats();
+            assert.strictEqual(stats.houseTypes.reduce((sum, t) => sum + t.houses, 0), 40);
+            assert(stats.preferredTypeRate > 0 && stats.preferredTypeRate <= 1);
+
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            assert.strictEqual(restored.houses[5].type, market.houses[5].type);
+            assert.strictEqual(restored.houses[5].quality, market.houses[5].quality);
+            assert.strictEqual(restored.people[5].householdSize, market.people[5].householdSize);
+            assert.strictEqual(restored.people[5].preferredType, market.people[5].preferredType);
+        });
+
+        it('should leave houses untyped by default', () => {
+            const market = new Market(new Config({ num_houses: 10, num_people: 10, random_seed: 12 }));
+
+            market.houses.forEach(h => assert.strictEqual(h.type, null));
+            market.people.forEach(p => assert.strictEqual(p.householdSize, 1));
+            assert.deepStrictEqual(market.getMarketStats().houseTypes, []);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running House Type tests...');
+}
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+
+describe('Inheritance Tests', () => {
+    let market;
+
+    // Market with no turnover of its own; tests drive exits through settleEstate
+    const settings = {
+        num_houses: 10,
+        num_people: 10,
+        turnover_in: 0,
+        turnover_out: 0,
+        inheritance_mode: 'existing',
+        random_seed: 9
+    };
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+
+        market = new Market(new Config(settings));
+        market.lastInheritance = { count: 0, inheritedWealth: 0, estateTax: 0, heirsEntered: 0 };
+    });
+
+    describe('Estates', () => {
+        it('should pass liquid wealth to an existing heir', () => {
+            const deceased = market.people.find(p => !p.house);
+            deceased.wealth = 200000;
+            const totalBefore = market.people.reduce((sum, p) => sum + p.wealth, 0);
+
+            const listed = market.settleEstate(deceased, new Set([deceased]));
+            assert.deepStrictEqual(listed, []);
+            assert.strictEqual(deceased.wealth, 0);
+            const totalAfter = market.people.reduce((sum, p) => sum + p.wealth, 0);
+            assert(Math.abs(totalAfter - totalBefore) < 1e-6, 'Wealth moves to the heir rather than disappearing');
+            assert.strictEqual(market.lastInheritance.count, 1);
+            assert.strictEqual(market.lastInheritance.inheritedWealth, 200000);
+        });
+
+        it('should hand the house to an unhoused heir', () => {
+            const deceased = market.people.find(p => p.house);
+            const house = deceased.house;
+            const heir = market.people.find(p => !p.house);
+            market.chooseHeir = () => heir;
+
+            const listed = market.settleEstate(deceased, new Set([deceased]));
+            assert.deepStrictEqual(listed, []);
+            assert.strictEqual(heir.house, house);
+            assert.strictEqual(house.owner, heir);
+            assert.strictEqual(deceased.house, null);
+        });
+
+        it('should end a renting heir\'s tenancy when they inherit a home', () => {
+            const deceased = market.people.find(p => p.house);
+            const house = deceased.house;
+            const heir = market.people.find(p => !p.house);
+            const rental = market.availableHouses[0];
+            rental.rental = true;
+            heir.rentHouse(rental, 12000);
+            market.chooseHeir = () => heir;
+
+            market.settleEstate(deceased, new Set([deceased]));
+            assert.strictEqual(heir.house, house);
+            assert.strictEqual(heir.rentedHouse, null);
+            assert.strictEqual(rental.tenant, null);
+            assert.strictEqual(rental.rent, 0);
+        });
+
+        it('should sell the house for an heir who already owns one', () => {
+            const [deceased, heir] = market.people.filter(p => p.house);
+            const house = deceased.house;
+            market.chooseHeir = () => heir;
+
+            const listed = market.settleEstate(deceased, new Set([deceased]));
+            assert.deepStrictEqual(listed, [house]);
+            assert.strictEqual(house.owner, null);
+            assert.strictEqual(house.seller, heir);
+        });
+
+        it('should tax the estate above the exemption', () => {
+            market = new Market(new Config({ ...settings, estate_tax_rate: 0.5, estate_tax_exemption: 100000 }));
+            market.lastInheritance = { count: 0, inheritedWealth: 0, estateTax: 0, heirsEntered: 0 };
+            const deceased = market.people.find(p => !p.house);
+            deceased.wealth = 300000;
+            const heir = market.people.find(p => p !== deceased);
+            const heirWealth = heir.wealth;
+            market.chooseHeir = () => heir;
+
+            market.settleEstate(deceased, new Set([deceased]));
+            assert.strictEqual(market.lastInheritance.estateTax, 100000);
+            assert.strictEqual(heir.wealth, heirWealth + 200000);
+        });
+
+        it('should take unpaid tax out of the sale when the heir cannot pay it', () => {
+            market = new Market(new Config({ ...settings, estate_tax_rate: 1 }));
+            market.lastInheritance = { count: 0, inheritedWealth: 0, estateTax: 0, heirsEntered: 0 };
+            const deceased = market.people.find(p => p.house);
+            deceased.wealth = 0;
+            const house = deceased.house;
+            const heir = market.people.find(p => !p.house);
+            heir.wealth = 0;
+            market.chooseHeir = () => heir;
+
+            const listed = market.settleEstate(deceased, new Set([deceased]));
+            assert.deepStrictEqual(listed, [house], 'The heir cannot pay the tax, so the house is sold');
+            assert.strictEqual(house.sellerDebt, house.calculateValue(0.7));
+            assert.strictEqual(heir.house, null);
+        });
+    });
+
+    describe('Heirs', () => {
+        it('should never choose an exiting person as heir', () => {
+            const staying = market.people[4];
+            const exiting = new Set(market.people.filter(p => p !== staying));
+            for (let i = 0; i < 5; i++) {
+                assert.strictEqual(market.chooseHeir(exiting), staying);
+            }
+        });
+
+        it('should bring in new entrants as heirs in their place', () => {
+            market = new Market(new Config({ ...settings, inheritance_mode: 'new_entrant', turnover_in: 2, turnover_out: 2 }));
+            market.tick();
+
+            assert.strictEqual(market.people.length, 10, 'Heirs take up the entrant places');
+            assert.strictEqual(market.getMarketStats().inheritances, 2);
+
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            assert.deepStrictEqual(restored.lastInheritance, market.lastInheritance);
+        });
+
+        it('should let estates vanish by default', () => {
+            market = new Market(new Config({ ...settings, inheritance_mode: 'none', turnover_out: 2 }));
+            market.tick();
+            assert.strictEqual(market.getMarketStats().inheritances, 0);
+            assert.throws(() => new Market(new Config({ ...settings, inheritance_mode: 'royal' })), /inheritance_mode must be one of/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Inheritance tests...');
+}
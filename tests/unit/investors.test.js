@@ -0,0 +1,215 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Investor = require('../../js/core/Investor.js');
+const Auction = require('../../js/core/Auction.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+
+const TERMS = { rentYield: 0.05, requiredYield: 0.04, maxProperties: 3 };
+
+describe('Institutional Investor Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        Investor.idCounter = 0;
+    });
+
+    describe('Valuation and budget', () => {
+        it('should bid its valuation of the house, capped by cash', () => {
+            const investor = new Investor(1000000, { bidRatio: 0.9 });
+            const house = new House(200000, 200000);
+
+            assert.strictEqual(investor.shouldBid(house, 1.5), false, 'Investors never buy to live in');
+            assert.strictEqual(investor.shouldInvest(house, 200000), true);
+            assert.strictEqual(investor.getInvestmentBid(200000), 180000);
+
+            investor.wealth = 100000;
+            assert.strictEqual(investor.shouldInvest(house, 200000), false, 'Cash must cover the valuation');
+        });
+
+        it('should stop buying at its holdings limit and never bid on its own listings', () => {
+            const investor = new Investor(1000000, { maxHoldings: 1 });
+            const house = new House(200000, 200000);
+            investor.buyRental(new House(100000, 100000), 100000);
+            assert.strictEqual(investor.shouldInvest(house, 200000), false);
+
+            const seller = new Investor(1000000);
+            house.seller = seller;
+            assert.strictEqual(seller.shouldInvest(house, 200000), false);
+        });
+    });
+
+    describe('Holding and resale', () => {
+        it('should hold houses empty as non-occupant owners', () => {
+            const investor = new Investor(1000000);
+            const house = new House(200000, 200000);
+            investor.buyRental(house, 180000);
+
+            assert.strictEqual(house.owner, investor);
+            assert.strictEqual(house.isAvailable(), false, 'Held houses are not for sale');
+            assert.strictEqual(house.isOccupied(), false, 'Nobody lives in a held house');
+            assert.strictEqual(investor.getPropertyValue(1), 200000);
+        });
+
+        it('should resell after the minimum hold once the gain target is met, or after the maximum hold', () => {
+            const investor = new Investor(1000000, { holdYears: 2, resaleGain: 0.1, maxHoldYears: 5 });
+            const gainer = new House(250000, 250000);
+            const flat = new House(200000, 200000);
+            investor.buyRental(gainer, 200000);
+            investor.buyRental(flat, 200000);
+
+            gainer.yearsSinceOwnership = 1;
+            flat.yearsSinceOwnership = 4;
+            assert.deepStrictEqual(investor.selectResales(1), [], 'Too early for the gainer, no gain on the other');
+
+            gainer.yearsSinceOwnership = 2;
+            assert.deepStrictEqual(investor.selectResales(1), [gainer]);
+
+            flat.yearsSinceOwnership = 5;
+            assert.deepStrictEqual(investor.selectResales(1), [gainer, flat]);
+        });
+
+        it('should list resales with itself as seller and collect the proceeds', () => {
+            const investor = new Investor(0);
+            const house = new House(200000, 200000);
+            investor.buyRental(house, 200000);
+            const tenant = new Person(0, null, 2025, 50000);
+            tenant.rentHouse(house, 8000);
+
+            investor.sellProperty(house);
+            assert.strictEqual(house.owner, null);
+            assert.strictEqual(house.seller, investor);
+            assert.strictEqual(tenant.rentedHouse, null, 'Selling ends the tenancy');
+
+            const buyer = new Person(500000);
+            const auction = new Auction([house], [buyer], { wealthAccounting: true });
+            auction.conductAuction(1, 1.5);
+            auction.executeTransactions();
+            assert.strictEqual(house.owner, buyer);
+            assert.strictEqual(investor.wealth, auction.results[0].secondPrice);
+        });
+    });
+
+    describe('Auctions', () => {
+        it('should compete with households and take the house when it bids highest', () => {
+            const investor = new Investor(1000000, { bidRatio: 1.2 });
+            const household = new Person(210000);
+            const house = new House(200000, 200000);
+            const auction = new Auction([house], [household, investor], { wealthAccounting: true, rental: TERMS });
+
+            const [result] = auction.conductAuction(1, 1.5);
+            assert.strictEqual(result.winner, investor);
+            assert.strictEqual(result.purpose, 'rental');
+            assert.strictEqual(result.secondPrice, 210000, 'The household sets the price');
+
+            auction.executeTransactions();
+            assert(investor.properties.includes(house));
+            assert.strictEqual(investor.wealth, 790000);
+            assert.strictEqual(household.house, null);
+        });
+    });
+
+    describe('Market with investors', () => {
+        const settings = {
+            num_houses: 40,
+            num_people: 40,
+            num_investors: 2,
+            investor_bid_ratio: 1.2,
+            wealth_accounting: true,
+            random_seed: 21
+        };
+
+        it('should report investor purchases, holdings and the entrant housing rate', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 4; i++) market.tick();
+            const stats = market.getMarketStats();
+
+            assert.strictEqual(stats.investors, 2);
+            assert(stats.investorHoldings > 0, 'Investors should have bought houses');
+            assert.strictEqual(stats.investorHoldings, market.houses.filter(h => h.owner instanceof Investor).length);
+            assert(stats.investorPurchaseShare >= 0 && stats.investorPurchaseShare <= 1);
+            assert(stats.entrantHousingRate >= 0 && stats.entrantHousingRate <= 1);
+            assert(!market.people.some(p => p.house && p.house.owner instanceof Investor), 'Households never live in held houses');
+
+            const snapshot = market.getAnalyticsHistory().getLatestSnapshot();
+            assert.strictEqual(snapshot.investorHoldings, stats.investorHoldings);
+        });
+
+        it('should pay for its purchases out of its budget', () => {
+            const market = new Market(new Config({ ...settings, investor_budget: 1000000, random_seed: 7 }));
+            for (let i = 0; i < 8; i++) market.tick();
+            const ledger = market.getTransactionLedger();
+            const total = entries => entries.reduce((sum, entry) => sum + entry.price, 0);
+
+            market.investors.forEach(investor => {
+                const spent = total(ledger.getByPerson(investor.id, 'buyer'));
+                const received = total(ledger.getByPerson(investor.id, 'seller'));
+                assert(Math.abs(investor.wealth - (1000000 - spent + received)) < 1e-6, 'Purchases come out of the investor\'s cash');
+            });
+            assert(market.investors.some(investor => investor.wealth < 1000000), 'Buying should spend the budget');
+        });
+
+        it('should put resales back on the market', () => {
+            const market = new Market(new Config({ ...settings, investor_hold_years: 0, investor_max_hold_years: 1 }));
+            for (let i = 0; i < 3; i++) market.tick();
+            const held = market.investors[0].properties[0];
+            held.yearsSinceOwnership = 1;
+
+            market.processInvestorResales();
+            assert(market.lastInvestorResales > 0);
+            assert(market.availableHouses.includes(held));
+            assert.strictEqual(held.seller, market.investors[0]);
+        });
+
+        it('should restore investors and their holdings from a snapshot', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 4; i++) market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.deepStrictEqual(restored.investors.map(i => i.serialize()), market.investors.map(i => i.serialize()));
+            restored.investors.forEach((investor, i) => {
+                assert.deepStrictEqual(investor.properties.map(h => h.id), market.investors[i].properties.map(h => h.id));
+                investor.properties.forEach(house => assert.strictEqual(house.owner, investor));
+            });
+        });
+
+        it('should reject invalid investor settings', () => {
+            assert.throws(() => new Config({ num_investors: -1 }), /num_investors/);
+            assert.throws(() => new Config({ num_investors: 2 }), /num_investors requires wealth_accounting/);
+            assert.throws(() => new Config({ investor_bid_ratio: 0 }), /investor_bid_ratio/);
+            assert.throws(() => new Config({ investor_hold_years: 5, investor_max_hold_years: 2 }), /investor_max_hold_years/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Institutional Investor tests...');
+}
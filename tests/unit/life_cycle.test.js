@@ -0,0 +1,221 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const LifeCycle = require('../../js/core/LifeCycle.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+
+// Random source that replays a fixed sequence of draws
+function sequence(values) {
+    let i = 0;
+    return { next: () => values[i++ % values.length] };
+}
+
+describe('Life Cycle Tests', () => {
+    let lifeCycle;
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+
+        lifeCycle = new LifeCycle(new Config({ life_cycle_enabled: true }));
+    });
+
+    describe('Household composition', () => {
+        it('should derive life stage from composition and retirement', () => {
+            const person = new Person(100000);
+            assert.strictEqual(person.getLifeStage(), 'single');
+
+            person.adults = 2;
+            assert.strictEqual(person.getLifeStage(), 'couple');
+            person.children = 1;
+            person.updateHouseholdSize();
+            assert.strictEqual(person.getLifeStage(), 'family');
+            assert.strictEqual(person.householdSize, 3);
+
+            person.income = 50000;
+            person.retire(0.6);
+            assert.strictEqual(person.getLifeStage(), 'retired');
+            assert.strictEqual(person.income, 30000);
+        });
+
+        it('should merge and split households', () => {
+            const a = new Person(200000, null, 2025, 60000);
+            const b = new Person(100000, null, 2025, 40000);
+            b.children = 1;
+
+            a.mergeHousehold(b);
+            assert.deepStrictEqual([a.wealth, a.income, a.adults, a.children, a.householdSize], [300000, 100000, 2, 1, 3]);
+
+            const share = a.splitHousehold();
+            assert.deepStrictEqual(share, { wealth: 150000, income: 50000 });
+            assert.deepStrictEqual([a.wealth, a.adults, a.children, a.householdSize], [150000, 1, 1, 2]);
+        });
+    });
+
+    describe('Yearly events', () => {
+        it('should raise mortality with age', () => {
+            assert(Math.abs(lifeCycle.getMortality(65) - 0.012) < 1e-12);
+            assert(lifeCycle.getMortality(85) > lifeCycle.getMortality(65) * 5);
+            assert(lifeCycle.getMortality(40) < 0.002);
+        });
+
+        it('should end a household when its last adult dies but keep a widowed partner', () => {
+            const single = new Person(100000);
+            single.age = 90;
+            const couple = new Person(100000);
+            couple.age = 90;
+            couple.adults = 2;
+
+            // Every draw is below mortality, so both of the couple die too
+            const outcome = lifeCycle.processYear([single, couple], sequence([0]));
+            assert.deepStrictEqual(outcome.ended, [single, couple]);
+            assert.strictEqual(outcome.events.deaths, 3);
+
+            // Only the first of the couple's draws is a death
+            const widowed = new Person(100000);
+            widowed.age = 90;
+            widowed.adults = 2;
+            const survivor = lifeCycle.processYear([widowed], sequence([0, 0.99])).ended;
+            assert.deepStrictEqual(survivor, []);
+            assert.strictEqual(widowed.adults, 1);
+        });
+
+        it('should retire households reaching retirement age', () => {
+            const person = new Person(100000, null, 2025, 80000);
+            person.age = 64;
+
+            const outcome = lifeCycle.processYear([person], sequence([0.99]));
+            assert.strictEqual(person.retired, true);
+            assert.strictEqual(person.income, 48000);
+            assert.strictEqual(outcome.events.retirements, 1);
+        });
+
+        it('should pair up singles who marry and split couples who divorce', () => {
+            const singles = [0, 1, 2].map(() => {
+                const person = new Person(100000);
+                person.age = 30;
+                return person;
+            });
+
+            // Survive (0.99), then marry (0.001)
+            const outcome = lifeCycle.processYear(singles, sequence([0.99, 0.001]));
+            assert.strictEqual(outcome.marriages.length, 1, 'Three singles make one couple and one waits');
+
+            const couple = new Person(100000);
+            couple.age = 30;
+            couple.adults = 2;
+
+            // Both adults survive (0.99, 0.99), then divorce (0.001)
+            const split = lifeCycle.processYear([couple], sequence([0.99, 0.99, 0.001]));
+            assert.strictEqual(split.divorces.length, 1);
+            assert.strictEqual(split.divorces[0].person, couple);
+            assert.strictEqual(couple.adults, 1);
+        });
+    });
+
+    describe('Market with life cycles', () => {
+        it('should replace random exits with life events and restore household state', () => {
+            const market = new Market(new Config({
+                num_houses: 40,
+                num_people: 40,
+                life_cycle_enabled: true,
+                marriage_rate: 0.3,
+                divorce_rate: 0.05,
+                random_seed: 5
+            }));
+            market.people.forEach(p => {
+                assert(p.age >= 25 && p.age < 80);
+                assert.strictEqual(p.householdSize, p.adults + p.children);
+            });
+
+            for (let i = 0; i < 5; i++) market.tick();
+
+            const stats = market.getMarketStats();
+            assert(stats.averageAge > 0);
+            assert(stats.lifeEvents !== null);
+            assert.strictEqual(market.people.filter(p => p.adults === 0).length, 0, 'Ended households leave the market');
+            assert(market.houses.every(h => !h.owner || market.people.includes(h.owner)));
+
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            const person = market.people[3];
+            const copy = restored.people[3];
+            assert.deepStrictEqual(
+                [copy.age, copy.adults, copy.children, copy.retired],
+                [person.age, person.adults, person.children, person.retired]
+            );
+            assert.deepStrictEqual(restored.lastLifeEvents, market.lastLifeEvents);
+        });
+
+        it('should sell a marrying spouse\'s house for the couple', () => {
+            const market = new Market(new Config({ num_houses: 10, num_people: 10, life_cycle_enabled: true, random_seed: 5 }));
+            const [a, b] = market.people.filter(p => p.house).slice(0, 2);
+            const spouseHouse = (a.house.calculateValue() > b.house.calculateValue() ? b : a).house;
+            market.lifeCycle.processYear = () => ({
+                ended: [], marriages: [[a, b]], divorces: [],
+                events: { deaths: 0, births: 0, marriages: 1, divorces: 0, retirements: 0, childrenLeft: 0 }
+            });
+
+            const { exitingPeople, listedHouses } = market.processLifeEvents();
+            assert.deepStrictEqual(listedHouses, [spouseHouse]);
+            assert.strictEqual(exitingPeople.length, 1);
+            assert.strictEqual(spouseHouse.seller, a.house ? a : b);
+        });
+
+        it('should set up a departing partner like any other new household', () => {
+            const market = new Market(new Config({
+                num_houses: 10,
+                num_people: 10,
+                life_cycle_enabled: true,
+                house_types_enabled: true,
+                expectation_rule_mix: { adaptive: 0.5, extrapolative: 0.5 },
+                random_seed: 5
+            }));
+            const couple = market.people.find(p => p.adults === 2);
+            market.lifeCycle.processYear = () => ({
+                ended: [], marriages: [], divorces: [{ person: couple, ...couple.splitHousehold() }],
+                events: { deaths: 0, births: 0, marriages: 0, divorces: 1, retirements: 0, childrenLeft: 0 }
+            });
+
+            market.processLifeEvents();
+            const partner = market.people[market.people.length - 1];
+            assert.strictEqual(partner.householdSize, 1);
+            assert.strictEqual(partner.adults + partner.children, partner.householdSize);
+            assert.strictEqual(partner.age, couple.age);
+            assert.strictEqual(partner.income, couple.income);
+            assert(['adaptive', 'extrapolative'].includes(partner.expectationRule));
+            assert.strictEqual(partner.preferredType, market.HouseType.getPreferredType(1));
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Life Cycle tests...');
+}
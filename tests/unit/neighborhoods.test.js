@@ -0,0 +1,176 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Geography = require('../../js/core/Geography.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+// Places `count` houses worth 300k on a fresh geography
+function placeHouses(geography, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const house = new House(300000, 300000);
+        geography.placeHouse(house, i);
+        return house;
+    });
+}
+
+describe('Neighborhood Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Layout and amenities', () => {
+        it('should place houses row by row in neighborhood bands', () => {
+            const geography = new Geography(new Config({ num_neighborhoods: 2 }));
+            const houses = placeHouses(geography, 20);
+
+            assert.deepStrictEqual([houses[0].x, houses[0].y], [0, 0]);
+            assert.deepStrictEqual([houses[13].x, houses[13].y], [3, 1]);
+            assert.strictEqual(houses[4].neighborhood, 0);
+            assert.strictEqual(houses[5].neighborhood, 1);
+            assert.strictEqual(houses[15].neighborhood, 1);
+        });
+
+        it('should spread amenities evenly or take them from config', () => {
+            const spread = new Geography(new Config({ num_neighborhoods: 3, neighborhood_amenity_spread: 0.2 }));
+            assert.deepStrictEqual(spread.neighborhoods.map(n => Number(n.amenity.toFixed(10))), [0.8, 1, 1.2]);
+
+            const single = new Geography(new Config());
+            assert.deepStrictEqual(single.neighborhoods.map(n => n.amenity), [1]);
+
+            const explicit = new Geography(new Config({ num_neighborhoods: 2, neighborhood_amenities: [0.5, 2] }));
+            assert.deepStrictEqual(explicit.neighborhoods.map(n => n.amenity), [0.5, 2]);
+        });
+
+        it('should scale only the intrinsic part of value by location', () => {
+            const house = new House(300000, 200000);
+            assert.strictEqual(house.calculateValue(0.5), 250000);
+
+            house.amenity = 1.2;
+            house.spillover = 0.5;
+            assert.strictEqual(house.getLocationMultiplier(), 0.6);
+            assert.strictEqual(house.calculateValue(0.5), 190000);
+        });
+    });
+
+    describe('Spillovers', () => {
+        it('should lift houses next to occupied, expensive neighbors and drag down the rest', () => {
+            const geography = new Geography(new Config());
+            const houses = placeHouses(geography, 20);
+
+            // Occupy and price up the left half of both rows
+            houses.filter(h => h.x < 5).forEach(h => {
+                new Person(1000000).buyHouse(h, 300000);
+                h.lastSellingPrice = 500000;
+            });
+            geography.applySpillovers(houses, 0.5, 0.5, 1);
+
+            assert(houses[0].spillover > 1, 'Deep in the occupied half should gain value');
+            assert(houses[9].spillover < 1, 'Deep in the vacant half should lose value');
+            assert(houses[0].spillover <= 2 && houses[9].spillover >= 0.5);
+        });
+
+        it('should find neighbors within the radius only', () => {
+            const geography = new Geography(new Config());
+            const houses = placeHouses(geography, 30);
+            const grid = geography.buildGrid(houses);
+
+            assert.strictEqual(geography.getNeighbors(houses[0], grid, 1).length, 3);
+            assert.strictEqual(geography.getNeighbors(houses[15], grid, 1).length, 8);
+            assert.strictEqual(geography.getNeighbors(houses[15], grid, 2).length, 14);
+        });
+    });
+
+    describe('Neighborhood statistics', () => {
+        it('should measure wealth segregation between neighborhoods', () => {
+            const geography = new Geography(new Config({ num_neighborhoods: 2 }));
+            const houses = placeHouses(geography, 10);
+
+            // Rich owners on one side, poor on the other: fully sorted
+            houses.forEach(h => new Person(h.neighborhood === 0 ? 100000 : 900000).buyHouse(h, 0));
+            assert.strictEqual(geography.getWealthSegregation(houses), 1);
+
+            const stats = geography.getNeighborhoodStats(houses);
+            assert.strictEqual(stats.length, 2);
+            assert.strictEqual(stats[1].averageOwnerWealth, 900000);
+            assert.strictEqual(stats[0].occupancyRate, 1);
+
+            // Same wealth mix on both sides: no segregation
+            houses.forEach(h => { h.owner.wealth = h.x % 2 === 0 ? 100000 : 900000; });
+            assert(geography.getWealthSegregation(houses) < 0.1);
+        });
+    });
+
+    describe('Market with neighborhoods', () => {
+        it('should place houses, report neighborhoods and keep placement in snapshots', () => {
+            const market = new Market(new Config({
+                num_houses: 30,
+                num_people: 30,
+                num_neighborhoods: 3,
+                spillover_occupancy: 0.5,
+                spillover_price: 0.5,
+                random_seed: 8
+            }));
+            market.tick();
+
+            const stats = market.getMarketStats();
+            assert.strictEqual(stats.neighborhoods.length, 3);
+            assert.strictEqual(stats.neighborhoods.reduce((sum, n) => sum + n.houses, 0), 30);
+            assert(stats.wealthSegregation >= 0 && stats.wealthSegregation <= 1);
+            assert(market.houses.some(h => h.spillover !== 1), 'Spillovers should be applied each tick');
+
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            const original = market.houses[17];
+            const copy = restored.houses[17];
+            assert.deepStrictEqual(
+                [copy.x, copy.y, copy.neighborhood, copy.amenity, copy.spillover],
+                [original.x, original.y, original.neighborhood, original.amenity, original.spillover]
+            );
+        });
+
+        it('should leave values untouched with a single neighborhood and no spillovers', () => {
+            const market = new Market(new Config({ num_houses: 20, num_people: 20, random_seed: 8 }));
+            market.tick();
+
+            market.houses.forEach(h => assert.strictEqual(h.getLocationMultiplier(), 1));
+            assert.strictEqual(market.getMarketStats().wealthSegregation, 0);
+        });
+
+        it('should reject invalid neighborhood settings', () => {
+            assert.throws(() => new Config({ num_neighborhoods: 0 }), /num_neighborhoods must be an integer/);
+            assert.throws(() => new Config({ num_neighborhoods: 2, neighborhood_amenities: [1] }), /neighborhood_amenities/);
+            assert.throws(() => new Config({ spillover_radius: 1.5 }), /spillover_radius/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Neighborhood tests...');
+}
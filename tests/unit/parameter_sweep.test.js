@@ -0,0 +1,119 @@
+const assert = require('assert');
+const ParameterSweep = require('../../js/core/ParameterSweep.js');
+const MathUtils = require('../../js/utils/MathUtils.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Parameter Sweep Tests', () => {
+    describe('MathUtils statistics', () => {
+        it('should calculate mean and standard deviation', () => {
+            assert.strictEqual(MathUtils.mean([1, 2, 3, 4]), 2.5);
+            assert(Math.abs(MathUtils.standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]) - 2.138) < 0.001);
+        });
+
+        it('should interpolate percentiles', () => {
+            const values = [40, 10, 30, 20];
+            assert.strictEqual(MathUtils.percentile(values, 0), 10);
+            assert.strictEqual(MathUtils.percentile(values, 1), 40);
+            assert.strictEqual(MathUtils.percentile(values, 0.5), 25);
+        });
+    });
+
+    describe('Grid expansion', () => {
+        it('should expand arrays, steps and counts', () => {
+            assert.deepStrictEqual(ParameterSweep.expandValues([1, 2]), [1, 2]);
+            assert.deepStrictEqual(ParameterSweep.expandValues({ min: 0, max: 0.3, step: 0.1 }), [0, 0.1, 0.2, 0.3]);
+            assert.deepStrictEqual(ParameterSweep.expandValues({ min: 1, max: 2, count: 3 }), [1, 1.5, 2]);
+        });
+
+        it('should build the cartesian product of all parameters', () => {
+            const sweep = new ParameterSweep({
+                parameters: {
+                    upgrade_threshold: [1.2, 1.5],
+                    turnover_in: { min: 2, max: 6, step: 2 }
+                }
+            });
+            const grid = sweep.expandGrid();
+            
+            assert.strictEqual(grid.length, 6);
+            assert.deepStrictEqual(grid[0], { upgrade_threshold: 1.2, turnover_in: 2 });
+            assert.deepStrictEqual(grid[5], { upgrade_threshold: 1.5, turnover_in: 6 });
+        });
+
+        it('should reject unknown settings and bad replicate counts', () => {
+            assert.throws(() => new ParameterSweep({ parameters: { not_a_setting: [1] } }), /unknown setting/);
+            assert.throws(() => new ParameterSweep({ replicates: 0 }), /replicates/);
+        });
+    });
+
+    describe('Running a sweep', () => {
+        let results;
+        
+        beforeEach(() => {
+            if (results) return;
+            const sweep = new ParameterSweep({
+                base: { num_houses: 10, num_people: 10 },
+                parameters: { vacant_depreciation: [0, 0.1] },
+                replicates: 3,
+                ticks: 4,
+                baseSeed: 10,
+                metrics: ['housingRate', 'averageHouseValue']
+            });
+            results = sweep.run();
+        });
+
+        it('should return one result per grid point with seeded replicates', () => {
+            assert.strictEqual(results.length, 2);
+            results.forEach(result => {
+                assert.strictEqual(result.replicates, 3);
+                assert.deepStrictEqual(result.seeds, [10, 11, 12]);
+            });
+        });
+
+        it('should aggregate final values and per-tick bands', () => {
+            const housingRate = results[0].metrics.housingRate;
+            
+            assert.strictEqual(housingRate.series.length, 4);
+            ['mean', 'std', 'p10', 'p50', 'p90'].forEach(key => {
+                assert(key in housingRate.final, `Final stats should include ${key}`);
+            });
+            assert(housingRate.final.p10 <= housingRate.final.p50);
+            assert(housingRate.final.p50 <= housingRate.final.p90);
+        });
+
+        it('should format results as one CSV row per point', () => {
+            const lines = ParameterSweep.toCSV(results).trim().split('\n');
+            
+            assert.strictEqual(lines.length, 3);
+            assert(lines[0].startsWith('vacant_depreciation,replicates,housingRate_mean'));
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Parameter Sweep tests...');
+}
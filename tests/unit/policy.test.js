@@ -0,0 +1,242 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Policy = require('../../js/core/Policy.js');
+const Auction = require('../../js/core/Auction.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+function createPolicy(settings = {}) {
+    return new Policy(new Config(settings));
+}
+
+function ownedHouse(owner, value) {
+    const house = new House(value, value);
+    owner.house = house;
+    house.owner = owner;
+    return house;
+}
+
+describe('Policy Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Property and vacancy taxes', () => {
+        it('should charge owners property tax on value and vacancy tax on empty houses', () => {
+            const policy = createPolicy({ property_tax_rate: 0.01, vacancy_tax_rate: 0.05 });
+            const resident = new Person(50000);
+            const home = ownedHouse(resident, 200000);
+            const landlord = new Person(50000);
+            const emptyRental = new House(100000, 100000);
+            landlord.buyRental(emptyRental, 100000);
+            const unowned = new House(300000, 300000);
+
+            const collected = policy.collectPropertyTaxes([home, emptyRental, unowned]);
+
+            assert.strictEqual(resident.wealth, 48000);
+            assert.strictEqual(landlord.wealth, 50000 - 1000 - 5000);
+            assert.strictEqual(policy.lastYear.propertyTax, 3000);
+            assert.strictEqual(policy.lastYear.vacancyTax, 5000);
+            assert.strictEqual(collected, 8000);
+            assert.strictEqual(policy.balance, 8000);
+        });
+
+        it('should record tax owners cannot pay without pushing wealth negative', () => {
+            const policy = createPolicy({ property_tax_rate: 0.05 });
+            const owner = new Person(4000);
+            const home = ownedHouse(owner, 200000);
+
+            policy.collectPropertyTaxes([home]);
+
+            assert.strictEqual(owner.wealth, 0);
+            assert.strictEqual(policy.lastYear.propertyTax, 4000);
+            assert.strictEqual(policy.lastYear.unpaidTax, 6000);
+        });
+
+        it('should charge nothing when no tax is set', () => {
+            const policy = createPolicy();
+            const owner = new Person(4000);
+
+            assert.strictEqual(policy.collectPropertyTaxes([ownedHouse(owner, 200000)]), 0);
+            assert.strictEqual(owner.wealth, 4000);
+            assert.strictEqual(policy.isActive(), false);
+        });
+    });
+
+    describe('Transfer tax', () => {
+        it('should make buyers pay transfer tax on top of the price', () => {
+            const policy = createPolicy({ transfer_tax_rate: 0.1 });
+            const house = new House(100000, 100000);
+            const buyer = new Person(110000);
+            const auction = new Auction([house], [buyer], { wealthAccounting: true, policy: policy });
+
+            const results = auction.conductAuction(0.7, 1.5);
+            auction.executeTransactions();
+
+            const price = results[0].secondPrice;
+            assert.strictEqual(results[0].winner, buyer);
+            assert.ok(Math.abs(results[0].winningBid - 100000) < 0.01); // 110,000 / 1.1 leaves room for the tax
+            assert.ok(Math.abs(results[0].transferTax - price * 0.1) < 0.01);
+            assert.ok(Math.abs(buyer.wealth - (110000 - price * 1.1)) < 0.01);
+            assert.strictEqual(policy.lastYear.transferTax, results[0].transferTax);
+        });
+    });
+
+    describe('First-time buyer grants', () => {
+        it('should offer grants only to households that have never owned a home', () => {
+            const policy = createPolicy({ first_time_buyer_subsidy: 20000 });
+            const firstTimer = new Person(50000);
+            const formerOwner = new Person(50000);
+            formerOwner.yearFirstHoused = 2025;
+            const owner = new Person(50000);
+            ownedHouse(owner, 100000);
+
+            policy.offerSubsidies([firstTimer, formerOwner, owner]);
+
+            assert.strictEqual(firstTimer.subsidy, 20000);
+            assert.strictEqual(firstTimer.getPurchasingPower(), 70000);
+            assert.strictEqual(formerOwner.subsidy, 0);
+            assert.strictEqual(owner.subsidy, 0);
+
+            policy.withdrawSubsidies([firstTimer]);
+            assert.strictEqual(firstTimer.getPurchasingPower(), 50000);
+        });
+
+        it('should pay the grant when a first-time buyer wins a house', () => {
+            const policy = createPolicy({ first_time_buyer_subsidy: 20000 });
+            const house = new House(60000, 60000);
+            const buyer = new Person(50000);
+            policy.offerSubsidies([buyer]);
+            const auction = new Auction([house], [buyer], { wealthAccounting: true, policy: policy });
+
+            const results = auction.conductAuction(0.7, 1.5);
+            auction.executeTransactions();
+
+            assert.strictEqual(results[0].winner, buyer);
+            assert.strictEqual(results[0].subsidy, 20000);
+            assert.strictEqual(buyer.wealth, 70000 - results[0].secondPrice);
+            assert.strictEqual(buyer.subsidy, 0);
+            assert.strictEqual(policy.lastYear.subsidies, 20000);
+            assert.strictEqual(policy.balance, -20000);
+        });
+    });
+
+    describe('Revenue', () => {
+        it('should share net revenue among all households as a dividend', () => {
+            const policy = createPolicy({ property_tax_rate: 0.01, tax_revenue_use: 'dividend' });
+            const owner = new Person(10000);
+            const renter = new Person(0);
+            policy.collectPropertyTaxes([ownedHouse(owner, 200000)]);
+
+            assert.strictEqual(policy.redistribute([owner, renter]), 2000);
+            assert.strictEqual(owner.wealth, 9000);
+            assert.strictEqual(renter.wealth, 1000);
+            assert.strictEqual(policy.balance, 0);
+        });
+
+        it('should share net revenue among unhoused households only', () => {
+            const policy = createPolicy({ property_tax_rate: 0.01, tax_revenue_use: 'unhoused' });
+            const owner = new Person(10000);
+            const unhoused = new Person(0);
+            policy.collectPropertyTaxes([ownedHouse(owner, 200000)]);
+            policy.redistribute([owner, unhoused]);
+
+            assert.strictEqual(owner.wealth, 8000);
+            assert.strictEqual(unhoused.wealth, 2000);
+        });
+
+        it('should keep revenue when tax_revenue_use is none', () => {
+            const policy = createPolicy({ property_tax_rate: 0.01 });
+            const owner = new Person(10000);
+            policy.collectPropertyTaxes([ownedHouse(owner, 200000)]);
+
+            assert.strictEqual(policy.redistribute([owner]), 0);
+            assert.strictEqual(policy.balance, 2000);
+        });
+    });
+
+    describe('Market integration', () => {
+        const settings = {
+            num_houses: 20,
+            num_people: 30,
+            random_seed: 9,
+            property_tax_rate: 0.01,
+            transfer_tax_rate: 0.02,
+            first_time_buyer_subsidy: 10000
+        };
+
+        it('should record tax revenue in market stats and analytics history', () => {
+            const market = new Market(new Config(settings));
+            market.tick();
+            market.tick();
+
+            const stats = market.getMarketStats();
+            assert.ok(stats.propertyTaxCollected > 0);
+            assert.strictEqual(stats.taxRevenue, stats.propertyTaxCollected + stats.vacancyTaxCollected + stats.transferTaxCollected);
+
+            const latest = market.getAnalyticsHistory().getLatestSnapshot();
+            assert.strictEqual(latest.taxRevenue, stats.taxRevenue);
+            assert.strictEqual(latest.governmentBalance, stats.governmentBalance);
+        });
+
+        it('should collect nothing with the default settings', () => {
+            const market = new Market(new Config({ num_houses: 20, num_people: 30, random_seed: 9 }));
+            market.tick();
+
+            const stats = market.getMarketStats();
+            assert.strictEqual(stats.taxRevenue, 0);
+            assert.strictEqual(stats.subsidiesPaid, 0);
+            assert.strictEqual(stats.governmentBalance, 0);
+        });
+
+        it('should restore the government balance from a snapshot', () => {
+            const market = new Market(new Config(settings));
+            market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.strictEqual(restored.policy.balance, market.policy.balance);
+            assert.deepStrictEqual(restored.policy.lastYear, market.policy.lastYear);
+        });
+    });
+
+    describe('Configuration', () => {
+        it('should reject invalid policy settings', () => {
+            assert.throws(() => new Config({ property_tax_rate: -0.01 }), /property_tax_rate must be between 0 and 1/);
+            assert.throws(() => new Config({ transfer_tax_rate: 1.5 }), /transfer_tax_rate must be between 0 and 1/);
+            assert.throws(() => new Config({ first_time_buyer_subsidy: -1 }), /first_time_buyer_subsidy must be non-negative/);
+            assert.throws(() => new Config({ tax_revenue_use: 'roads' }), /tax_revenue_use must be one of/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Policy tests...');
+}
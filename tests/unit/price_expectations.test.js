@@ -0,0 +1,162 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const PriceExpectations = require('../../js/core/PriceExpectations.js');
+const Auction = require('../../js/core/Auction.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+const PARAMS = { adaptation: 0.5, extrapolation: 2, reversion: 0.2 };
+
+describe('Price Expectation Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Rules', () => {
+        it('should expect no change under the none rule', () => {
+            assert.strictEqual(PriceExpectations.update('none', 0.05, { growth: 0.1, fundamentalGap: 0 }, PARAMS), 0);
+        });
+
+        it('should move adaptive expectations part of the way toward observed growth', () => {
+            const updated = PriceExpectations.update('adaptive', 0.02, { growth: 0.1, fundamentalGap: 0 }, PARAMS);
+            assert.ok(Math.abs(updated - 0.06) < 1e-12);
+        });
+
+        it('should extrapolate the latest growth', () => {
+            const updated = PriceExpectations.update('extrapolative', 0, { growth: 0.04, fundamentalGap: 0 }, PARAMS);
+            assert.ok(Math.abs(updated - 0.08) < 1e-12);
+        });
+
+        it('should expect fundamentalists to see prices revert toward fundamental value', () => {
+            const updated = PriceExpectations.update('fundamentalist', 0, { growth: 0.1, fundamentalGap: -0.25 }, PARAMS);
+            assert.ok(Math.abs(updated - -0.05) < 1e-12);
+        });
+
+        it('should keep expectations within the growth limit', () => {
+            assert.strictEqual(PriceExpectations.update('extrapolative', 0, { growth: 0.5, fundamentalGap: 0 }, PARAMS), PriceExpectations.MAX_GROWTH);
+            assert.strictEqual(PriceExpectations.update('extrapolative', 0, { growth: -0.5, fundamentalGap: 0 }, PARAMS), -PriceExpectations.MAX_GROWTH);
+        });
+
+        it('should accept registered custom rules', () => {
+            PriceExpectations.register('optimist', 'Always expect 5%', () => 0.05);
+            assert.strictEqual(PriceExpectations.update('optimist', 0, { growth: -0.1, fundamentalGap: 0 }, PARAMS), 0.05);
+            assert.doesNotThrow(() => new Config({ expectation_rule: 'optimist' }));
+            delete PriceExpectations.RULES.optimist;
+        });
+    });
+
+    describe('Decisions', () => {
+        it('should lower the upgrade threshold for optimists and raise it for pessimists, but never below 1', () => {
+            const person = new Person(100000);
+            assert.strictEqual(person.getUpgradeThreshold(1.5, 3), 1.5);
+
+            person.expectedGrowth = 0.1;
+            assert.ok(Math.abs(person.getUpgradeThreshold(1.5, 3) - 1.5 / 1.331) < 1e-12);
+            person.expectedGrowth = 0.2;
+            assert.strictEqual(person.getUpgradeThreshold(1.5, 3), 1);
+            person.expectedGrowth = -0.1;
+            assert.ok(person.getUpgradeThreshold(1.5, 3) > 1.5);
+        });
+
+        it('should let value-anchored bidders bid on the expected value', () => {
+            const house = new House(100000, 100000);
+            const optimist = new Person(1000000);
+            optimist.expectedGrowth = 0.1;
+            const auction = new Auction([house], [optimist], { biddingStrategy: 'value_anchored', expectationHorizon: 2 });
+
+            const bid = auction.getBid(optimist, house, 100000);
+            assert.ok(Math.abs(bid - 100000 * 1.21 * 1.1) < 0.01);
+
+            const today = new Auction([house], [optimist], { biddingStrategy: 'value_anchored' });
+            assert.ok(Math.abs(today.getBid(optimist, house, 100000) - 110000) < 0.01);
+        });
+    });
+
+    describe('Market', () => {
+        const settings = {
+            num_houses: 20,
+            num_people: 30,
+            random_seed: 4,
+            expectation_rule: 'extrapolative'
+        };
+
+        it('should update everyone\'s expectations from the year\'s price growth', () => {
+            const market = new Market(new Config(settings));
+            const startLevel = market.getPriceLevel();
+            market.tick();
+
+            const stats = market.getMarketStats();
+            assert.ok(Math.abs(stats.priceGrowth - (stats.priceLevel / startLevel - 1)) < 1e-12);
+            market.people.forEach(person => {
+                const expected = Math.max(-0.2, Math.min(0.2, stats.priceGrowth));
+                assert.ok(Math.abs(person.expectedGrowth - expected) < 1e-12);
+            });
+            assert.strictEqual(market.getAnalyticsHistory().getLatestSnapshot().averageExpectedGrowth, stats.averageExpectedGrowth);
+        });
+
+        it('should leave expectations at zero by default', () => {
+            const market = new Market(new Config({ ...settings, expectation_rule: 'none' }));
+            market.tick();
+
+            assert.ok(market.people.every(person => person.expectedGrowth === 0));
+            assert.strictEqual(market.getMarketStats().averageExpectedGrowth, 0);
+        });
+
+        it('should assign rules per person from a mix', () => {
+            const market = new Market(new Config({ ...settings, expectation_rule_mix: { extrapolative: 1, fundamentalist: 1 } }));
+            const rules = new Set(market.people.map(person => person.expectationRule));
+
+            assert.deepStrictEqual([...rules].sort(), ['extrapolative', 'fundamentalist']);
+        });
+
+        it('should keep expectations and the price level through a snapshot', () => {
+            const market = new Market(new Config(settings));
+            market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.strictEqual(restored.priceLevel, market.priceLevel);
+            assert.deepStrictEqual(restored.people.map(p => p.expectedGrowth), market.people.map(p => p.expectedGrowth));
+        });
+    });
+
+    describe('Configuration', () => {
+        it('should reject invalid expectation settings', () => {
+            assert.throws(() => new Config({ expectation_rule: 'psychic' }), /expectation_rule must be one of/);
+            assert.throws(() => new Config({ expectation_rule_mix: { psychic: 1 } }), /unknown rule psychic/);
+            assert.throws(() => new Config({ expectation_horizon: -1 }), /expectation_horizon must be a non-negative integer/);
+            assert.throws(() => new Config({ expectation_adaptation: 2 }), /expectation_adaptation must be between 0 and 1/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Price Expectation tests...');
+}
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const PriceIndex = require('../../js/core/PriceIndex.js');
+const House = require('../../js/core/House.js');
+const Person = require('../../js/core/Person.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+function close(actual, expected) {
+    return Math.abs(actual - expected) < 1e-9;
+}
+
+describe('Price Index Tests', () => {
+    let houses;
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        houses = [new House(100000, 100000), new House(200000, 200000), new House(400000, 400000)];
+    });
+
+    describe('Median and hedonic indices', () => {
+        it('should start both indices at 100 in the first year with sales', () => {
+            const index = new PriceIndex();
+            const latest = index.update(2024, [{ house: houses[0], price: 100000 }, { house: houses[1], price: 220000 }, { house: houses[2], price: 400000 }]);
+
+            assert.strictEqual(latest.sales, 3);
+            assert.strictEqual(latest.medianPrice, 220000);
+            assert.strictEqual(latest.median, 100);
+            assert.ok(close(latest.hedonic, 100));
+        });
+
+        it('should adjust the hedonic index for the mix of houses sold', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[2], price: 400000 }]);
+
+            // Only the cheap house sells, at its value: the median falls but prices haven't
+            const latest = index.update(2025, [{ house: houses[0], price: 100000 }]);
+            assert.strictEqual(latest.median, 25);
+            assert.ok(close(latest.hedonic, 100));
+        });
+
+        it('should follow the geometric mean of price to characteristics-based value', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }]);
+            const latest = index.update(2025, [{ house: houses[1], price: 200000 }, { house: houses[2], price: 484000 }]);
+
+            assert.ok(close(latest.hedonic, 110));
+        });
+
+        it('should carry the last levels through a year without sales', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }]);
+            index.update(2025, [{ house: houses[1], price: 300000 }]);
+            const latest = index.update(2026, []);
+
+            assert.strictEqual(latest.sales, 0);
+            assert.strictEqual(latest.medianPrice, 300000);
+            assert.strictEqual(latest.median, 300);
+            assert.ok(close(latest.hedonic, 150));
+        });
+    });
+
+    describe('Repeat-sales index', () => {
+        it('should use only houses that have sold before', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }]);
+            const latest = index.update(2025, [{ house: houses[0], price: 110000 }, { house: houses[1], price: 900000 }]);
+
+            assert.strictEqual(latest.repeatSalesPairs, 1);
+            assert.ok(close(latest.repeatSales, 110));
+        });
+
+        it('should chain resales onto the level in the year of the earlier sale', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }]);
+            index.update(2025, [{ house: houses[0], price: 120000 }, { house: houses[1], price: 200000 }]);
+
+            // House 2 was bought when the index stood at 120, and has since risen 10%
+            const latest = index.update(2026, [{ house: houses[1], price: 220000 }]);
+            assert.ok(close(latest.repeatSales, 132));
+        });
+
+        it('should take the geometric mean over the year\'s resales', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }, { house: houses[1], price: 200000 }]);
+            const latest = index.update(2025, [{ house: houses[0], price: 200000 }, { house: houses[1], price: 100000 }]);
+
+            assert.strictEqual(latest.repeatSalesPairs, 2);
+            assert.ok(close(latest.repeatSales, 100));
+        });
+
+        it('should keep its level in years without resales', () => {
+            const index = new PriceIndex();
+            index.update(2024, [{ house: houses[0], price: 100000 }]);
+            index.update(2025, [{ house: houses[0], price: 150000 }]);
+            index.update(2026, [{ house: houses[1], price: 200000 }]);
+            const latest = index.update(2027, [{ house: houses[1], price: 200000 }]);
+
+            assert.ok(close(latest.repeatSales, 150));
+        });
+    });
+
+    describe('Market', () => {
+        const settings = {
+            num_houses: 30,
+            num_people: 20,
+            random_seed: 4,
+            wealth_accounting: true,
+            financing_enabled: true,
+            income_enabled: true
+        };
+
+        it('should record the indices from each year\'s auction sales', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 5; i++) {
+                market.tick();
+            }
+
+            const sales = market.lastSales;
+            assert.ok(sales.length > 0);
+            const snapshot = market.getAnalyticsHistory().getLatestSnapshot();
+            assert.strictEqual(market.priceIndex.getLatest().sales, sales.length);
+            assert.strictEqual(snapshot.repeatSalesIndex, market.priceIndex.getLatest().repeatSales);
+            assert.strictEqual(snapshot.hedonicPriceIndex, market.priceIndex.getLatest().hedonic);
+            assert.strictEqual(snapshot.medianPriceIndex, market.priceIndex.getLatest().median);
+            assert.ok(market.getAnalyticsHistory().getMetricsByCategory().priceIndices.length > 0);
+        });
+
+        it('should continue the indices after a snapshot round trip', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 3; i++) {
+                market.tick();
+            }
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.deepStrictEqual(restored.priceIndex.getState(), JSON.parse(JSON.stringify(market.priceIndex.getState())));
+            market.tick();
+            restored.tick();
+            assert.strictEqual(restored.getMarketStats().repeatSalesIndex, market.getMarketStats().repeatSalesIndex);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Price Index tests...');
+}
@@ -0,0 +1,271 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const RentalMarket = require('../../js/core/RentalMarket.js');
+const Auction = require('../../js/core/Auction.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+
+const TERMS = { rentYield: 0.05, requiredYield: 0.04, maxProperties: 2 };
+
+// A landlord living in their own home, with cash to invest
+function createLandlord(wealth = 1000000) {
+    const landlord = new Person(wealth, null, 2025, 100000);
+    landlord.isLandlord = true;
+    landlord.buyHouse(new House(300000, 300000), 300000);
+    return landlord;
+}
+
+describe('Rental Market Tests', () => {
+    let config;
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        config = new Config({ rental_enabled: true, initial_rent_yield: 0.05, max_rent_to_income: 0.4 });
+    });
+
+    describe('Landlords and tenants', () => {
+        it('should keep the landlord\'s home when buying to let', () => {
+            const landlord = createLandlord();
+            const home = landlord.house;
+            const rental = new House(200000, 200000);
+            landlord.buyRental(rental, 210000);
+
+            assert.strictEqual(landlord.house, home);
+            assert.deepStrictEqual(landlord.properties, [rental]);
+            assert.strictEqual(rental.owner, landlord);
+            assert.strictEqual(rental.rental, true);
+            assert.strictEqual(rental.isOccupied(), false, 'A rental without a tenant is vacant');
+            assert.strictEqual(rental.getColorState(), 'vacant-rental');
+            assert.strictEqual(landlord.getNetWorth(1), landlord.wealth + 300000 + 200000);
+        });
+
+        it('should link tenancies both ways and end them when the tenant buys', () => {
+            const rental = new House(200000, 200000);
+            createLandlord().buyRental(rental, 200000);
+            const tenant = new Person(50000, null, 2025, 60000);
+
+            tenant.rentHouse(rental, 10000);
+            assert.strictEqual(rental.getOccupant(), tenant);
+            assert.strictEqual(rental.getColorState(), 'rented');
+
+            tenant.buyHouse(new House(100000, 100000), 100000);
+            assert.strictEqual(tenant.rentedHouse, null);
+            assert.strictEqual(rental.tenant, null);
+            assert.strictEqual(rental.rent, 0);
+        });
+
+        it('should pay rent from income first, then wealth', () => {
+            const rental = new House(200000, 200000);
+            const tenant = new Person(5000, null, 2025, 8000);
+            tenant.rentHouse(rental, 12000);
+
+            const payment = tenant.payRent();
+            assert.strictEqual(payment.defaulted, false);
+            assert.strictEqual(tenant.wealth, 1000);
+
+            assert.strictEqual(tenant.payRent().defaulted, true, 'Income and wealth can no longer cover the rent');
+            assert.strictEqual(tenant.earnIncome(0.5), 0, 'Rent counts as a housing cost before saving');
+        });
+
+        it('should invest only with a home, room in the portfolio, enough yield and enough cash', () => {
+            const landlord = createLandlord(250000);
+            const house = new House(200000, 200000);
+
+            assert.strictEqual(landlord.shouldInvest(house, 200000, TERMS), true);
+            assert.strictEqual(landlord.getInvestmentBid(200000, TERMS), 250000, 'Bid is capped by cash');
+            assert.strictEqual(landlord.shouldInvest(house, 300000, TERMS), false, 'Rentals are bought with cash');
+            assert.strictEqual(landlord.shouldInvest(house, 200000, { ...TERMS, rentYield: 0.03 }), false);
+            assert.strictEqual(new Person(1000000).shouldInvest(house, 200000, TERMS), false, 'Not a landlord');
+
+            landlord.properties = [new House(1, 1), new House(1, 1)];
+            assert.strictEqual(landlord.shouldInvest(house, 200000, TERMS), false, 'Portfolio is full');
+        });
+    });
+
+    describe('Auctions', () => {
+        it('should let a landlord win a house to let, paying cash even with financing', () => {
+            const landlord = createLandlord(400000);
+            const home = landlord.house;
+            const house = new House(200000, 200000);
+            const auction = new Auction([house], [landlord], {
+                wealthAccounting: true,
+                financing: { downPaymentRatio: 0.2, interestRate: 0.05, termYears: 30, maxDebtToIncome: 0.35 },
+                rental: TERMS
+            });
+
+            const [result] = auction.conductAuction(1, 1.5);
+            assert.strictEqual(result.winner, landlord);
+            assert.strictEqual(result.purpose, 'rental');
+
+            auction.executeTransactions();
+            assert.strictEqual(landlord.house, home, 'The landlord keeps living at home');
+            assert.deepStrictEqual(auction.getHousesFromUpgrades(), []);
+            assert(landlord.properties.includes(house));
+            assert.strictEqual(landlord.wealth, 400000 - result.secondPrice);
+            assert.strictEqual(landlord.mortgage, null);
+        });
+
+        it('should prefer a home bid when the person would move in', () => {
+            const person = new Person(400000, null, 2025, 100000);
+            person.isLandlord = true;
+            const auction = new Auction([new House(200000, 200000)], [person], { rental: TERMS });
+
+            const [result] = auction.conductAuction(1, 1.5);
+            assert.strictEqual(result.purpose, 'home');
+            assert.strictEqual(new Auction([new House(200000, 200000)], [createLandlord()]).conductAuction(1, 1.5)[0].winner, null,
+                'Without rental terms landlords only bid as owner-occupiers');
+        });
+    });
+
+    describe('Rental clearing', () => {
+        it('should collect rent, let vacancies by income and raise rents under excess demand', () => {
+            const rentalMarket = new RentalMarket(config);
+            const landlord = createLandlord(0);
+            const cheap = new House(100000, 100000);
+            const dear = new House(200000, 200000);
+            landlord.buyRental(cheap, 100000);
+            landlord.buyRental(dear, 200000);
+            const sitting = new Person(0, null, 2025, 50000);
+            sitting.rentHouse(cheap, 4000);
+            const rich = new Person(0, null, 2025, 60000);
+            const poor = new Person(0, null, 2025, 10000);
+            const other = new Person(0, null, 2025, 30000);
+
+            const outcome = rentalMarket.clear([landlord.house, cheap, dear], [landlord, sitting, rich, poor, other], 1);
+            assert.strictEqual(outcome.rentCollected, 4000);
+            assert.strictEqual(landlord.wealth, 4000);
+            assert.strictEqual(cheap.rent, 5000, 'Sitting tenants move to market rent');
+            assert.strictEqual(dear.tenant, rich, 'The highest income takes the best unit they can afford');
+            assert.strictEqual(poor.rentedHouse, null);
+            assert.strictEqual(outcome.unmetDemand, 1, 'Only the household who could afford a rental counts');
+            assert.strictEqual(outcome.vacancies, 0);
+            assert(rentalMarket.rentYield > 0.05);
+        });
+
+        it('should evict tenants who can no longer afford the rent and lower rents when units sit empty', () => {
+            const rentalMarket = new RentalMarket(config);
+            const landlord = createLandlord();
+            const house = new House(200000, 200000);
+            landlord.buyRental(house, 200000);
+            const tenant = new Person(100000, null, 2025, 20000);
+            tenant.rentHouse(house, 5000);
+
+            const outcome = rentalMarket.clear([house], [landlord, tenant], 1);
+            assert.strictEqual(outcome.evictions, 1);
+            assert.strictEqual(tenant.rentedHouse, null);
+            assert.strictEqual(outcome.vacancies, 1);
+            assert(rentalMarket.rentYield < 0.05);
+        });
+    });
+
+    describe('Market with rentals', () => {
+        const settings = {
+            num_houses: 60,
+            num_people: 50,
+            wealth_mean: 600000,
+            rental_enabled: true,
+            landlord_share: 0.3,
+            wealth_accounting: true,
+            income_enabled: true,
+            random_seed: 12
+        };
+
+        it('should build up rentals and report tenure and rent burden', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 5; i++) market.tick();
+            const stats = market.getMarketStats();
+
+            assert(stats.rentalHouses > 0, 'Landlords should buy some houses to let');
+            assert(stats.renters > 0, 'Some unhoused households should rent');
+            assert.strictEqual(stats.ownerShare, stats.housedPeople / stats.totalPeople);
+            assert(stats.averageRentToIncome > 0 && stats.averageRentToIncome <= 0.4);
+            assert.strictEqual(stats.occupiedHouses, market.houses.filter(h => h.getOccupant()).length);
+            assert(market.houses.filter(h => h.rental).every(h => h.owner.properties.includes(h) && h.owner.house !== h));
+
+            const snapshot = market.getAnalyticsHistory().getLatestSnapshot();
+            assert.strictEqual(snapshot.renterShare, stats.renterShare);
+            assert(market.getAnalyticsHistory().getMetricsByCategory().rental.some(m => m.key === 'averageRentToIncome'));
+        });
+
+        it('should sell a departing landlord\'s rentals, evicting tenants, for their heir', () => {
+            const market = new Market(new Config({ ...settings, inheritance_mode: 'existing' }));
+            market.lastInheritance = { count: 0, inheritedWealth: 0, estateTax: 0, heirsEntered: 0 };
+            const landlord = market.people.find(p => p.house);
+            const rental = market.availableHouses[0];
+            landlord.buyRental(rental, 0);
+            const tenant = market.people.find(p => !p.house);
+            tenant.rentHouse(rental, 1000);
+            const heir = market.people.find(p => p.house && p !== landlord);
+            market.chooseHeir = () => heir;
+
+            const estate = landlord.getNetWorth(market.config.get('value_intrinsicness'));
+            const listed = market.settleEstate(landlord, new Set([landlord]));
+
+            assert.strictEqual(market.lastInheritance.inheritedWealth, estate, 'Rentals count towards the estate');
+            assert(listed.includes(rental));
+            assert.strictEqual(rental.owner, null);
+            assert.strictEqual(rental.rental, false);
+            assert.strictEqual(rental.seller, heir);
+            assert.strictEqual(tenant.rentedHouse, null);
+            assert.deepStrictEqual(landlord.properties, []);
+        });
+
+        it('should restore landlords, rentals, tenancies and the rent yield from a snapshot', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 5; i++) market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.strictEqual(restored.rentalMarket.rentYield, market.rentalMarket.rentYield);
+            restored.houses.filter(h => h.rental).forEach(house => {
+                assert(house.owner.properties.includes(house));
+                if (house.tenant) assert.strictEqual(house.tenant.rentedHouse, house);
+            });
+            assert.deepStrictEqual(restored.getMarketStats().renters, market.getMarketStats().renters);
+            assert.deepStrictEqual(restored.people.map(p => p.isLandlord), market.people.map(p => p.isLandlord));
+        });
+
+        it('should leave markets without rentals untouched and reject invalid settings', () => {
+            const market = new Market(new Config({ num_houses: 20, num_people: 20, random_seed: 12 }));
+            for (let i = 0; i < 3; i++) market.tick();
+            assert(market.people.every(p => !p.isLandlord && !p.rentedHouse));
+            assert.strictEqual(market.getMarketStats().renterShare, 0);
+
+            assert.throws(() => new Config({ landlord_share: 1.5 }), /landlord_share/);
+            assert.throws(() => new Config({ landlord_max_properties: 0 }), /landlord_max_properties/);
+            assert.throws(() => new Config({ max_rent_to_income: 0 }), /max_rent_to_income/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Rental Market tests...');
+}
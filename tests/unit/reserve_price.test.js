@@ -0,0 +1,147 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const Auction = require('../../js/core/Auction.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Reserve Price Tests', () => {
+    let house;
+    
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        
+        house = new House(300000, 400000);
+    });
+
+    describe('House reserve', () => {
+        it('should have no reserve in none mode', () => {
+            assert.strictEqual(house.getReservePrice('none'), 0);
+        });
+
+        it('should derive the reserve from the chosen base price', () => {
+            assert.strictEqual(house.getReservePrice('last_price'), 400000);
+            assert.strictEqual(house.getReservePrice('intrinsic'), 300000);
+            assert.strictEqual(house.getReservePrice('value', 1, 0, 0.5), 350000);
+            assert.strictEqual(house.getReservePrice('intrinsic', 1.1), 330000);
+        });
+
+        it('should keep sellers above their outstanding mortgage', () => {
+            const seller = new Person(0);
+            seller.buyHouse(house, 400000);
+            seller.sellHouse();
+            house.sellerDebt = 450000;
+            
+            assert.strictEqual(house.getReservePrice('seller'), 450000);
+        });
+
+        it('should decay the reserve for every year unsold', () => {
+            house.yearsUnsold = 2;
+            assert(Math.abs(house.getReservePrice('last_price', 1, 0.1) - 324000) < 0.01);
+        });
+
+        it('should reset years unsold when the house is listed or bought', () => {
+            const owner = new Person(500000);
+            house.yearsUnsold = 3;
+            owner.buyHouse(house, 300000);
+            assert.strictEqual(house.yearsUnsold, 0);
+            
+            house.yearsUnsold = 3;
+            owner.sellHouse();
+            assert.strictEqual(house.yearsUnsold, 0);
+        });
+    });
+
+    describe('Auction with reserves', () => {
+        it('should leave the house unsold when no bid meets the reserve', () => {
+            const bidder = new Person(350000);
+            const auction = new Auction([house], [bidder], { reserve: { mode: 'last_price' } });
+            const result = auction.conductAuction(0.7, 1.5)[0];
+            
+            assert.strictEqual(result.winner, null);
+            assert.strictEqual(result.reserveNotMet, true);
+            assert.strictEqual(result.reservePrice, 400000);
+            assert.strictEqual(auction.getReserveFailures().length, 1);
+        });
+
+        it('should ignore bids below the reserve', () => {
+            const strong = new Person(500000);
+            const weak = new Person(350000);
+            const auction = new Auction([house], [strong, weak], { reserve: { mode: 'last_price' } });
+            const result = auction.conductAuction(0.7, 1.5)[0];
+            
+            // Only the strong bid counts, so the single-bidder rule applies: 75% of 500k, lifted to the reserve
+            assert.strictEqual(result.winner, strong);
+            assert.strictEqual(result.secondPrice, 400000);
+        });
+
+        it('should accept any bid without reserves', () => {
+            const bidder = new Person(350000);
+            const auction = new Auction([house], [bidder]);
+            const result = auction.conductAuction(0.7, 1.5)[0];
+            
+            assert.strictEqual(result.winner, bidder);
+            assert.strictEqual(result.reservePrice, 0);
+        });
+    });
+
+    describe('Market with reserves', () => {
+        it('should age unsold listings and count reserve failures', () => {
+            const market = new Market(new Config({
+                num_houses: 20,
+                num_people: 40,
+                turnover_in: 0,
+                turnover_out: 0,
+                reserve_price_mode: 'last_price',
+                reserve_price_ratio: 2,
+                reserve_decay: 0,
+                random_seed: 6
+            }));
+            const listed = [...market.availableHouses];
+            market.tick();
+            
+            const stats = market.getMarketStats();
+            assert(stats.reserveFailures > 0, 'Reserves at twice the last price should block sales');
+            listed.filter(h => h.isAvailable()).forEach(h => assert.strictEqual(h.yearsUnsold, 1));
+            assert.strictEqual(stats.staleListings, listed.filter(h => h.isAvailable()).length);
+            
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+            assert.strictEqual(restored.houses.find(h => h.id === listed[0].id).yearsUnsold, listed[0].yearsUnsold);
+        });
+
+        it('should reject unknown reserve modes', () => {
+            assert.throws(() => new Config({ reserve_price_mode: 'wishful' }), /reserve_price_mode must be one of/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Reserve Price tests...');
+}
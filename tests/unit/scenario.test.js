@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Config = require('../../js/utils/Config.js');
+const Scenario = require('../../js/utils/Scenario.js');
+const Market = require('../../js/core/Market.js');
+const BatchRunner = require('../../js/core/BatchRunner.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+const SCENARIO = {
+    version: 1,
+    name: 'Entry boom',
+    ticks: 6,
+    config: { num_houses: 30, num_people: 30, random_seed: 9 },
+    timeline: [{ year: 2027, set: { turnover_in: 6 } }],
+    shocks: [{ type: 'wealth', year: 2028, change: -0.2 }]
+};
+
+describe('Scenario Tests', () => {
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('File format', () => {
+        it('should parse a scenario file, ignoring comment lines', () => {
+            const text = '// Reviewed scenario\n' + JSON.stringify(SCENARIO, null, 2).replace('"ticks"', '// run length\n  "ticks"');
+            const scenario = Scenario.parse(text);
+
+            assert.strictEqual(scenario.name, 'Entry boom');
+            assert.strictEqual(scenario.ticks, 6);
+            assert.deepStrictEqual(scenario.getSettings(), {
+                num_houses: 30, num_people: 30, random_seed: 9,
+                timeline: SCENARIO.timeline,
+                shocks: SCENARIO.shocks
+            });
+        });
+
+        it('should round-trip through stringify', () => {
+            const scenario = Scenario.fromObject(SCENARIO);
+            assert.deepStrictEqual(JSON.parse(scenario.stringify()), SCENARIO);
+            assert.deepStrictEqual(Scenario.parse(scenario.stringify()).toJSON(), scenario.toJSON());
+        });
+
+        it('should capture only non-default settings from a config', () => {
+            const config = new Config({ turnover_in: 4, house_type_mix: { apartment: 1 }, timeline: SCENARIO.timeline });
+            const scenario = Scenario.fromConfig(config, { name: 'Captured', ticks: 10 });
+
+            assert.deepStrictEqual(scenario.config, { turnover_in: 4, house_type_mix: { apartment: 1 } });
+            assert.deepStrictEqual(scenario.timeline, SCENARIO.timeline);
+            assert.deepStrictEqual(scenario.shocks, []);
+            assert.strictEqual(scenario.ticks, 10);
+        });
+
+        it('should load the example scenarios', () => {
+            const directory = path.join(__dirname, '../../scenarios');
+            fs.readdirSync(directory).filter(file => file.endsWith('.json')).forEach(file => {
+                assert.doesNotThrow(() => Scenario.parse(fs.readFileSync(path.join(directory, file), 'utf8')), file);
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it('should reject malformed scenarios', () => {
+            assert.throws(() => Scenario.parse('{ not json'), /not valid JSON/);
+            assert.throws(() => Scenario.fromObject({ config: {} }), /must have a version/);
+            assert.throws(() => Scenario.fromObject({ version: 2 }), /unsupported scenario version 2/);
+            assert.throws(() => Scenario.fromObject({ version: 1, runs: 5 }), /unknown scenario field runs/);
+            assert.throws(() => Scenario.fromObject({ version: 1, ticks: -1 }), /ticks must be a non-negative integer/);
+            assert.throws(() => Scenario.fromObject({ version: 1, config: { turnover: 3 } }), /unknown setting turnover/);
+            assert.throws(() => Scenario.fromObject({ version: 1, config: { shocks: [] } }), /top level/);
+            assert.throws(() => Scenario.fromObject({ version: 1, config: { savings_rate: 2 } }), /savings_rate/);
+            assert.throws(() => Scenario.fromObject({ version: 1, shocks: [{ type: 'wealth', year: 2030 }] }), /change/);
+        });
+
+        it('should reject invalid timeline steps', () => {
+            const withTimeline = timeline => () => Scenario.fromObject({ version: 1, timeline: timeline });
+            assert.throws(withTimeline([{ set: { turnover_in: 3 } }]), /integer year/);
+            assert.throws(withTimeline([{ year: 2030, set: {} }]), /object of setting changes/);
+            assert.throws(withTimeline([{ year: 2030, set: { turnover: 3 } }]), /unknown setting turnover/);
+            assert.throws(withTimeline([{ year: 2030, set: { num_houses: 200 } }]), /can't change num_houses mid-run/);
+            assert.throws(withTimeline([{ year: 2030, set: { life_cycle_enabled: true } }]), /can't change life_cycle_enabled mid-run/);
+            assert.throws(withTimeline([{ year: 2030, set: { house_types_enabled: true } }]), /can't change house_types_enabled mid-run/);
+            assert.throws(withTimeline([{ year: 2030, set: { turnover_in: -1 } }]), /step in 2030 is invalid: turnover_in/);
+            // Steps apply cumulatively, so a later step can break an earlier one's settings
+            assert.throws(withTimeline([
+                { year: 2030, set: { investor_hold_years: 8 } },
+                { year: 2035, set: { investor_max_hold_years: 5 } }
+            ]), /step in 2035 is invalid: investor_max_hold_years/);
+        });
+    });
+
+    describe('Running', () => {
+        it('should apply timeline changes from their year on', () => {
+            const config = new Config(Scenario.fromObject(SCENARIO).getSettings());
+            const market = new Market(config);
+
+            market.tick(); // 2025
+            market.tick(); // 2026
+            assert.strictEqual(config.get('turnover_in'), 2);
+            const people = market.people.length;
+            market.tick(); // 2027
+            assert.strictEqual(config.get('turnover_in'), 6);
+            assert.strictEqual(market.people.length, people + 4, 'Six in, two out');
+        });
+
+        it('should start every new market from the base settings', () => {
+            const config = new Config(Scenario.fromObject(SCENARIO).getSettings());
+            const market = new Market(config);
+            for (let i = 0; i < 3; i++) market.tick();
+            assert.strictEqual(config.get('turnover_in'), 6);
+            assert.strictEqual(config.getBaseSettings().turnover_in, 2);
+
+            new Market(config);
+            assert.strictEqual(config.get('turnover_in'), 2);
+            config.set('turnover_in', 3);
+            config.override({ turnover_in: 5 });
+            config.clearOverrides();
+            assert.strictEqual(config.get('turnover_in'), 3, 'Explicit settings become the new base');
+        });
+
+        it('should keep timeline changes across a snapshot', () => {
+            const market = new Market(new Config(Scenario.fromObject(SCENARIO).getSettings()));
+            for (let i = 0; i < 3; i++) market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.strictEqual(restored.config.get('turnover_in'), 6);
+            assert.strictEqual(restored.config.getBaseSettings().turnover_in, 2);
+        });
+
+        it('should run a scenario headlessly for its length', () => {
+            const result = BatchRunner.fromScenario(Scenario.fromObject(SCENARIO)).run();
+
+            assert.strictEqual(result.ticks, 6);
+            assert.strictEqual(result.series.length, 6);
+            assert.strictEqual(result.config.turnover_in, 2, 'Results report the settings the run started with');
+            assert.deepStrictEqual(result.shocks.map(s => s.year), [2028]);
+            assert.strictEqual(BatchRunner.fromScenario(Scenario.fromObject(SCENARIO), { ticks: 2 }).ticks, 2);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Scenario tests...');
+}
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const MathUtils = require('../../js/utils/MathUtils.js');
+const SeededRandom = require('../../js/utils/SeededRandom.js');
+const Market = require('../../js/core/Market.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+    
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+    
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+    
+    fn();
+    
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+// Builds a small seeded market with fresh ID counters and runs it for a number of ticks
+function runMarket(seed, ticks = 0) {
+    Person.idCounter = 0;
+    House.idCounter = 0;
+    
+    const config = new Config({
+        num_houses: 10,
+        num_people: 10,
+        random_seed: seed
+    });
+    const market = new Market(config);
+    for (let i = 0; i < ticks; i++) {
+        market.tick();
+    }
+    return market;
+}
+
+describe('Seeded Random Tests', () => {
+    describe('SeededRandom', () => {
+        it('should produce identical sequences for the same seed', () => {
+            const a = new SeededRandom(42);
+            const b = new SeededRandom(42);
+            
+            for (let i = 0; i < 100; i++) {
+                assert.strictEqual(a.next(), b.next());
+            }
+        });
+
+        it('should produce different sequences for different seeds', () => {
+            const a = new SeededRandom(1);
+            const b = new SeededRandom(2);
+            
+            assert.notStrictEqual(a.next(), b.next());
+        });
+
+        it('should return values in [0, 1)', () => {
+            const random = new SeededRandom(7);
+            for (let i = 0; i < 1000; i++) {
+                const value = random.next();
+                assert(value >= 0 && value < 1, `Value ${value} out of range`);
+            }
+        });
+
+        it('should pick a seed when none is given', () => {
+            const random = new SeededRandom();
+            assert(Number.isInteger(random.getSeed()), 'Seed should be an integer');
+        });
+    });
+
+    describe('MathUtils with a random source', () => {
+        it('should replay normal draws for the same seed', () => {
+            const a = new SeededRandom(99);
+            const b = new SeededRandom(99);
+            
+            for (let i = 0; i < 10; i++) {
+                assert.strictEqual(MathUtils.generateNormal(0, 1, a), MathUtils.generateNormal(0, 1, b));
+            }
+        });
+
+        it('should replay shuffles for the same seed', () => {
+            const items = [1, 2, 3, 4, 5, 6, 7, 8];
+            const first = MathUtils.shuffleArray(items, new SeededRandom(5));
+            const second = MathUtils.shuffleArray(items, new SeededRandom(5));
+            
+            assert.deepStrictEqual(first, second);
+        });
+    });
+
+    describe('Market reproducibility', () => {
+        it('should record the configured seed', () => {
+            const market = runMarket(1234);
+            
+            assert.strictEqual(market.randomSeed, 1234);
+            assert.strictEqual(market.getAnalyticsHistory().randomSeed, 1234);
+            
+            const exported = JSON.parse(market.getAnalyticsHistory().exportData());
+            assert.strictEqual(exported.metadata.randomSeed, 1234);
+        });
+
+        it('should replay the same run for the same seed', () => {
+            // Run sequentially: ID counters are shared between markets
+            const first = runMarket(2025, 5);
+            const second = runMarket(2025, 5);
+            
+            assert.deepStrictEqual(
+                first.people.map(p => [p.id, p.wealth, p.house ? p.house.id : null]),
+                second.people.map(p => [p.id, p.wealth, p.house ? p.house.id : null])
+            );
+            assert.deepStrictEqual(
+                first.houses.map(h => h.lastSellingPrice),
+                second.houses.map(h => h.lastSellingPrice)
+            );
+        });
+
+        it('should diverge for different seeds', () => {
+            const first = runMarket(1);
+            const second = runMarket(2);
+            
+            assert.notDeepStrictEqual(
+                first.houses.map(h => h.intrinsicValue),
+                second.houses.map(h => h.intrinsicValue)
+            );
+        });
+
+        it('should reject invalid seeds', () => {
+            assert.throws(() => new Config({ random_seed: -1 }), /random_seed/);
+            assert.throws(() => new Config({ random_seed: 1.5 }), /random_seed/);
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Seeded Random tests...');
+}
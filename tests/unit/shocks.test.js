@@ -0,0 +1,219 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const ShockScheduler = require('../../js/core/ShockScheduler.js');
+const AnalyticsHistory = require('../../js/core/AnalyticsHistory.js');
+const Person = require('../../js/core/Person.js');
+const House = require('../../js/core/House.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Economic Shock Tests', () => {
+    const settings = {
+        num_houses: 30,
+        num_people: 30,
+        random_seed: 5
+    };
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+    });
+
+    describe('Scheduling', () => {
+        it('should fire fixed-year shocks only in their year', () => {
+            const scheduler = new ShockScheduler(new Config({
+                shocks: [{ type: 'wealth', year: 2027, change: -0.2 }, { type: 'income', year: 2030, change: 0.1 }]
+            }));
+            const random = { next: () => { throw new Error('No draws for fixed-year shocks'); } };
+
+            assert.deepStrictEqual(scheduler.getDueShocks(2026, random), []);
+            assert.deepStrictEqual(scheduler.getDueShocks(2027, random).map(s => s.type), ['wealth']);
+            assert.deepStrictEqual(scheduler.getDueShocks(2030, random).map(s => s.type), ['income']);
+        });
+
+        it('should draw probabilistic shocks only inside their window', () => {
+            const scheduler = new ShockScheduler(new Config({
+                shocks: [{ type: 'migration', probability: 0.5, from: 2030, until: 2032, count: 5 }]
+            }));
+            let draws = 0;
+            const random = value => ({ next: () => { draws++; return value; } });
+
+            assert.deepStrictEqual(scheduler.getDueShocks(2029, random(0)), []);
+            assert.deepStrictEqual(scheduler.getDueShocks(2033, random(0)), []);
+            assert.strictEqual(draws, 0, 'Years outside the window make no draws');
+            assert.strictEqual(scheduler.getDueShocks(2031, random(0.4)).length, 1);
+            assert.strictEqual(scheduler.getDueShocks(2031, random(0.6)).length, 0);
+        });
+
+        it('should leave runs without shocks unchanged', () => {
+            const plain = new Market(new Config(settings));
+            Person.idCounter = 0;
+            House.idCounter = 0;
+            const empty = new Market(new Config({ ...settings, shocks: [] }));
+            for (let i = 0; i < 3; i++) {
+                plain.tick();
+                empty.tick();
+            }
+
+            assert.deepStrictEqual(empty.people.map(p => p.wealth), plain.people.map(p => p.wealth));
+            assert.deepStrictEqual(empty.random.getState(), plain.random.getState());
+        });
+    });
+
+    describe('Shock types', () => {
+        it('should scale wealth, incomes and house values', () => {
+            const market = new Market(new Config({ ...settings, shocks: [] }));
+            const wealth = market.people.map(p => p.wealth);
+            const incomes = market.people.map(p => p.income);
+            const values = market.houses.map(h => h.calculateValue());
+
+            ShockScheduler.get('wealth').apply(market, { change: -0.5 });
+            ShockScheduler.get('income').apply(market, { change: 0.1 });
+            ShockScheduler.get('house_value').apply(market, { change: 0.2 });
+
+            market.people.forEach((person, i) => {
+                assert(Math.abs(person.wealth - wealth[i] * 0.5) < 1e-6);
+                assert(Math.abs(person.income - incomes[i] * 1.1) < 1e-6);
+            });
+            market.houses.forEach((house, i) => {
+                assert(Math.abs(house.calculateValue() - values[i] * 1.2) < 1e-6, 'Both value components should move');
+            });
+        });
+
+        it('should add arrivals and list the houses of households who leave', () => {
+            const market = new Market(new Config({ ...settings, shocks: [] }));
+            const startPeople = market.people.length;
+
+            ShockScheduler.get('migration').apply(market, { count: 4 });
+            assert.strictEqual(market.people.length, startPeople + 4);
+
+            const available = market.availableHouses.length;
+            const housed = market.people.filter(p => p.house).length;
+            ShockScheduler.get('migration').apply(market, { count: -10 });
+            const housedAfter = market.people.filter(p => p.house).length;
+
+            assert.strictEqual(market.people.length, startPeople - 6);
+            assert.strictEqual(market.availableHouses.length - available, housed - housedAfter,
+                'Every home of a leaving household should be listed');
+            market.availableHouses.forEach(house => assert.strictEqual(house.owner, null));
+        });
+
+        it('should set the mortgage rate for new loans', () => {
+            const market = new Market(new Config({
+                ...settings,
+                shocks: [{ type: 'interest_rate', year: 2025, rate: 0.08 }],
+                wealth_accounting: true,
+                financing_enabled: true
+            }));
+            assert.strictEqual(market.getFinancingTerms().interestRate, 0.05);
+
+            market.tick();
+            assert.strictEqual(market.getFinancingTerms().interestRate, 0.08);
+            assert.strictEqual(market.getMarketStats().mortgageInterestRate, 0.08);
+            assert.strictEqual(market.config.get('mortgage_interest_rate'), 0.05, 'The setting itself is unchanged');
+        });
+    });
+
+    describe('Recording', () => {
+        it('should record applied shocks in stats and as chart markers', () => {
+            const market = new Market(new Config({
+                ...settings,
+                shocks: [
+                    { type: 'wealth', year: 2026, change: -0.3 },
+                    { type: 'house_value', year: 2026, change: 0.1, label: 'Boom' }
+                ]
+            }));
+            market.tick();
+            market.tick();
+
+            assert.deepStrictEqual(market.getMarketStats().shocks.map(s => s.label), ['Wealth -30%', 'Boom']);
+            const history = market.getAnalyticsHistory();
+            assert.deepStrictEqual(history.data.map(s => s.shocks), [0, 2]);
+            assert.deepStrictEqual(history.getEventMarkers(), [{ x: 2, label: 'Wealth -30%' }, { x: 2, label: 'Boom' }]);
+        });
+
+        it('should drop markers older than the retained history', () => {
+            const history = new AnalyticsHistory(2);
+            [1, 2, 3].forEach(tick => history.recordSnapshot({
+                tickCount: tick,
+                currentYear: 2024 + tick,
+                shocks: [{ type: 'income', label: `Shock ${tick}` }]
+            }));
+
+            assert.deepStrictEqual(history.getEventMarkers().map(m => m.x), [2, 3]);
+        });
+
+        it('should restore the shocked rate and recorded shocks from a snapshot', () => {
+            const market = new Market(new Config({
+                ...settings,
+                shocks: [
+                    { type: 'interest_rate', year: 2025, rate: 0.07 },
+                    { type: 'wealth', year: 2026, change: -0.2 }
+                ]
+            }));
+            market.tick();
+            market.tick();
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.strictEqual(restored.interestRate, 0.07);
+            assert.deepStrictEqual(restored.getAnalyticsHistory().events, market.getAnalyticsHistory().events);
+            assert.deepStrictEqual(restored.getMarketStats().shocks, market.getMarketStats().shocks);
+        });
+    });
+
+    describe('Validation', () => {
+        it('should reject malformed shock declarations', () => {
+            assert.throws(() => new Config({ shocks: {} }), /shocks must be a list/);
+            assert.throws(() => new Config({ shocks: [{ type: 'meteor', year: 2030 }] }), /type must be one of/);
+            assert.throws(() => new Config({ shocks: [{ type: 'wealth', change: -0.2 }] }), /either a year or a probability/);
+            assert.throws(() => new Config({ shocks: [{ type: 'wealth', year: 2030, probability: 0.1, change: -0.2 }] }), /either a year or a probability/);
+            assert.throws(() => new Config({ shocks: [{ type: 'wealth', probability: 1.5, change: -0.2 }] }), /probability/);
+            assert.throws(() => new Config({ shocks: [{ type: 'wealth', year: 2030, change: -1 }] }), /change must be a number above -1/);
+            assert.throws(() => new Config({ shocks: [{ type: 'migration', year: 2030, count: 2.5 }] }), /count must be a non-zero integer/);
+            assert.throws(() => new Config({ shocks: [{ type: 'interest_rate', year: 2030 }] }), /rate must be a non-negative number/);
+        });
+
+        it('should accept registered custom shock types', () => {
+            ShockScheduler.register('tax_rebate', {
+                description: 'Give every household a fixed sum',
+                params: { amount: 'rate' },
+                describe: shock => `Rebate ${shock.amount}`,
+                apply: (market, shock) => market.people.forEach(p => { p.wealth += shock.amount; })
+            });
+            const market = new Market(new Config({ ...settings, shocks: [{ type: 'tax_rebate', year: 2025, amount: 1000 }] }));
+            market.tick();
+
+            assert.deepStrictEqual(market.getMarketStats().shocks, [{ type: 'tax_rebate', label: 'Rebate 1000' }]);
+            delete ShockScheduler.TYPES.tax_rebate;
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Economic Shock tests...');
+}
@@ -0,0 +1,155 @@
+const assert = require('assert');
+const Config = require('../../js/utils/Config.js');
+const Market = require('../../js/core/Market.js');
+const TransactionLedger = require('../../js/core/TransactionLedger.js');
+const House = require('../../js/core/House.js');
+const Person = require('../../js/core/Person.js');
+
+// Mock test framework
+global.describe = (name, fn) => {
+    console.log(`\n=== ${name} ===`);
+    const tests = [];
+
+    global.it = (testName, testFn) => {
+        tests.push({ name: testName, fn: testFn });
+    };
+
+    global.beforeEach = (setupFn) => {
+        global._beforeEach = setupFn;
+    };
+
+    fn();
+
+    tests.forEach(test => {
+        if (global._beforeEach) global._beforeEach();
+        try {
+            test.fn();
+            console.log(`✓ ${test.name}`);
+        } catch (error) {
+            console.log(`✗ ${test.name}: ${error.message}`);
+        }
+    });
+};
+
+describe('Transaction Ledger Tests', () => {
+    let ledger;
+    let houses;
+    let people;
+
+    function sale(house, winner, seller, price, purpose = 'home') {
+        return { house: house, winner: winner, seller: seller, purpose: purpose, secondPrice: price, winningBid: price + 10000, bidderCount: 3 };
+    }
+
+    beforeEach(() => {
+        Person.idCounter = 0;
+        House.idCounter = 0;
+        ledger = new TransactionLedger();
+        houses = [new House(100000, 100000), new House(200000, 200000)];
+        people = [new Person(500000), new Person(500000), new Person(500000)];
+
+        ledger.recordSales([sale(houses[0], people[0], null, 100000), sale(houses[1], people[1], null, 200000)], { year: 2025, tick: 1, batch: 1 });
+        ledger.recordSales([sale(houses[0], people[2], people[0], 120000)], { year: 2026, tick: 2, batch: 2 });
+        ledger.recordSales([sale(houses[1], people[0], people[1], 250000, 'rental')], { year: 2028, tick: 4, batch: 1 });
+    });
+
+    describe('Recording', () => {
+        it('should record each sale with its details', () => {
+            assert.strictEqual(ledger.getCount(), 4);
+            assert.deepStrictEqual(ledger.getAll()[2], {
+                year: 2026,
+                tick: 2,
+                batch: 2,
+                houseId: 'house_1',
+                buyerId: 'person_3',
+                sellerId: 'person_1',
+                purpose: 'home',
+                price: 120000,
+                winningBid: 130000,
+                bidderCount: 3
+            });
+        });
+
+        it('should skip results without a winner', () => {
+            const entries = ledger.recordSales([{ house: houses[0], winner: null, secondPrice: 0 }], { year: 2029, tick: 5, batch: 1 });
+
+            assert.strictEqual(entries.length, 0);
+            assert.strictEqual(ledger.getCount(), 4);
+        });
+    });
+
+    describe('Queries', () => {
+        it('should find a house\'s sales history', () => {
+            assert.deepStrictEqual(ledger.getByHouse('house_1').map(entry => entry.price), [100000, 120000]);
+        });
+
+        it('should find sales by buyer, seller or either', () => {
+            assert.deepStrictEqual(ledger.getByPerson('person_1').map(entry => entry.price), [100000, 120000, 250000]);
+            assert.deepStrictEqual(ledger.getByPerson('person_1', 'buyer').map(entry => entry.price), [100000, 250000]);
+            assert.deepStrictEqual(ledger.getByPerson('person_1', 'seller').map(entry => entry.price), [120000]);
+        });
+
+        it('should find sales in a range of years, inclusive', () => {
+            assert.strictEqual(ledger.getByYearRange(2026, 2028).length, 2);
+            assert.strictEqual(ledger.getByYearRange(2026).length, 2);
+            assert.strictEqual(ledger.getByYearRange(2027, 2027).length, 0);
+        });
+    });
+
+    describe('CSV export', () => {
+        it('should write a header and one row per sale', () => {
+            const lines = ledger.exportCSV().trim().split('\n');
+
+            assert.strictEqual(lines[0], TransactionLedger.COLUMNS.join(','));
+            assert.strictEqual(lines.length, 5);
+            assert.strictEqual(lines[1], '2025,1,1,house_1,person_1,,home,100000,110000,3');
+        });
+
+        it('should export a query\'s results', () => {
+            const lines = ledger.exportCSV(ledger.getByHouse('house_2')).trim().split('\n');
+
+            assert.strictEqual(lines.length, 3);
+            assert.ok(lines[2].includes(',rental,'));
+        });
+    });
+
+    describe('Market', () => {
+        const settings = {
+            num_houses: 30,
+            num_people: 20,
+            random_seed: 4,
+            wealth_accounting: true,
+            financing_enabled: true,
+            income_enabled: true
+        };
+
+        it('should record every auction sale over the run', () => {
+            const market = new Market(new Config(settings));
+            let sales = 0;
+            for (let i = 0; i < 5; i++) {
+                market.tick();
+                sales += market.lastSales.length;
+            }
+
+            const ledger = market.getTransactionLedger();
+            assert.ok(sales > 0);
+            assert.strictEqual(ledger.getCount(), sales);
+            const latest = ledger.getByYearRange(market.currentYear - 1);
+            assert.deepStrictEqual(latest.map(entry => entry.houseId), market.lastSales.map(result => result.house.id));
+            assert.ok(latest.every(entry => entry.tick === market.tickCount && entry.batch >= 1));
+        });
+
+        it('should keep the ledger through a snapshot', () => {
+            const market = new Market(new Config(settings));
+            for (let i = 0; i < 3; i++) {
+                market.tick();
+            }
+            const restored = Market.deserialize(JSON.stringify(market.serialize()));
+
+            assert.deepStrictEqual(restored.getTransactionLedger().getAll(), market.getTransactionLedger().getAll());
+        });
+    });
+});
+
+if (require.main === module) {
+    console.log('Running Transaction Ledger tests...');
+}
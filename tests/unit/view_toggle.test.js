@@ -80,6 +80,7 @@ global.ChartRenderer = class {
 };
 
 const SimulationRenderer = require('../../js/ui/SimulationRenderer.js');
+const Geography = require('../../js/core/Geography.js');
 
 describe('View Toggle Functionality Tests', () => {
     let renderer;
@@ -171,6 +172,27 @@ describe('View Toggle Functionality Tests', () => {
             assert.strictEqual(giniMetric.label, 'Gini Coefficient', 'Should have correct label');
         });
     });
+    
+    describe('Grid Layout', () => {
+        it('should lay out as many columns as the market has lots per row', () => {
+            assert.strictEqual(renderer.gridCols, Geography.COLUMNS);
+        });
+        
+        it('should add rows so houses built past the last row stay on the canvas', () => {
+            const built = { x: Geography.COLUMNS - 1, y: 12 };
+            renderer.fitGrid([{ x: 0, y: 0 }, built]);
+            const position = renderer.getHousePosition(1, built);
+            
+            assert.strictEqual(renderer.gridRows, 13, 'Should grow to the highest row');
+            assert(position.x + renderer.houseSize <= mockCanvas.width, 'Should fit the canvas width');
+            assert(position.y + renderer.houseSize <= mockCanvas.height, 'Should fit the canvas height');
+        });
+        
+        it('should keep its rows when the houses fit', () => {
+            renderer.fitGrid([{ x: 0, y: 0 }]);
+            assert.strictEqual(renderer.gridRows, 10);
+        });
+    });
 });
 
 if (require.main === module) {